@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+// Usage:
+//   node backtest/src/cli.js --data quotes.csv [--config balance.json ...]
+//     [--out results.json] [--verbose]
+// Each --config file is replayed over the same dataset and summarized in its
+// own column, so a balance change can be compared with the current settings.
+// Without --config the default settings are replayed.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { loadDataset } from './dataset.js';
+import { runBacktest } from './replay.js';
+
+const format = (value, suffix = '') =>
+  value === null || value === undefined
+    ? 'n/a'
+    : `${value.toFixed(2)}${suffix}`;
+
+function printSummaries(runs) {
+  const rows = [];
+  const first = runs[0].result.summary;
+  console.log(
+    `Replayed ${first.days} trading days (${first.from} → ${first.to}), ${first.skippedDays} skipped\n`
+  );
+
+  for (const { name, result } of runs) {
+    const { manipulator, stocks } = result.summary;
+    rows.push([
+      name,
+      'manipulator mean/min/max',
+      `${format(manipulator.mean)} / ${format(manipulator.min)} / ${format(manipulator.max)}`,
+    ]);
+    for (const [id, stats] of Object.entries(stocks)) {
+      rows.push([name, `${id} price`, `${stats.start} → ${stats.end}`]);
+      rows.push([name, `${id} return`, format(stats.return, '%')]);
+      rows.push([name, `${id} max drawdown`, format(stats.maxDrawdown, '%')]);
+      rows.push([
+        name,
+        `${id} volatility (daily / annual)`,
+        `${format(stats.volatility, '%')} / ${format(stats.annualizedVolatility, '%')}`,
+      ]);
+      rows.push([
+        name,
+        `${id} correlation to ${result.summary.benchmark}`,
+        format(stats.correlation),
+      ]);
+    }
+  }
+
+  const widths = [0, 1].map((column) =>
+    Math.max(...rows.map((row) => row[column].length))
+  );
+  for (const row of rows) {
+    console.log(
+      `${row[0].padEnd(widths[0])}  ${row[1].padEnd(widths[1])}  ${row[2]}`
+    );
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      data: { type: 'string' },
+      config: { type: 'string', multiple: true },
+      out: { type: 'string' },
+      verbose: { type: 'boolean', default: false },
+    },
+  });
+
+  if (!values.data) {
+    throw new Error('Missing --data <quotes.csv|quotes.json>');
+  }
+
+  const days = await loadDataset(values.data);
+  const logger = values.verbose ? console : { log() {}, warn() {}, error() {} };
+  const configs = values.config?.length ? values.config : [null];
+
+  const runs = [];
+  for (const path of configs) {
+    const options = path ? JSON.parse(await readFile(path, 'utf8')) : {};
+    runs.push({
+      name: path ? basename(path) : 'default',
+      result: runBacktest(days, options, logger),
+    });
+  }
+
+  printSummaries(runs);
+
+  if (values.out) {
+    await writeFile(
+      values.out,
+      JSON.stringify(
+        runs.map(({ name, result }) => ({ name, ...result })),
+        null,
+        2
+      )
+    );
+    console.log(`\nWrote the daily series to ${values.out}`);
+  }
+}
+
+main().catch((err) => {
+  console.error(`Backtest failed: ${err.message}`);
+  process.exitCode = 1;
+});
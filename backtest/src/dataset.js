@@ -0,0 +1,91 @@
+import { readFile } from 'node:fs/promises';
+
+// Parse a CSV file with a header row into an array of objects
+function parseCSV(text) {
+  const [header, ...rows] = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const columns = header.split(',').map((column) => column.trim());
+
+  return rows.map((row) => {
+    const values = row.split(',').map((value) => value.trim());
+    return Object.fromEntries(
+      columns.map((column, index) => [column, values[index]])
+    );
+  });
+}
+
+/**
+ * Groups historical quotes into trading days, oldest first. Records use the
+ * fields of the FetchesRealWorldStocks file provider: `date`, `ticker` (or
+ * `symbol`), `price` and optionally `change_percent` and `volume`. Without
+ * `change_percent` the change is taken from the ticker's previous price in the
+ * dataset, so a plain series of closing prices works too; a ticker's first day
+ * then has no change and is left out of that day's average.
+ *
+ * @param {Array<Object>} records - Quote records
+ * @returns {Array<Object>} - [{ date, quotes: { TICKER: { price, changePercent, volume } } }]
+ * @throws {Error} - When a record has no date, ticker or valid price
+ */
+export function groupByDay(records) {
+  const days = new Map();
+  for (const [index, record] of records.entries()) {
+    const ticker = (record.ticker ?? record.symbol)?.toUpperCase();
+    const price = parseFloat(record.price);
+    if (!record.date || !ticker || isNaN(price)) {
+      throw new Error(
+        `Invalid record ${index + 1}: expected date, ticker and a numeric price`
+      );
+    }
+
+    const changePercent = parseFloat(
+      String(record.change_percent ?? '').replace('%', '')
+    );
+    const volume = parseFloat(record.volume);
+    if (!days.has(record.date)) {
+      days.set(record.date, { date: record.date, quotes: {} });
+    }
+    days.get(record.date).quotes[ticker] = {
+      price,
+      changePercent: isNaN(changePercent) ? null : changePercent,
+      volume: isNaN(volume) ? null : volume,
+    };
+  }
+
+  const sorted = [...days.values()].sort((a, b) =>
+    a.date.localeCompare(b.date)
+  );
+
+  const previousPrices = {};
+  for (const day of sorted) {
+    for (const [ticker, quote] of Object.entries(day.quotes)) {
+      if (quote.changePercent === null && previousPrices[ticker] > 0) {
+        quote.changePercent =
+          ((quote.price - previousPrices[ticker]) / previousPrices[ticker]) *
+          100;
+      }
+      previousPrices[ticker] = quote.price;
+    }
+  }
+
+  return sorted;
+}
+
+/**
+ * Reads a CSV or JSON dataset of historical quotes. JSON files hold an array
+ * of records.
+ *
+ * @param {string} path - Dataset file
+ * @returns {Promise<Array<Object>>} - Trading days, see groupByDay
+ */
+export async function loadDataset(path) {
+  const text = await readFile(path, 'utf8');
+  const records = path.toLowerCase().endsWith('.csv')
+    ? parseCSV(text)
+    : JSON.parse(text);
+  if (!Array.isArray(records) || records.length === 0) {
+    throw new Error(`No quote records in ${path}`);
+  }
+  return groupByDay(records);
+}
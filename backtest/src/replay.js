@@ -0,0 +1,213 @@
+// Replays historical real-world quotes through the live market code, one day
+// at a time, without touching any database:
+//   calculateAverageChange → calculateMarketManipulator → smoothing
+//   → applyManipulatorToStocks
+// Only the market-wide manipulator is replayed; segment manipulators, sector
+// factors and market events are left out.
+
+import {
+  SMOOTHING_STRATEGIES,
+  calculateAverageChange,
+  calculateMarketManipulator,
+  parseCurveSettings,
+  smoothManipulator,
+} from '../../functions/marketManipulator/src/main.js';
+import { applyManipulatorToStocks } from '../../functions/InGameMarketManager/src/main.js';
+import { summarizeSeries } from './stats.js';
+
+const WEIGHTINGS = ['equal', 'volume', 'cap', 'watchlist'];
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+/**
+ * Validates backtest options and fills in the defaults. `curve` takes the
+ * fields of the marketManipulator settings document (`curve`, `thresholds`,
+ * `multiplier`, `log_scale`, `max_manipulator`); thresholds may be given as an
+ * array instead of a JSON string.
+ *
+ * @param {Object} [options]
+ * @returns {Object} - { curve, weighting, watchlist, smoothing, stocks, seed,
+ *   ticksPerDay, benchmark }
+ * @throws {Error} - When an option is invalid
+ */
+export function resolveOptions(options = {}) {
+  const settings = { ...options.curve };
+  if (Array.isArray(settings.thresholds)) {
+    settings.thresholds = JSON.stringify(settings.thresholds);
+  }
+
+  const resolved = {
+    curve: parseCurveSettings(settings),
+    weighting: options.weighting ?? 'equal',
+    watchlist: options.watchlist ?? null,
+    smoothing: {
+      strategy: options.smoothing?.strategy ?? 'none',
+      days: options.smoothing?.days ?? 5,
+      factor: options.smoothing?.factor ?? 0.3,
+    },
+    stocks: options.stocks ?? [{ $id: 'INDEX', price: 100 }],
+    seed: options.seed ?? 'backtest',
+    ticksPerDay: options.ticksPerDay ?? 1,
+    benchmark: (options.benchmark ?? 'SPY').toUpperCase(),
+  };
+
+  if (!WEIGHTINGS.includes(resolved.weighting)) {
+    throw new Error(
+      `Unknown weighting: ${resolved.weighting} (expected one of ${WEIGHTINGS.join(', ')})`
+    );
+  }
+  if (!SMOOTHING_STRATEGIES.includes(resolved.smoothing.strategy)) {
+    throw new Error(
+      `Unknown smoothing strategy: ${resolved.smoothing.strategy} (expected one of ${SMOOTHING_STRATEGIES.join(', ')})`
+    );
+  }
+  if (
+    !(resolved.smoothing.days >= 1) ||
+    !Number.isFinite(resolved.smoothing.factor)
+  ) {
+    throw new Error(
+      'Invalid smoothing: days must be at least 1 and factor a number'
+    );
+  }
+  if (!Number.isInteger(resolved.ticksPerDay) || resolved.ticksPerDay < 1) {
+    throw new Error('Invalid ticksPerDay: expected a positive integer');
+  }
+  if (
+    !Array.isArray(resolved.stocks) ||
+    resolved.stocks.length === 0 ||
+    !resolved.stocks.every(
+      (stock) =>
+        stock?.$id && typeof stock.price === 'number' && stock.price > 0
+    )
+  ) {
+    throw new Error(
+      'Invalid stocks: expected in-game stocks with an $id and a positive numeric price'
+    );
+  }
+
+  return resolved;
+}
+
+// The day's quotes in the shape of real-world stock documents
+function toRealWorldDocuments(quotes) {
+  return Object.entries(quotes)
+    .filter(([, quote]) => quote.changePercent !== null)
+    .map(([ticker, quote]) => ({
+      ticker_symbol: ticker,
+      price: quote.price.toFixed(4),
+      change_percentage: `${quote.changePercent.toFixed(4)}%`,
+      volume: quote.volume === null ? null : String(quote.volume),
+    }));
+}
+
+/**
+ * Runs the backtest over the trading days of a dataset.
+ *
+ * Every day computes the manipulator the way marketManipulator would that
+ * evening (rounded to 2 decimals, smoothed against the previous days) and
+ * applies it `ticksPerDay` times, each tick seeded like an InGameMarketManager
+ * tick. Days without any usable change are skipped.
+ *
+ * @param {Array<Object>} days - Trading days from loadDataset/groupByDay
+ * @param {Object} [options] - See resolveOptions
+ * @param {Object} [logger] - Logger passed to the market code, silent by default
+ * @returns {Object} - { options, days, summary }
+ */
+export function runBacktest(days, options = {}, logger = silentLogger) {
+  const resolved = resolveOptions(options);
+  const { curve, smoothing } = resolved;
+
+  let stocks = resolved.stocks.map((stock) => ({ ...stock }));
+  const series = Object.fromEntries(
+    stocks.map((stock) => [stock.$id, [stock.price]])
+  );
+  const benchmarkChanges = [];
+  const history = [];
+  const replayed = [];
+  let skippedDays = 0;
+
+  for (const day of days) {
+    const documents = toRealWorldDocuments(day.quotes);
+    if (documents.length === 0) {
+      skippedDays++;
+      continue;
+    }
+
+    const averageChange = calculateAverageChange(
+      documents,
+      logger,
+      resolved.weighting,
+      resolved.watchlist
+    );
+    const rawManipulator = calculateMarketManipulator(
+      averageChange,
+      logger,
+      curve
+    );
+    const manipulator = Number(
+      smoothManipulator(rawManipulator, history, smoothing, curve.max).toFixed(
+        2
+      )
+    );
+    history.unshift({
+      manipulator,
+      raw_manipulator: Number(rawManipulator.toFixed(2)),
+    });
+
+    for (let tick = 0; tick < resolved.ticksPerDay; tick++) {
+      const tickKey =
+        resolved.ticksPerDay === 1 ? day.date : `${day.date}:${tick}`;
+      stocks = applyManipulatorToStocks(stocks, manipulator, logger, {
+        seed: `${resolved.seed}:${tickKey}`,
+      });
+    }
+
+    for (const stock of stocks) {
+      series[stock.$id].push(stock.price);
+    }
+    const benchmarkChange =
+      day.quotes[resolved.benchmark]?.changePercent ?? null;
+    benchmarkChanges.push(benchmarkChange);
+
+    replayed.push({
+      date: day.date,
+      averageChange,
+      rawManipulator,
+      manipulator,
+      benchmarkChange,
+      prices: Object.fromEntries(
+        stocks.map((stock) => [stock.$id, stock.price])
+      ),
+    });
+  }
+
+  if (replayed.length === 0) {
+    throw new Error('No trading day in the dataset has a usable change');
+  }
+
+  const manipulators = replayed.map((day) => day.manipulator);
+  return {
+    options: resolved,
+    days: replayed,
+    summary: {
+      days: replayed.length,
+      skippedDays,
+      from: replayed[0].date,
+      to: replayed[replayed.length - 1].date,
+      benchmark: resolved.benchmark,
+      manipulator: {
+        mean:
+          manipulators.reduce((sum, value) => sum + value, 0) /
+          manipulators.length,
+        min: Math.min(...manipulators),
+        max: Math.max(...manipulators),
+      },
+      stocks: Object.fromEntries(
+        Object.entries(series).map(([id, prices]) => [
+          id,
+          summarizeSeries(prices, benchmarkChanges),
+        ])
+      ),
+    },
+  };
+}
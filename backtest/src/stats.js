@@ -0,0 +1,116 @@
+// Summary statistics of a replayed price series. Returns and volatilities are
+// in percent, like the change percentages they are compared with.
+
+const TRADING_DAYS_PER_YEAR = 252;
+
+const mean = (values) =>
+  values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Percentage change between consecutive prices.
+ *
+ * @param {Array<number>} prices - Price series, oldest first
+ * @returns {Array<number>}
+ */
+export function dailyReturns(prices) {
+  const returns = [];
+  for (let i = 1; i < prices.length; i++) {
+    returns.push(((prices[i] - prices[i - 1]) / prices[i - 1]) * 100);
+  }
+  return returns;
+}
+
+/**
+ * Largest peak-to-trough decline of the series.
+ *
+ * @param {Array<number>} prices - Price series, oldest first
+ * @returns {number} - Decline in percent of the peak, 0 for a series that never falls
+ */
+export function maxDrawdown(prices) {
+  let peak = -Infinity;
+  let drawdown = 0;
+  for (const price of prices) {
+    peak = Math.max(peak, price);
+    drawdown = Math.max(drawdown, ((peak - price) / peak) * 100);
+  }
+  return drawdown;
+}
+
+/**
+ * Sample standard deviation of daily returns.
+ *
+ * @param {Array<number>} returns - Daily returns in percent
+ * @returns {number|null} - null with fewer than two returns
+ */
+export function volatility(returns) {
+  if (returns.length < 2) {
+    return null;
+  }
+  const average = mean(returns);
+  const variance =
+    returns.reduce((sum, value) => sum + (value - average) ** 2, 0) /
+    (returns.length - 1);
+  return Math.sqrt(variance);
+}
+
+/**
+ * Pearson correlation of two equally long series.
+ *
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {number|null} - null with fewer than two points or a constant series
+ */
+export function correlation(a, b) {
+  if (a.length !== b.length || a.length < 2) {
+    return null;
+  }
+  const meanA = mean(a);
+  const meanB = mean(b);
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  for (let i = 0; i < a.length; i++) {
+    covariance += (a[i] - meanA) * (b[i] - meanB);
+    varianceA += (a[i] - meanA) ** 2;
+    varianceB += (b[i] - meanB) ** 2;
+  }
+  if (varianceA === 0 || varianceB === 0) {
+    return null;
+  }
+  return covariance / Math.sqrt(varianceA * varianceB);
+}
+
+/**
+ * Summary of one replayed stock.
+ *
+ * @param {Array<number>} prices - The stock's price at the end of each day, with
+ *   the starting price first
+ * @param {Array<number|null>} benchmarkChanges - The benchmark's real change on
+ *   each day (one per day, so one fewer than prices); days without a benchmark
+ *   quote are left out of the correlation
+ * @returns {Object} - { start, end, return, maxDrawdown, volatility,
+ *   annualizedVolatility, correlation }
+ */
+export function summarizeSeries(prices, benchmarkChanges) {
+  const returns = dailyReturns(prices);
+  const dailyVolatility = volatility(returns);
+  const paired = returns
+    .map((value, i) => [value, benchmarkChanges[i]])
+    .filter(([, benchmark]) => Number.isFinite(benchmark));
+
+  return {
+    start: prices[0],
+    end: prices[prices.length - 1],
+    return: ((prices[prices.length - 1] - prices[0]) / prices[0]) * 100,
+    maxDrawdown: maxDrawdown(prices),
+    volatility: dailyVolatility,
+    annualizedVolatility:
+      dailyVolatility === null
+        ? null
+        : dailyVolatility * Math.sqrt(TRADING_DAYS_PER_YEAR),
+    correlation: correlation(
+      paired.map(([value]) => value),
+      paired.map(([, benchmark]) => benchmark)
+    ),
+  };
+}
@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { groupByDay } from '../src/dataset.js';
+import { runBacktest } from '../src/replay.js';
+import { correlation, maxDrawdown } from '../src/stats.js';
+
+const closes = (rows) =>
+  rows.flatMap(([date, prices]) =>
+    Object.entries(prices).map(([ticker, price]) => ({ date, ticker, price }))
+  );
+
+describe('groupByDay', () => {
+  it('derives changes from closing prices and sorts the days', () => {
+    const days = groupByDay(
+      closes([
+        ['2025-01-03', { SPY: '101' }],
+        ['2025-01-02', { SPY: '100' }],
+      ])
+    );
+    assert.deepEqual(
+      days.map((day) => day.date),
+      ['2025-01-02', '2025-01-03']
+    );
+    assert.equal(days[0].quotes.SPY.changePercent, null);
+    assert.ok(Math.abs(days[1].quotes.SPY.changePercent - 1) < 1e-9);
+  });
+
+  it('keeps explicit change percentages', () => {
+    const [day] = groupByDay([
+      {
+        date: '2025-01-02',
+        symbol: 'spy',
+        price: '100',
+        change_percent: '-0.5%',
+      },
+    ]);
+    assert.equal(day.quotes.SPY.changePercent, -0.5);
+  });
+
+  it('rejects records without a price', () => {
+    assert.throws(
+      () => groupByDay([{ date: '2025-01-02', ticker: 'SPY' }]),
+      /Invalid record 1/
+    );
+  });
+});
+
+describe('stats', () => {
+  it('measures the largest peak-to-trough decline', () => {
+    assert.equal(maxDrawdown([100, 120, 90, 110, 60, 130]), 50);
+    assert.equal(maxDrawdown([1, 2, 3]), 0);
+  });
+
+  it('correlates series', () => {
+    assert.equal(correlation([1, 2, 3], [2, 4, 6]), 1);
+    assert.equal(correlation([1, 2, 3], [3, 2, 1]), -1);
+    assert.equal(correlation([1, 1, 1], [1, 2, 3]), null);
+  });
+});
+
+describe('runBacktest', () => {
+  const days = groupByDay(
+    closes([
+      ['2025-01-02', { SPY: 100, BND: 50 }],
+      ['2025-01-03', { SPY: 102, BND: 51 }],
+      ['2025-01-06', { SPY: 99.96, BND: 50.49 }],
+    ])
+  );
+
+  it('moves the stocks by the manipulator of each day', () => {
+    const result = runBacktest(days);
+
+    assert.equal(result.summary.days, 2);
+    assert.equal(result.summary.skippedDays, 1);
+    // +2% on both tickers maps to 1.5, -2%/-1% averages -1.5% → -1.15
+    assert.deepEqual(
+      result.days.map((day) => day.manipulator),
+      [1.5, -1.15]
+    );
+    assert.deepEqual(
+      result.days.map((day) => day.prices.INDEX),
+      [101.5, 100.33]
+    );
+    assert.equal(result.summary.stocks.INDEX.correlation, 1);
+  });
+
+  it('replays a different curve over the same data', () => {
+    const result = runBacktest(days, {
+      curve: { curve: 'contrarian' },
+      stocks: [{ $id: 'ACME', price: 10, beta: 2 }],
+    });
+    assert.deepEqual(
+      result.days.map((day) => day.manipulator),
+      [-1.5, 1.15]
+    );
+    assert.equal(result.days[0].prices.ACME, 9.7);
+  });
+
+  it('is deterministic for a seed', () => {
+    const options = {
+      stocks: [{ $id: 'ACME', price: 100, volatility: 2 }],
+      ticksPerDay: 3,
+    };
+    assert.deepEqual(runBacktest(days, options), runBacktest(days, options));
+  });
+
+  it('rejects invalid options', () => {
+    assert.throws(
+      () => runBacktest(days, { weighting: 'random' }),
+      /Unknown weighting/
+    );
+    assert.throws(
+      () => runBacktest(days, { stocks: [{ $id: 'ACME', price: '100' }] }),
+      /Invalid stocks/
+    );
+  });
+});
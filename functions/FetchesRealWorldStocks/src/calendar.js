@@ -0,0 +1,90 @@
+// Exchange calendar: regular session hours in the exchange's time zone,
+// weekends and a configurable list of holidays
+
+const WEEKEND = ['Sat', 'Sun'];
+
+// Parses "HH:MM" into minutes after midnight
+function parseTime(value, name) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Invalid ${name} time: ${value} (expected HH:MM)`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// Parses a comma-separated list of YYYY-MM-DD dates
+export function parseHolidays(value) {
+  const holidays = String(value ?? '')
+    .split(',')
+    .map((date) => date.trim())
+    .filter(Boolean);
+  for (const date of holidays) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw new Error(`Invalid holiday: ${date} (expected YYYY-MM-DD)`);
+    }
+  }
+  return holidays;
+}
+
+export function createMarketCalendar({
+  timezone = 'America/New_York',
+  open = '09:30',
+  close = '16:00',
+  holidays = [],
+} = {}) {
+  const openMinutes = parseTime(open, 'open');
+  const closeMinutes = parseTime(close, 'close');
+  const holidaySet = new Set(holidays);
+  // Throws a RangeError for an unknown time zone
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  });
+
+  // Date, weekday and minutes after midnight in the exchange's time zone
+  function localTime(date) {
+    const parts = Object.fromEntries(
+      format
+        .formatToParts(new Date(date))
+        .map((part) => [part.type, part.value])
+    );
+    return {
+      localDate: `${parts.year}-${parts.month}-${parts.day}`,
+      weekday: parts.weekday,
+      minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    };
+  }
+
+  // Where the exchange stands at a moment: { open, tradingDay, localDate, reason }
+  // with reason "weekend", "holiday" or "outside_hours" when closed
+  function session(date = new Date()) {
+    const { localDate, weekday, minutes } = localTime(date);
+    let reason = null;
+    if (WEEKEND.includes(weekday)) {
+      reason = 'weekend';
+    } else if (holidaySet.has(localDate)) {
+      reason = 'holiday';
+    } else if (minutes < openMinutes || minutes >= closeMinutes) {
+      reason = 'outside_hours';
+    }
+
+    return {
+      open: reason === null,
+      tradingDay: reason === null || reason === 'outside_hours',
+      localDate,
+      reason,
+    };
+  }
+
+  return {
+    session,
+    isTradingDay: (date) => session(date).tradingDay,
+    isOpen: (date) => session(date).open,
+  };
+}
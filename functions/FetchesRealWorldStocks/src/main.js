@@ -1,4 +1,24 @@
 import { Client, Users, Databases, ID, Query } from 'node-appwrite';
+import { createMarketCalendar, parseHolidays } from './calendar.js';
+import { createMockMarket } from './mockMarket.js';
+import { createProviders, normalizeGlobalQuote } from './providers.js';
+import {
+  createFetchScheduler,
+  loadRateLimiters,
+  loadStoredQuotes,
+  planFetch,
+  saveRateLimiters,
+} from './scheduler.js';
+import { createWebhookAlertSink, startRun } from './observability.js';
+import { serializeDocument } from './schema.js';
+import {
+  addWatchlistEntry,
+  assertAdmin,
+  assetClassOf,
+  listWatchlist,
+  loadWatchlist,
+  updateWatchlistEntry,
+} from './watchlist.js';
 
 // Configuration
 const CONFIG = {
@@ -9,61 +29,119 @@ const CONFIG = {
   DATABASE: {
     ID: process.env.STOCK_DATABASE_ID,
     COLLECTION_ID: process.env.STOCK_COLLECTION_ID,
+    // Optional: tracked tickers; CONFIG.POPULAR_ETFS seeds it and is the fallback
+    WATCHLIST_COLLECTION_ID: process.env.WATCHLIST_COLLECTION_ID,
+    // Optional: each provider's request usage, so daily quotas hold across runs
+    RATE_LIMIT_COLLECTION_ID: process.env.RATE_LIMIT_COLLECTION_ID,
+    // Optional: one record per fetch run (see src/observability.js)
+    RUN_RECORDS_COLLECTION_ID: process.env.RUN_RECORDS_COLLECTION_ID,
   },
+  // Optional: webhook alerted on failed runs and anomalies (mock quotes, fetch failures)
+  ALERT_WEBHOOK_URL: process.env.ALERT_WEBHOOK_URL,
+  // Users with this label may manage the watchlist
+  ADMIN_LABEL: process.env.ADMIN_LABEL || 'admin',
   ALPHA_VANTAGE: {
     API_KEY: process.env.STOCK_API_KEY,
     BASE_URL: 'https://www.alphavantage.co/query',
     TIMEOUT_MS: 10000, // 10 seconds
   },
-  // List of popular ETFs to track
+  FINNHUB: {
+    API_KEY: process.env.FINNHUB_API_KEY,
+    BASE_URL: 'https://finnhub.io/api/v1/quote',
+    TIMEOUT_MS: 10000, // 10 seconds
+  },
+  COINBASE: {
+    BASE_URL: 'https://api.exchange.coinbase.com',
+    QUOTE_CURRENCY: process.env.CRYPTO_QUOTE_CURRENCY || 'USD',
+    TIMEOUT_MS: 10000, // 10 seconds
+  },
+  FILE: {
+    PATH: process.env.MARKET_DATA_FILE,
+  },
+  MOCK_MARKET: {
+    // Skip every provider and serve mock quotes only (offline development)
+    FORCE: process.env.MOCK_MARKET === 'true',
+    SEED: process.env.MOCK_MARKET_SEED || 'mock-market',
+    DRIFT: Number(process.env.MOCK_MARKET_DRIFT ?? 0.07), // annualized
+    VOLATILITY: Number(process.env.MOCK_MARKET_VOLATILITY ?? 0.2), // annualized
+  },
+  // Exchange calendar; no quotes are fetched on weekends and holidays
+  MARKET_CALENDAR: {
+    ENABLED: process.env.MARKET_CALENDAR_ENABLED !== 'false',
+    TIMEZONE: process.env.MARKET_TIMEZONE || 'America/New_York',
+    OPEN: process.env.MARKET_OPEN || '09:30',
+    CLOSE: process.env.MARKET_CLOSE || '16:00',
+    HOLIDAYS: process.env.MARKET_HOLIDAYS,
+  },
+  // Requests each provider accepts (0 = no limit); the free tiers by default
+  QUOTAS: {
+    alphavantage: {
+      perMinute: Number(process.env.ALPHAVANTAGE_REQUESTS_PER_MINUTE ?? 5),
+      perDay: Number(process.env.ALPHAVANTAGE_REQUESTS_PER_DAY ?? 25),
+    },
+    finnhub: {
+      perMinute: Number(process.env.FINNHUB_REQUESTS_PER_MINUTE ?? 60),
+      perDay: Number(process.env.FINNHUB_REQUESTS_PER_DAY ?? 0),
+    },
+  },
+  SCHEDULER: {
+    // Stored quotes younger than this are not fetched again
+    CACHE_TTL_MINUTES: Number(process.env.QUOTE_CACHE_TTL_MINUTES ?? 60),
+    // Tickers that cannot be fetched within this time are left for the next run
+    MAX_RUN_SECONDS: Number(process.env.FETCH_MAX_RUN_SECONDS ?? 60),
+  },
+  // Ordered list of providers to try for each ticker before falling back to mock data
+  PROVIDERS: process.env.MARKET_DATA_PROVIDERS || 'alphavantage',
+  // Each asset class's own provider list (PROVIDERS when unset). Classes that
+  // trade around the clock are also fetched when the exchange is closed.
+  ASSET_CLASSES: {
+    equity: { PROVIDERS: process.env.EQUITY_DATA_PROVIDERS, ALWAYS_OPEN: false },
+    bond: { PROVIDERS: process.env.BOND_DATA_PROVIDERS, ALWAYS_OPEN: false },
+    commodity: { PROVIDERS: process.env.COMMODITY_DATA_PROVIDERS, ALWAYS_OPEN: false },
+    crypto: { PROVIDERS: process.env.CRYPTO_DATA_PROVIDERS || 'coinbase', ALWAYS_OPEN: true },
+  },
+  // Environment variables each provider needs
+  PROVIDER_ENV_VARS: {
+    alphavantage: ['STOCK_API_KEY'],
+    finnhub: ['FINNHUB_API_KEY'],
+    coinbase: [],
+    file: ['MARKET_DATA_FILE'],
+  },
+  // Default list of popular ETFs to track, category matches the marketManipulator
+  // segments and implies the asset class (bonds, commodities, else equity)
   POPULAR_ETFS: [
-    { ticker: 'SPY', description: 'SPDR S&P 500 ETF Trust' },
-    { ticker: 'QQQ', description: 'Invesco QQQ Trust (Nasdaq-100 Index)' },
-    { ticker: 'IVV', description: 'iShares Core S&P 500 ETF' },
-    { ticker: 'VTI', description: 'Vanguard Total Stock Market ETF' },
-    { ticker: 'VOO', description: 'Vanguard S&P 500 ETF' },
-    { ticker: 'GLD', description: 'SPDR Gold Shares' },
-    { ticker: 'EFA', description: 'iShares MSCI EAFE ETF' },
-    { ticker: 'VEA', description: 'Vanguard FTSE Developed Markets ETF' },
-    { ticker: 'BND', description: 'Vanguard Total Bond Market ETF' },
-    { ticker: 'VWO', description: 'Vanguard FTSE Emerging Markets ETF' },
-    { ticker: 'XLF', description: 'Financial Select Sector SPDR Fund' },
-    { ticker: 'XLK', description: 'Technology Select Sector SPDR Fund' },
-    { ticker: 'ARKK', description: 'ARK Innovation ETF' },
-    { ticker: 'LQD', description: 'iShares iBoxx $ Investment Grade Corporate Bond ETF' },
-    { ticker: 'TLT', description: 'iShares 20+ Year Treasury Bond ETF' }
+    { ticker: 'SPY', description: 'SPDR S&P 500 ETF Trust', category: 'equities' },
+    { ticker: 'QQQ', description: 'Invesco QQQ Trust (Nasdaq-100 Index)', category: 'equities' },
+    { ticker: 'IVV', description: 'iShares Core S&P 500 ETF', category: 'equities' },
+    { ticker: 'VTI', description: 'Vanguard Total Stock Market ETF', category: 'equities' },
+    { ticker: 'VOO', description: 'Vanguard S&P 500 ETF', category: 'equities' },
+    { ticker: 'GLD', description: 'SPDR Gold Shares', category: 'commodities' },
+    { ticker: 'EFA', description: 'iShares MSCI EAFE ETF', category: 'international' },
+    { ticker: 'VEA', description: 'Vanguard FTSE Developed Markets ETF', category: 'international' },
+    { ticker: 'BND', description: 'Vanguard Total Bond Market ETF', category: 'bonds' },
+    { ticker: 'VWO', description: 'Vanguard FTSE Emerging Markets ETF', category: 'international' },
+    { ticker: 'XLF', description: 'Financial Select Sector SPDR Fund', category: 'sectors' },
+    { ticker: 'XLK', description: 'Technology Select Sector SPDR Fund', category: 'sectors' },
+    { ticker: 'ARKK', description: 'ARK Innovation ETF', category: 'equities' },
+    { ticker: 'LQD', description: 'iShares iBoxx $ Investment Grade Corporate Bond ETF', category: 'bonds' },
+    { ticker: 'TLT', description: 'iShares 20+ Year Treasury Bond ETF', category: 'bonds' }
   ]
 };
 
-// Add this mock data generator after the CONFIG object
-const MOCK_DATA = {
-  generateQuote: (symbol) => {
-    // Generate realistic-looking mock data for development/fallback
-    const basePrice = Math.floor(Math.random() * 500) + 50; // Random price between $50-$550
-    const priceFloat = basePrice + Math.random(); // Add decimal component
-    const price = priceFloat.toFixed(2);
-    const changePercent = (Math.random() * 6 - 3).toFixed(2); // -3% to +3%
-    const changeAmount = ((priceFloat * parseFloat(changePercent)) / 100).toFixed(2);
-    const volume = Math.floor(Math.random() * 10000000) + 100000; // Random volume
+// Seeded random-walk mock market for development and API fallback (see src/mockMarket.js)
+const mockMarket = createMockMarket({
+  seed: CONFIG.MOCK_MARKET.SEED,
+  drift: CONFIG.MOCK_MARKET.DRIFT,
+  volatility: CONFIG.MOCK_MARKET.VOLATILITY,
+});
 
-    const today = new Date();
-    const tradingDay = today.toISOString().split('T')[0]; // YYYY-MM-DD
-
-    return {
-      '01. symbol': symbol,
-      '02. open': price,
-      '03. high': (parseFloat(price) * 1.02).toFixed(2),
-      '04. low': (parseFloat(price) * 0.98).toFixed(2),
-      '05. price': price,
-      '06. volume': volume.toString(),
-      '07. latest trading day': tradingDay,
-      '08. previous close': (parseFloat(price) - parseFloat(changeAmount)).toFixed(2),
-      '09. change': changeAmount,
-      '10. change percent': `${changePercent}%`,
-    };
-  }
+const MOCK_DATA = {
+  generateQuote: (symbol) => mockMarket.quote(symbol),
 };
 
+// Source stored with generated quotes; every other source is a provider name
+const MOCK_SOURCE = 'mock';
+
 // Helper: Sleep function for delays
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
@@ -75,136 +153,138 @@ const initClient = (key) => {
     .setKey(key || '');
 };
 
-// Fetch ETF data for a specific symbol
-const fetchETFData = async (symbol, log, useMockData = false) => {
+// Fetch ETF data for a specific symbol, trying each provider in order. Providers
+// whose quota is used up are skipped; when that leaves none, the error is
+// marked `deferred` and the ticker waits for the next run.
+const fetchETFData = async (symbol, providers, scheduler, logger, useMockData = false) => {
   // Use mock data if requested
   if (useMockData) {
-    log(`[INFO] Using mock data for ${symbol} (API fallback)`);
-    return MOCK_DATA.generateQuote(symbol);
+    logger.info(`Using mock data for ${symbol} (API fallback)`);
+    return { provider: MOCK_SOURCE, quote: normalizeGlobalQuote(MOCK_DATA.generateQuote(symbol)) };
   }
 
-  const url = new URL(CONFIG.ALPHA_VANTAGE.BASE_URL);
-  url.searchParams.append('function', 'GLOBAL_QUOTE');
-  url.searchParams.append('symbol', symbol);
-  url.searchParams.append('apikey', CONFIG.ALPHA_VANTAGE.API_KEY);
-  
-  log(`[INFO] Fetching data for ETF: ${symbol}`);
-  
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), CONFIG.ALPHA_VANTAGE.TIMEOUT_MS);
-  
-  try {
-    const response = await fetch(url.toString(), { 
-      signal: controller.signal,
-      headers: {
-        'Accept': 'application/json',
-      }
-    });
-    clearTimeout(timeoutId);
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`AlphaVantage API error for ${symbol}: ${response.status} - ${errorText}`);
+  const failures = [];
+  const limited = [];
+  for (const provider of providers) {
+    const slot = await scheduler.acquire(provider.name);
+    if (slot !== 'ok') {
+      limited.push(`${provider.name} ${slot === 'exhausted' ? 'quota used up for today' : 'out of time'}`);
+      continue;
     }
-    
-    const data = await response.json();
-    
-    // Enhanced logging for debugging
-    if (!data || !data['Global Quote'] || Object.keys(data['Global Quote']).length === 0) {
-      log(`[DEBUG] Invalid API response for ${symbol}: ${JSON.stringify(data)}`);
-      throw new Error(`Invalid data structure received from AlphaVantage for ${symbol}`);
-    }
-    
-    return data['Global Quote'];
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      throw new Error(`AlphaVantage API request for ${symbol} timed out after ${CONFIG.ALPHA_VANTAGE.TIMEOUT_MS}ms`);
+
+    try {
+      const quote = await provider.fetchQuote(symbol, logger);
+      return { provider: provider.name, quote };
+    } catch (error) {
+      logger.warn(`Provider ${provider.name} failed for ${symbol}: ${error.message}`);
+      if (error.rateLimited) {
+        scheduler.refuse(provider.name, error.scope);
+        limited.push(`${provider.name} rate limited`);
+      } else {
+        failures.push(error.message);
+      }
     }
-    throw error;
   }
+
+  if (failures.length === 0) {
+    const deferred = new Error(`No provider available for ${symbol}: ${limited.join('; ')}`);
+    deferred.deferred = true;
+    throw deferred;
+  }
+
+  // Keep a single provider's error intact so callers can still inspect it
+  throw new Error(failures.length === 1 ? failures[0] : `All providers failed for ${symbol}: ${failures.join('; ')}`);
 };
 
-// Fetch all popular ETFs data with rate limiting
-const fetchAllPopularETFs = async (log) => {
+// Fetch all popular ETFs data, as far as the scheduler's quotas and time budget allow,
+// each from the providers of its asset class. mocked lists the tickers that got a
+// generated quote instead of a real one.
+const fetchAllPopularETFs = async (watchlist, providerChains, scheduler, logger) => {
   const results = [];
   const errors = [];
+  const deferred = [];
+  const mocked = [];
   let apiFailureCount = 0;
-  const useBackupData = false; // Will be set to true if multiple API calls fail
+  const useBackupData = CONFIG.MOCK_MARKET.FORCE; // Mock market forced on, no API calls at all
   
-  // Process one ETF at a time to respect API rate limits
-  for (const etf of CONFIG.POPULAR_ETFS) {
+  // Process one ETF at a time; the scheduler spaces the requests out
+  for (const etf of watchlist) {
     try {
-      // Add a delay to avoid hitting rate limits
-      if (results.length > 0) {
-        log(`[INFO] Waiting before next request to avoid rate limits...`);
-        await sleep(1200); // 1.2 seconds between requests (AlphaVantage free tier limit is 5 requests per minute)
-      }
-      
       // If we've had multiple API failures in a row, switch to mock data
       const useMockForThisRequest = useBackupData || (apiFailureCount >= 3);
-      const quoteData = await fetchETFData(etf.ticker, log, useMockForThisRequest);
+      const providers = providerChains[assetClassOf(etf)];
+      const { provider, quote } = await fetchETFData(etf.ticker, providers, scheduler, logger, useMockForThisRequest);
       
       // Reset the failure counter on success
       apiFailureCount = 0;
       
       // Transform the data
-      results.push({
-        ticker: etf.ticker,
-        name: etf.description,
-        price: quoteData['05. price'],
-        change_amount: quoteData['09. change'],
-        change_percentage: quoteData['10. change percent'],
-        volume: quoteData['06. volume'],
-        latest_trading_day: quoteData['07. latest trading day'],
-        type: 'ETF',
-        raw_data: JSON.stringify(quoteData)
-      });
+      results.push(createETFRecord(etf, quote, provider));
+      if (provider === MOCK_SOURCE) {
+        mocked.push(etf.ticker);
+      }
       
-      log(`[INFO] Successfully fetched data for ${etf.ticker}`);
+      logger.info(`Successfully fetched data for ${etf.ticker} from ${provider}`);
     } catch (error) {
-      log(`[ERROR] Failed to fetch data for ${etf.ticker}: ${error.message}`);
+      // Rate limits are not failures: the stored quote stays until the next run
+      if (error.deferred) {
+        logger.info(`Deferring ${etf.ticker} to the next run: ${error.message}`);
+        deferred.push(etf.ticker);
+        continue;
+      }
+
+      logger.error(`Failed to fetch data for ${etf.ticker}: ${error.message}`);
       errors.push({ ticker: etf.ticker, error: error.message });
       apiFailureCount++;
       
       // If we have 3 consecutive failures, try using mock data for remaining ETFs
       if (apiFailureCount >= 3 && !useBackupData) {
-        log(`[WARN] Multiple API failures detected, switching to mock data for remaining ETFs`);
+        logger.warn(`Multiple API failures detected, switching to mock data for remaining ETFs`);
         // Use mock data for all remaining requests
         try {
-          const mockData = MOCK_DATA.generateQuote(etf.ticker);
-          results.push({
-            ticker: etf.ticker,
-            name: etf.description,
-            price: mockData['05. price'],
-            change_amount: mockData['09. change'],
-            change_percentage: mockData['10. change percent'],
-            volume: mockData['06. volume'],
-            latest_trading_day: mockData['07. latest trading day'],
-            type: 'ETF',
-            raw_data: JSON.stringify(mockData)
-          });
-          log(`[INFO] Successfully generated mock data for ${etf.ticker} after API failure`);
-          // Don't count this as an error since we recovered with mock data
+          const mockData = normalizeGlobalQuote(MOCK_DATA.generateQuote(etf.ticker));
+          results.push(createETFRecord(etf, mockData, MOCK_SOURCE));
+          mocked.push(etf.ticker);
+          logger.warn(`Stored mock data for ${etf.ticker} after API failure`);
+          // Don't count this as an error since we recovered with mock data;
+          // the quote is flagged as mock and reported in `mocked` instead
           errors.pop();
         } catch (mockError) {
-          log(`[ERROR] Failed to generate mock data for ${etf.ticker}: ${mockError.message}`);
+          logger.error(`Failed to generate mock data for ${etf.ticker}: ${mockError.message}`);
         }
       }
     }
   }
   
-  return { results, errors };
+  return { results, errors, deferred, mocked };
 };
 
+// Build the record stored for an ETF from a normalized provider quote, with the
+// provider that served it
+const createETFRecord = (etf, quote, source) => ({
+  ticker: etf.ticker,
+  name: etf.description,
+  price: quote.price,
+  change_amount: quote.change_amount,
+  change_percentage: quote.change_percentage,
+  volume: quote.volume,
+  latest_trading_day: quote.latest_trading_day,
+  category: etf.category,
+  asset_class: assetClassOf(etf),
+  raw_data: JSON.stringify(quote.raw),
+  source,
+  fetched_at: new Date().toISOString()
+});
+
 // Process ETF data in batches
-const processETFs = async (databases, etfs, log) => {
+const processETFs = async (databases, etfs, logger) => {
   const currentDate = new Date().toISOString();
   const results = { created: 0, updated: 0, failed: 0 };
   const batchSize = 5; // Process in smaller batches due to ETF data size
 
   for (let i = 0; i < etfs.length; i += batchSize) {
     const batch = etfs.slice(i, i + batchSize);
-    await processBatch(databases, batch, currentDate, results, log);
+    await processBatch(databases, batch, currentDate, results, logger);
     if (i + batchSize < etfs.length) {
       await sleep(100);
     }
@@ -213,11 +293,11 @@ const processETFs = async (databases, etfs, log) => {
   return results;
 };
 
-const processBatch = async (databases, batch, currentDate, results, log) => {
-  await Promise.all(batch.map(etf => processETF(databases, etf, currentDate, results, log)));
+const processBatch = async (databases, batch, currentDate, results, logger) => {
+  await Promise.all(batch.map(etf => processETF(databases, etf, currentDate, results, logger)));
 };
 
-const processETF = async (databases, etf, currentDate, results, log) => {
+const processETF = async (databases, etf, currentDate, results, logger) => {
   try {
     const documentData = createDocumentData(etf, currentDate);
     const existingDocs = await databases.listDocuments(
@@ -234,7 +314,7 @@ const processETF = async (databases, etf, currentDate, results, log) => {
         docId,
         documentData
       );
-      log(`[INFO] Updated ETF: ${etf.ticker}`);
+      logger.info(`Updated ETF: ${etf.ticker}`);
       results.updated++;
     } else {
       await databases.createDocument(
@@ -243,16 +323,16 @@ const processETF = async (databases, etf, currentDate, results, log) => {
         ID.unique(),
         documentData
       );
-      log(`[INFO] Created new ETF: ${etf.ticker}`);
+      logger.info(`Created new ETF: ${etf.ticker}`);
       results.created++;
     }
   } catch (error) {
-    log(`[ERROR] Failed to process ETF ${etf.ticker}: ${error.message}`);
+    logger.error(`Failed to process ETF ${etf.ticker}: ${error.message}`);
     results.failed++;
   }
 };
 
-const createDocumentData = (etf, currentDate) => {
+export const createDocumentData = (etf, currentDate) => {
   // Create a simplified version of the raw data to store
   const essentialData = {
     symbol: etf.ticker,
@@ -276,31 +356,99 @@ const createDocumentData = (etf, currentDate) => {
     }
   }
   
-  return {
+  // Validated against the collection schema, so a malformed quote fails its ETF
+  // instead of reaching the database
+  return serializeDocument('realWorldStock', {
     ticker_symbol: etf.ticker,
     etf_name: etf.name,
-    category: etf.type || 'ETF',
+    category: etf.category,
+    asset_class: etf.asset_class,
     last_updated: currentDate,
     price: etf.price,
     change_amount: etf.change_amount,
     change_percentage: etf.change_percentage,
-    raw_data: rawDataChunks  // Array of strings, each ≤ 200 chars
-  };
+    volume: etf.volume,
+    latest_trading_day: etf.latest_trading_day || currentDate.split('T')[0],
+    raw_data: rawDataChunks,  // Array of strings, each ≤ 200 chars
+    // Provenance, so consumers can tell real quotes from mock ones
+    source: etf.source,
+    is_real: etf.source === undefined ? undefined : etf.source !== MOCK_SOURCE,
+    fetched_at: etf.fetched_at
+  });
+};
+
+// Watchlist admin routes:
+//   GET   /watchlist           list every tracked ticker
+//   POST  /watchlist           add a ticker
+//   PATCH /watchlist/{ticker}  disable/enable, reweight or recategorize a ticker
+const handleWatchlistRequest = async (req, res, databases, users) => {
+  if (!CONFIG.DATABASE.WATCHLIST_COLLECTION_ID) {
+    return res.json({ success: false, error: 'Watchlist collection is not configured' }, 400);
+  }
+
+  try {
+    const method = req.method ?? 'GET';
+    if (method !== 'GET') {
+      await assertAdmin(users, req.headers['x-appwrite-user-id'], CONFIG.ADMIN_LABEL);
+    }
+
+    const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : req.body ?? {};
+    const tickerMatch = req.path.match(/^\/watchlist\/([^/]+)$/);
+
+    if (method === 'GET' && req.path === '/watchlist') {
+      return res.json({ success: true, watchlist: await listWatchlist(databases, CONFIG.DATABASE) });
+    }
+    if (method === 'POST' && req.path === '/watchlist') {
+      return res.json({ success: true, entry: await addWatchlistEntry(databases, CONFIG.DATABASE, body) }, 201);
+    }
+    if (method === 'PATCH' && tickerMatch) {
+      const entry = await updateWatchlistEntry(databases, CONFIG.DATABASE, decodeURIComponent(tickerMatch[1]), body);
+      return res.json({ success: true, entry });
+    }
+
+    return res.json({ success: false, error: `Route not found: ${method} ${req.path}` }, 404);
+  } catch (e) {
+    const statusCode = e.statusCode ?? (e instanceof SyntaxError ? 400 : 500);
+    return res.json({ success: false, error: e.message }, statusCode);
+  }
 };
 
 // Main function
-export default async ({ req, res, log, error }) => {
+export default async ({ req, res, log, error, client }) => {
   const startTime = Date.now();
   const timestamp = new Date().toISOString();
   
+  // Only the test harness passes its own client
+  client ??= initClient(req.headers['x-appwrite-key']);
+  const databases = new Databases(client);
+  
+  // JSON log lines tagged with this execution. Fetch runs also leave a run
+  // record and alert on failures and anomalies; watchlist requests only log.
+  const run = startRun({
+    functionName: 'FetchesRealWorldStocks',
+    context: { req, log, error },
+    databases,
+    databaseId: CONFIG.DATABASE.ID,
+    runsCollection: CONFIG.DATABASE.RUN_RECORDS_COLLECTION_ID,
+    alertSink: createWebhookAlertSink(CONFIG.ALERT_WEBHOOK_URL),
+  });
+  const logger = run.logger;
+  
   try {
     // Validate required environment variables
+    const providerChains = Object.fromEntries(
+      Object.entries(CONFIG.ASSET_CLASSES).map(([assetClass, { PROVIDERS }]) => [
+        assetClass,
+        createProviders(PROVIDERS || CONFIG.PROVIDERS, CONFIG),
+      ])
+    );
+    const providerNames = [...new Set(Object.values(providerChains).flat().map(provider => provider.name))];
     const requiredEnvVars = [
       'APPWRITE_FUNCTION_API_ENDPOINT',
       'APPWRITE_FUNCTION_PROJECT_ID',
-      'STOCK_API_KEY',
       'STOCK_DATABASE_ID',
       'STOCK_COLLECTION_ID',
+      ...(CONFIG.MOCK_MARKET.FORCE ? [] : providerNames.flatMap(name => CONFIG.PROVIDER_ENV_VARS[name])),
     ];
     
     for (const envVar of requiredEnvVars) {
@@ -309,44 +457,124 @@ export default async ({ req, res, log, error }) => {
       }
     }
     
-    const client = initClient(req.headers['x-appwrite-key']);
-    const databases = new Databases(client);
+    if (req.path?.startsWith('/watchlist')) {
+      return handleWatchlistRequest(req, res, databases, new Users(client));
+    }
     
-    // Fetch popular ETF data
-    log(`[INFO] Starting to fetch data for ${CONFIG.POPULAR_ETFS.length} popular ETFs`);
-    const { results: etfs, errors } = await fetchAllPopularETFs(log);
-    log(`[INFO] Found ${etfs.length} ETFs to process (${errors.length} failed to fetch)`);
+    // Skip non-trading days, which would only store the last trading day's quotes
+    // again, except for the asset classes that trade around the clock
+    let watchlist = await loadWatchlist(databases, CONFIG.DATABASE, CONFIG.POPULAR_ETFS, logger);
+    if (CONFIG.MARKET_CALENDAR.ENABLED) {
+      const session = createMarketCalendar({
+        timezone: CONFIG.MARKET_CALENDAR.TIMEZONE,
+        open: CONFIG.MARKET_CALENDAR.OPEN,
+        close: CONFIG.MARKET_CALENDAR.CLOSE,
+        holidays: parseHolidays(CONFIG.MARKET_CALENDAR.HOLIDAYS),
+      }).session();
+      if (!session.tradingDay) {
+        watchlist = watchlist.filter(etf => CONFIG.ASSET_CLASSES[assetClassOf(etf)].ALWAYS_OPEN);
+      }
+      if (!session.tradingDay && watchlist.length > 0) {
+        logger.info(`${session.localDate} is not a trading day (${session.reason}), fetching only the ${watchlist.length} tickers trading around the clock`);
+      } else if (!session.tradingDay) {
+        logger.info(`${session.localDate} is not a trading day (${session.reason}), skipping fetch`);
+        await run.finish({ status: 'ok' });
+        return res.json({
+          success: true,
+          skipped: true,
+          reason: session.reason,
+          date: session.localDate,
+          timestamp,
+          executionTime: `${Date.now() - startTime}ms`,
+        });
+      }
+    }
+    
+    // Fetch popular ETF data, skipping the quotes that are still fresh
+    const { cached, due } = planFetch(
+      watchlist,
+      await loadStoredQuotes(databases, CONFIG.DATABASE),
+      CONFIG.SCHEDULER.CACHE_TTL_MINUTES,
+      Date.now()
+    );
+    logger.info(`Starting to fetch data for ${due.length} popular ETFs (${cached.length} cached)`);
+    if (CONFIG.MOCK_MARKET.FORCE) {
+      logger.warn(`MOCK_MARKET is enabled, serving mock quotes (seed: ${CONFIG.MOCK_MARKET.SEED})`);
+    } else {
+      logger.info(`Using market data providers: ${Object.entries(providerChains)
+        .map(([assetClass, providers]) => `${assetClass} ${providers.map(provider => provider.name).join(' → ')}`)
+        .join(', ')}`);
+    }
+    const limiters = await loadRateLimiters(
+      databases,
+      CONFIG.DATABASE,
+      providerNames,
+      CONFIG.QUOTAS
+    );
+    const scheduler = createFetchScheduler({
+      limiters,
+      deadline: startTime + CONFIG.SCHEDULER.MAX_RUN_SECONDS * 1000,
+      sleep,
+      logger,
+    });
+    const { results: etfs, errors, deferred, mocked } = await fetchAllPopularETFs(due, providerChains, scheduler, logger);
+    logger.info(`Found ${etfs.length} ETFs to process (${errors.length} failed to fetch, ${deferred.length} deferred, ${mocked.length} mocked)`);
+    await saveRateLimiters(databases, CONFIG.DATABASE, limiters);
     
     // Process ETFs
-    const processResults = await processETFs(databases, etfs, log);
+    const processResults = await processETFs(databases, etfs, logger);
+    await run.finish({
+      status: 'ok',
+      counts: {
+        fetched: etfs.length - mocked.length,
+        mocked: mocked.length,
+        updated: processResults.created + processResults.updated,
+        failed: errors.length + processResults.failed,
+      },
+      errors: errors.map(({ ticker, error: message }) => `${ticker}: ${message}`),
+      anomalies: [
+        // A forced mock market is mocked on purpose
+        ...(mocked.length > 0 && !CONFIG.MOCK_MARKET.FORCE ? [`Stored mock quotes for ${mocked.join(', ')}`] : []),
+        ...(errors.length > 0 ? [`${errors.length} tickers failed to fetch`] : []),
+        ...(processResults.failed > 0 ? [`${processResults.failed} quotes failed to store`] : []),
+      ],
+    });
     
     // Return success response
     return res.json({
       success: true,
       message: `Successfully processed ${etfs.length} popular ETFs`,
       details: {
-        total_attempted: CONFIG.POPULAR_ETFS.length,
+        total_attempted: due.length,
         total_fetched: etfs.length,
         fetch_errors: errors.length,
+        cached: cached.length,
+        deferred: deferred.length,
+        mocked: mocked.length,
         created: processResults.created,
         updated: processResults.updated,
         failed: processResults.failed,
       },
       fetch_errors: errors,
+      deferred,
+      mocked,
+      // The tickers this run was responsible for, fetched or still cached; on
+      // non-trading days only those trading around the clock
+      tickers: watchlist.map(etf => etf.ticker),
+      quota: scheduler.usage(),
       timestamp,
       executionTime: `${Date.now() - startTime}ms`,
     });
   } catch (e) {
-    // Log error with consistent format
-    log(`[ERROR] ${e.message}`);
-    error(e);
+    logger.error(e);
+    await run.finish({ status: 'failed', errors: [e.message] });
     
     // Return error response with appropriate status code
     let statusCode = 500;
     
     if (e.message.includes('AlphaVantage API error') && e.message.includes('429')) {
       statusCode = 429; // Rate limited
-    } else if (e.message.includes('Missing required environment variable')) {
+    } else if (e.message.includes('Missing required environment variable') || e.message.includes('Unknown market data provider')) {
       statusCode = 400; // Bad request / configuration error
     }
     
@@ -0,0 +1,116 @@
+// Deterministic mock market used for offline development and as the fallback
+// when every provider fails. Each ticker follows a geometric Brownian motion
+// path with one step per UTC calendar day:
+//
+//   S(d) = S(d-1) * exp((drift - volatility² / 2) * dt + volatility * sqrt(dt) * Z(d))
+//
+// where dt = 1/252 and Z(d) is a standard normal drawn from a generator seeded
+// with the market seed, the ticker and the day index. The same seed therefore
+// always produces the same price for a ticker on a given day, whichever order
+// or how often quotes are requested.
+
+const TRADING_DAYS_PER_YEAR = 252;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hash a string into a 32-bit seed (FNV-1a)
+const hashSeed = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Uniform [0, 1) generator (mulberry32) fully determined by the seed
+export const createRandom = (seed) => {
+  let state = hashSeed(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal sample via Box-Muller; 1 - random() keeps the log argument above zero
+const gaussian = (random) =>
+  Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+export const createMockMarket = ({
+  seed = 'mock-market',
+  drift = 0.07,
+  volatility = 0.2,
+  startDate = '2024-01-01',
+  basePrices = {},
+} = {}) => {
+  const start = Date.parse(`${startDate}T00:00:00Z`);
+  const dt = 1 / TRADING_DAYS_PER_YEAR;
+  const stepDrift = (drift - (volatility * volatility) / 2) * dt;
+  const stepVolatility = volatility * Math.sqrt(dt);
+
+  // Latest computed point of each ticker's path: { day, price }
+  const state = new Map();
+
+  // Base price between $50 and $550, stable for a ticker under a seed
+  const basePrice = (symbol) =>
+    basePrices[symbol] ?? 50 + createRandom(`${seed}:${symbol}:base`)() * 500;
+
+  const step = (symbol, day, price) =>
+    price *
+    Math.exp(
+      stepDrift +
+        stepVolatility * gaussian(createRandom(`${seed}:${symbol}:${day}`))
+    );
+
+  // Price of a ticker on a day index, walking forward from the cached state
+  const priceOn = (symbol, day) => {
+    let current = state.get(symbol);
+    if (!current || current.day > day) {
+      current = { day: 0, price: basePrice(symbol) };
+    }
+
+    let { price } = current;
+    for (let d = current.day + 1; d <= day; d++) {
+      price = step(symbol, d, price);
+    }
+
+    if (day >= (state.get(symbol)?.day ?? -1)) {
+      state.set(symbol, { day, price });
+    }
+    return price;
+  };
+
+  // Quote in the AlphaVantage GLOBAL_QUOTE shape for a ticker on a date
+  const quote = (symbol, date = new Date()) => {
+    const day = Math.max(
+      1,
+      Math.floor((new Date(date).getTime() - start) / DAY_MS)
+    );
+    const previousClose = priceOn(symbol, day - 1);
+    const price = priceOn(symbol, day);
+    const random = createRandom(`${seed}:${symbol}:${day}:intraday`);
+    const high = Math.max(previousClose, price) * (1 + random() * 0.01);
+    const low = Math.min(previousClose, price) * (1 - random() * 0.01);
+    const volume = Math.floor(100000 + random() * 9900000);
+    const change = price - previousClose;
+    const tradingDay = new Date(start + day * DAY_MS)
+      .toISOString()
+      .split('T')[0];
+
+    return {
+      '01. symbol': symbol,
+      '02. open': previousClose.toFixed(4),
+      '03. high': high.toFixed(4),
+      '04. low': low.toFixed(4),
+      '05. price': price.toFixed(4),
+      '06. volume': volume.toString(),
+      '07. latest trading day': tradingDay,
+      '08. previous close': previousClose.toFixed(4),
+      '09. change': change.toFixed(4),
+      '10. change percent': `${((change / previousClose) * 100).toFixed(4)}%`,
+    };
+  };
+
+  return { quote };
+};
@@ -0,0 +1,223 @@
+import { randomUUID } from 'node:crypto';
+
+// Structured logs, run records and alerts for the market functions. Appwrite
+// deploys each function on its own, so this file is copied verbatim into each
+// of them; test/observability.test.js at the repository root fails when the
+// copies drift apart.
+//
+// Every log line is one JSON object:
+//   {"time":"...","level":"info","function":"marketManipulator","run_id":"...","message":"...", ...fields}
+// Every execution ends with finish(), which stores a run record (when a runs
+// collection is configured) and sends an alert for failed runs and anomalies
+// (when an alert sink is configured).
+
+const DEFAULT_ALERT_TIMEOUT_MS = 5000;
+
+// Set by MarketPipeline on every stage it runs, so the stages of one pipeline
+// run log and record under the same run ID
+export const PIPELINE_RUN_HEADER = 'x-pipeline-run-id';
+
+/**
+ * Creates a logger writing JSON lines through the Appwrite runtime's log and
+ * error functions (the console without them). Errors go to the error stream,
+ * every other level to the log stream.
+ *
+ * @param {Object} options
+ * @param {string} options.functionName - Function the lines are tagged with
+ * @param {string} [options.runId] - Execution the lines are tagged with
+ * @param {Object} [options.context] - Object with log(line) and error(line)
+ * @param {Object} [options.fields] - Fields added to every line
+ * @param {Function} [options.now] - Clock, for tests
+ * @returns {Object} - { runId, debug, info, log, warn, error }; each method
+ *   takes a message (or Error) and optional extra fields
+ */
+export function createLogger({
+  functionName,
+  runId = randomUUID(),
+  context,
+  fields = {},
+  now = () => new Date(),
+}) {
+  const write = (level, message, extra = {}) => {
+    const line = JSON.stringify({
+      ...fields,
+      ...extra,
+      time: now().toISOString(),
+      level,
+      function: functionName,
+      run_id: runId,
+      message: message instanceof Error ? message.message : String(message),
+    });
+
+    if (level === 'error') {
+      context?.error ? context.error(line) : console.error(line);
+    } else {
+      context?.log ? context.log(line) : console.log(line);
+    }
+  };
+
+  return {
+    runId,
+    debug: (message, extra) => write('debug', message, extra),
+    info: (message, extra) => write('info', message, extra),
+    // Same as info, so the logger can stand in for the runtime context
+    log: (message, extra) => write('info', message, extra),
+    warn: (message, extra) => write('warn', message, extra),
+    error: (message, extra) => write('error', message, extra),
+  };
+}
+
+/**
+ * Creates an alert sink posting each alert as JSON to a webhook. Any object
+ * with an async send(alert) method can be used as a sink instead.
+ *
+ * @param {string|undefined} url - Webhook URL; no URL means no sink
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=5000] - Request timeout
+ * @returns {Object|null} - { send(alert) }, or null without a URL
+ */
+export function createWebhookAlertSink(
+  url,
+  { timeoutMs = DEFAULT_ALERT_TIMEOUT_MS } = {}
+) {
+  if (!url) {
+    return null;
+  }
+
+  return {
+    send: async (alert) => {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(alert),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!response.ok) {
+        throw new Error(`Alert webhook answered ${response.status}`);
+      }
+    },
+  };
+}
+
+/**
+ * Starts tracking an execution. The returned logger tags every line with the
+ * run's ID; finish() closes the run.
+ *
+ * Run record attributes (runs collection, one document per execution):
+ * function: String
+ * run_id: String (shared by the stages of one pipeline run)
+ * status: String ("ok" or "failed")
+ * started_at, finished_at: DateTime
+ * duration_ms: Integer
+ * fetched, mocked, updated, failed: Integer (the counts the function has)
+ * manipulator: Float
+ * errors: String (JSON array of error messages)
+ * anomalies: String (JSON array of anomaly descriptions)
+ *
+ * @param {Object} options
+ * @param {string} options.functionName - Name stored with the run
+ * @param {Object} [options.context] - Runtime object with log and error
+ * @param {string} [options.runId] - Run ID; defaults to the x-pipeline-run-id
+ *   header of context.req, and to a new ID without one
+ * @param {Object} [options.databases] - The Appwrite Databases instance
+ * @param {string} [options.databaseId] - Database holding the runs collection
+ * @param {string} [options.runsCollection] - Runs collection; none skips the record
+ * @param {Object|null} [options.alertSink] - { send(alert) }; none skips alerts
+ * @param {Function} [options.now] - Clock, for tests
+ * @returns {Object} - { runId, logger, finish(outcome) }
+ */
+export function startRun({
+  functionName,
+  context,
+  runId = context?.req?.headers?.[PIPELINE_RUN_HEADER] || randomUUID(),
+  databases,
+  databaseId,
+  runsCollection,
+  alertSink = null,
+  now = () => new Date(),
+}) {
+  const logger = createLogger({ functionName, runId, context, now });
+  const startedAt = now();
+
+  /**
+   * Stores the run record and raises an alert when the run failed or found
+   * anomalies. Neither ever throws: a broken runs collection or webhook is
+   * logged, and must not turn a good run into a failed one.
+   *
+   * @param {Object} outcome
+   * @param {string} outcome.status - "ok" or "failed"
+   * @param {Object} [outcome.counts] - { fetched, mocked, updated, failed }
+   * @param {number|null} [outcome.manipulator] - Manipulator computed or applied
+   * @param {Array<string>} [outcome.errors] - Error messages
+   * @param {Array<string>} [outcome.anomalies] - Anomalies worth an alert
+   * @returns {Promise<Object>} - The run record
+   */
+  const finish = async ({
+    status,
+    counts = {},
+    manipulator = null,
+    errors = [],
+    anomalies = [],
+  }) => {
+    const finishedAt = now();
+    const record = {
+      function: functionName,
+      run_id: runId,
+      status,
+      started_at: startedAt.toISOString(),
+      finished_at: finishedAt.toISOString(),
+      duration_ms: finishedAt - startedAt,
+      fetched: counts.fetched ?? null,
+      mocked: counts.mocked ?? null,
+      updated: counts.updated ?? null,
+      failed: counts.failed ?? null,
+      manipulator: Number.isFinite(manipulator) ? manipulator : null,
+      errors: JSON.stringify(errors),
+      anomalies: JSON.stringify(anomalies),
+    };
+
+    for (const anomaly of anomalies) {
+      logger.warn(`Anomaly: ${anomaly}`);
+    }
+    logger.info(`Run finished: ${status}`, {
+      duration_ms: record.duration_ms,
+      ...counts,
+    });
+
+    if (runsCollection && databases) {
+      try {
+        // Not keyed by run ID: every stage of a pipeline run, and every
+        // retry, stores its own record
+        await databases.createDocument(
+          databaseId,
+          runsCollection,
+          randomUUID(),
+          record
+        );
+      } catch (error) {
+        logger.error(`Failed to store the run record: ${error.message}`);
+      }
+    }
+
+    if (alertSink && (status !== 'ok' || anomalies.length > 0)) {
+      try {
+        await alertSink.send({
+          function: functionName,
+          run_id: runId,
+          status,
+          errors,
+          anomalies,
+          counts,
+          manipulator: record.manipulator,
+          time: record.finished_at,
+        });
+      } catch (error) {
+        logger.error(`Failed to send the alert: ${error.message}`);
+      }
+    }
+
+    return record;
+  };
+
+  return { runId, logger, finish };
+}
@@ -0,0 +1,297 @@
+import { readFile } from 'node:fs/promises';
+
+// Market data providers. Each provider exposes fetchQuote(symbol, logger), which
+// resolves to a normalized quote:
+// {
+//   price: '512.34',
+//   change_amount: '-1.20',
+//   change_percentage: '-0.2337%',
+//   volume: '1234567' | null,
+//   latest_trading_day: 'YYYY-MM-DD',
+//   raw: <provider response used for raw_data>
+// }
+// Values stay strings, in the format the AlphaVantage response always had.
+// A provider refusing a request for exceeding its quota throws a
+// rateLimitError instead, which the scheduler does not count as a failure.
+
+// Error for a request refused by a provider's rate limit. scope is 'minute'
+// (retry shortly) or 'day' (retry once the daily quota resets).
+export const rateLimitError = (message, scope) => {
+  const error = new Error(message);
+  error.rateLimited = true;
+  error.scope = scope;
+  return error;
+};
+
+// Fetch JSON with a timeout, turning aborts into a readable error
+const fetchJSON = async (url, label, timeoutMs) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, {
+      signal: controller.signal,
+      headers: {
+        Accept: 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const message = `${label}: ${response.status} - ${errorText}`;
+      throw response.status === 429
+        ? rateLimitError(message, 'minute')
+        : new Error(message);
+    }
+
+    return await response.json();
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`${label} request timed out after ${timeoutMs}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+const formatPercent = (value) => `${Number(value).toFixed(4)}%`;
+
+// Normalize an AlphaVantage GLOBAL_QUOTE object (also the mock data shape)
+export const normalizeGlobalQuote = (quote) => ({
+  price: quote['05. price'],
+  change_amount: quote['09. change'],
+  change_percentage: quote['10. change percent'],
+  volume: quote['06. volume'],
+  latest_trading_day: quote['07. latest trading day'],
+  raw: quote,
+});
+
+const createAlphaVantageProvider = (config) => ({
+  name: 'alphavantage',
+  fetchQuote: async (symbol, logger) => {
+    const url = new URL(config.BASE_URL);
+    url.searchParams.append('function', 'GLOBAL_QUOTE');
+    url.searchParams.append('symbol', symbol);
+    url.searchParams.append('apikey', config.API_KEY);
+
+    logger.info(`Fetching data for ETF: ${symbol} from AlphaVantage`);
+    const data = await fetchJSON(
+      url.toString(),
+      `AlphaVantage API error for ${symbol}`,
+      config.TIMEOUT_MS
+    );
+
+    // Over the quota AlphaVantage still answers 200, with a "Note" (calls per
+    // minute) or an "Information" (calls per day) message instead of a quote
+    const notice = data?.Note ?? data?.Information;
+    if (
+      typeof notice === 'string' &&
+      /rate limit|call frequency|requests per/i.test(notice)
+    ) {
+      throw rateLimitError(
+        `AlphaVantage rate limit reached for ${symbol}: ${notice}`,
+        /per day|daily/i.test(notice) ? 'day' : 'minute'
+      );
+    }
+
+    if (
+      !data ||
+      !data['Global Quote'] ||
+      Object.keys(data['Global Quote']).length === 0
+    ) {
+      logger.debug(
+        `Invalid API response for ${symbol}: ${JSON.stringify(data)}`
+      );
+      throw new Error(
+        `Invalid data structure received from AlphaVantage for ${symbol}`
+      );
+    }
+
+    return normalizeGlobalQuote(data['Global Quote']);
+  },
+});
+
+const createFinnhubProvider = (config) => ({
+  name: 'finnhub',
+  fetchQuote: async (symbol, logger) => {
+    const url = new URL(config.BASE_URL);
+    url.searchParams.append('symbol', symbol);
+    url.searchParams.append('token', config.API_KEY);
+
+    logger.info(`Fetching data for ETF: ${symbol} from Finnhub`);
+    const data = await fetchJSON(
+      url.toString(),
+      `Finnhub API error for ${symbol}`,
+      config.TIMEOUT_MS
+    );
+
+    // Finnhub answers unknown symbols with an all-zero quote
+    if (!data || typeof data.c !== 'number' || data.c === 0) {
+      logger.debug(
+        `Invalid API response for ${symbol}: ${JSON.stringify(data)}`
+      );
+      throw new Error(
+        `Invalid data structure received from Finnhub for ${symbol}`
+      );
+    }
+
+    return {
+      price: data.c.toFixed(4),
+      change_amount: Number(data.d ?? 0).toFixed(4),
+      change_percentage: formatPercent(data.dp ?? 0),
+      volume: null,
+      latest_trading_day: new Date(data.t * 1000).toISOString().split('T')[0],
+      raw: data,
+    };
+  },
+});
+
+// Crypto prices from the 24-hour stats of Coinbase Exchange's public API, which
+// needs no key. Symbols are base currencies (BTC, ETH), quoted in
+// QUOTE_CURRENCY; the change is measured against the price 24 hours ago.
+const createCoinbaseProvider = (config) => ({
+  name: 'coinbase',
+  fetchQuote: async (symbol, logger) => {
+    const product = `${symbol}-${config.QUOTE_CURRENCY}`;
+    const url = `${config.BASE_URL}/products/${encodeURIComponent(product)}/stats`;
+
+    logger.info(`Fetching data for ${product} from Coinbase`);
+    const data = await fetchJSON(
+      url,
+      `Coinbase API error for ${symbol}`,
+      config.TIMEOUT_MS
+    );
+
+    const last = parseFloat(data?.last);
+    const open = parseFloat(data?.open);
+    if (!(last > 0) || !(open > 0)) {
+      logger.debug(
+        `Invalid API response for ${symbol}: ${JSON.stringify(data)}`
+      );
+      throw new Error(
+        `Invalid data structure received from Coinbase for ${symbol}`
+      );
+    }
+
+    const volume = parseFloat(data.volume);
+    return {
+      price: last.toFixed(4),
+      change_amount: (last - open).toFixed(4),
+      change_percentage: formatPercent(((last - open) / open) * 100),
+      volume: isNaN(volume) ? null : Math.round(volume).toString(),
+      // Crypto trades every day
+      latest_trading_day: new Date().toISOString().split('T')[0],
+      raw: data,
+    };
+  },
+});
+
+// Parse a CSV file with a header row into an array of objects
+const parseCSV = (text) => {
+  const [header, ...rows] = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const columns = header.split(',').map((column) => column.trim());
+
+  return rows.map((row) => {
+    const values = row.split(',').map((value) => value.trim());
+    return Object.fromEntries(
+      columns.map((column, index) => [column, values[index]])
+    );
+  });
+};
+
+// Reads quotes from a local CSV or JSON file. Records need ticker (or symbol),
+// price, change, change_percent and optionally volume and date. JSON files may
+// hold an array of records or an object keyed by ticker.
+const createFileProvider = (config) => {
+  let quotes = null;
+
+  const loadQuotes = async () => {
+    if (quotes) {
+      return quotes;
+    }
+    if (!config.PATH) {
+      throw new Error('File provider requires MARKET_DATA_FILE');
+    }
+
+    const text = await readFile(config.PATH, 'utf8');
+    let records;
+    if (config.PATH.toLowerCase().endsWith('.csv')) {
+      records = parseCSV(text);
+    } else {
+      const data = JSON.parse(text);
+      records = Array.isArray(data)
+        ? data
+        : Object.entries(data).map(([ticker, record]) => ({
+            ticker,
+            ...record,
+          }));
+    }
+
+    quotes = {};
+    for (const record of records) {
+      const ticker = record.ticker ?? record.symbol;
+      if (ticker) {
+        quotes[ticker.toUpperCase()] = record;
+      }
+    }
+    return quotes;
+  };
+
+  return {
+    name: 'file',
+    fetchQuote: async (symbol, logger) => {
+      logger.info(`Reading data for ETF: ${symbol} from ${config.PATH}`);
+      const record = (await loadQuotes())[symbol];
+      const price = parseFloat(record?.price);
+      if (!record || isNaN(price)) {
+        throw new Error(`No valid quote for ${symbol} in ${config.PATH}`);
+      }
+
+      const changePercent = parseFloat(
+        String(record.change_percent ?? 0).replace('%', '')
+      );
+      return {
+        price: price.toFixed(4),
+        change_amount: Number(record.change ?? 0).toFixed(4),
+        change_percentage: formatPercent(
+          isNaN(changePercent) ? 0 : changePercent
+        ),
+        volume:
+          record.volume !== undefined && record.volume !== ''
+            ? String(record.volume)
+            : null,
+        latest_trading_day:
+          record.date ?? new Date().toISOString().split('T')[0],
+        raw: record,
+      };
+    },
+  };
+};
+
+const PROVIDER_FACTORIES = {
+  alphavantage: (config) => createAlphaVantageProvider(config.ALPHA_VANTAGE),
+  finnhub: (config) => createFinnhubProvider(config.FINNHUB),
+  coinbase: (config) => createCoinbaseProvider(config.COINBASE),
+  file: (config) => createFileProvider(config.FILE),
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDER_FACTORIES);
+
+// Build the ordered provider chain from a comma-separated list of names
+export const createProviders = (names, config) =>
+  names
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean)
+    .map((name) => {
+      if (!PROVIDER_FACTORIES[name]) {
+        throw new Error(
+          `Unknown market data provider: ${name} (expected one of ${PROVIDER_NAMES.join(', ')})`
+        );
+      }
+      return PROVIDER_FACTORIES[name](config);
+    });
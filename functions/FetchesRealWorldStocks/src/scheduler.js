@@ -0,0 +1,249 @@
+import { Query } from 'node-appwrite';
+
+// Request scheduling for the market data providers:
+// - a rate limiter per provider enforces its per-minute and per-day quota;
+//   with RATE_LIMIT_COLLECTION_ID the usage survives between invocations
+// - stored quotes younger than the cache TTL are not fetched again
+// - the other tickers are fetched stalest first, and whatever the quotas or
+//   the run's time budget cannot cover is left for the next invocation, which
+//   then starts with those tickers
+
+const MINUTE_MS = 60 * 1000;
+const PAGE_SIZE = 100;
+
+const utcDay = (ms) => new Date(ms).toISOString().split('T')[0];
+
+// Track one provider's requests. A quota of 0 means no limit. state is what
+// state() returned in an earlier invocation; a state from another UTC day is
+// discarded, since the daily quotas reset at midnight UTC.
+export const createRateLimiter = ({
+  perMinute = 0,
+  perDay = 0,
+  state = {},
+  now = Date.now,
+}) => {
+  let day = utcDay(now());
+  const sameDay = state.day === day;
+  let requests = sameDay ? (state.requests ?? 0) : 0;
+  let exhausted = sameDay ? Boolean(state.exhausted) : false;
+  let blockedUntil = state.blockedUntil ?? 0;
+  let recent = state.recent ?? [];
+
+  const rollover = () => {
+    const today = utcDay(now());
+    if (today !== day) {
+      day = today;
+      requests = 0;
+      exhausted = false;
+    }
+    recent = recent.filter((time) => time > now() - MINUTE_MS);
+  };
+
+  return {
+    // Milliseconds until the next request may be sent, Infinity once the
+    // day's quota is used up
+    waitTime: () => {
+      rollover();
+      if (exhausted || (perDay > 0 && requests >= perDay)) {
+        return Infinity;
+      }
+      const windowWait =
+        perMinute > 0 && recent.length >= perMinute
+          ? recent[recent.length - perMinute] + MINUTE_MS - now()
+          : 0;
+      return Math.max(windowWait, blockedUntil - now(), 0);
+    },
+    record: () => {
+      rollover();
+      requests++;
+      recent.push(now());
+    },
+    // The provider refused a request although the quota allowed it: stop
+    // asking for a minute, or for the rest of the day
+    refuse: (scope) => {
+      rollover();
+      if (scope === 'day') {
+        exhausted = true;
+      } else {
+        blockedUntil = now() + MINUTE_MS;
+      }
+    },
+    usage: () => {
+      rollover();
+      return {
+        requests,
+        remaining: perDay > 0 ? Math.max(0, perDay - requests) : null,
+        exhausted: exhausted || (perDay > 0 && requests >= perDay),
+      };
+    },
+    state: () => ({ day, requests, exhausted, blockedUntil, recent }),
+  };
+};
+
+// Hand out request slots across the providers until the run's deadline.
+// acquire(provider) resolves to:
+// - 'ok' once a request may be sent (waiting for the rate limit if needed)
+// - 'exhausted' when the provider's quota for the day is used up
+// - 'deferred' when the next slot would come after the deadline
+export const createFetchScheduler = ({
+  limiters,
+  deadline,
+  sleep,
+  logger,
+  now = Date.now,
+}) => ({
+  acquire: async (provider) => {
+    const limiter = limiters[provider];
+    if (!limiter) {
+      return 'ok';
+    }
+
+    const wait = limiter.waitTime();
+    if (wait === Infinity) {
+      return 'exhausted';
+    }
+    if (now() + wait > deadline) {
+      return 'deferred';
+    }
+    if (wait > 0) {
+      logger.info(
+        `Waiting ${Math.ceil(wait / 1000)}s for the ${provider} rate limit`
+      );
+      await sleep(wait);
+    }
+    limiter.record();
+    return 'ok';
+  },
+  refuse: (provider, scope) => limiters[provider]?.refuse(scope),
+  usage: () =>
+    Object.fromEntries(
+      Object.entries(limiters).map(([name, limiter]) => [name, limiter.usage()])
+    ),
+});
+
+// Create the rate limiters of the providers that have a quota, restoring the
+// usage saved by earlier invocations
+export const loadRateLimiters = async (
+  databases,
+  config,
+  providerNames,
+  quotas,
+  now = Date.now
+) => {
+  const limiters = {};
+  for (const name of providerNames) {
+    if (!quotas[name]) {
+      continue;
+    }
+
+    let state = {};
+    if (config.RATE_LIMIT_COLLECTION_ID) {
+      try {
+        const doc = await databases.getDocument(
+          config.ID,
+          config.RATE_LIMIT_COLLECTION_ID,
+          name
+        );
+        state = {
+          day: doc.day,
+          requests: doc.requests,
+          exhausted: doc.exhausted,
+          blockedUntil: doc.blocked_until ? Date.parse(doc.blocked_until) : 0,
+          recent: JSON.parse(doc.recent_requests || '[]'),
+        };
+      } catch (error) {
+        if (error.code !== 404) {
+          throw error;
+        }
+      }
+    }
+    limiters[name] = createRateLimiter({ ...quotas[name], state, now });
+  }
+  return limiters;
+};
+
+// Save each provider's usage, one document per provider
+export const saveRateLimiters = async (databases, config, limiters) => {
+  if (!config.RATE_LIMIT_COLLECTION_ID) {
+    return;
+  }
+
+  for (const [name, limiter] of Object.entries(limiters)) {
+    const { day, requests, exhausted, blockedUntil, recent } = limiter.state();
+    const data = {
+      day,
+      requests,
+      exhausted,
+      blocked_until:
+        blockedUntil > 0 ? new Date(blockedUntil).toISOString() : null,
+      recent_requests: JSON.stringify(recent),
+    };
+    try {
+      await databases.updateDocument(
+        config.ID,
+        config.RATE_LIMIT_COLLECTION_ID,
+        name,
+        data
+      );
+    } catch (error) {
+      if (error.code !== 404) {
+        throw error;
+      }
+      await databases.createDocument(
+        config.ID,
+        config.RATE_LIMIT_COLLECTION_ID,
+        name,
+        data
+      );
+    }
+  }
+};
+
+// Stored quotes keyed by ticker, which double as the quote cache
+export const loadStoredQuotes = async (databases, config) => {
+  const quotes = {};
+  let cursor = null;
+
+  while (true) {
+    const queries = [Query.limit(PAGE_SIZE)];
+    if (cursor) {
+      queries.push(Query.cursorAfter(cursor));
+    }
+
+    const response = await databases.listDocuments(
+      config.ID,
+      config.COLLECTION_ID,
+      queries
+    );
+    for (const doc of response.documents) {
+      quotes[doc.ticker_symbol] = doc;
+    }
+
+    if (response.documents.length < PAGE_SIZE) {
+      return quotes;
+    }
+    cursor = response.documents[response.documents.length - 1].$id;
+  }
+};
+
+// Split the watchlist into the tickers whose stored quote is younger than
+// ttlMinutes (cached) and the ones to fetch (due), stalest first with the
+// never fetched ones in front
+export const planFetch = (watchlist, storedQuotes, ttlMinutes, now) => {
+  const cached = [];
+  const due = [];
+
+  for (const etf of watchlist) {
+    const updated = Date.parse(storedQuotes[etf.ticker]?.last_updated ?? '');
+    if (ttlMinutes > 0 && updated > now - ttlMinutes * MINUTE_MS) {
+      cached.push(etf);
+    } else {
+      due.push({ etf, updated: isNaN(updated) ? -Infinity : updated });
+    }
+  }
+
+  due.sort((a, b) =>
+    a.updated === b.updated ? 0 : a.updated < b.updated ? -1 : 1
+  );
+  return { cached, due: due.map(({ etf }) => etf) };
+};
@@ -0,0 +1,224 @@
+import { ID, Query } from 'node-appwrite';
+import { ASSET_CLASSES } from './schema.js';
+
+// Tracked tickers stored in the watchlist collection:
+// { ticker, description, category, asset_class, enabled, weight }
+
+const PAGE_SIZE = 100;
+
+// Asset class implied by a category, for entries that do not name one
+const CATEGORY_ASSET_CLASSES = {
+  bonds: 'bond',
+  commodities: 'commodity',
+  crypto: 'crypto',
+};
+
+// Asset class of a watchlist entry. Entries stored before asset classes
+// existed, and the defaults, get the one their category implies.
+export const assetClassOf = (entry) =>
+  entry.asset_class ?? CATEGORY_ASSET_CLASSES[entry.category] ?? 'equity';
+
+// Error carrying the HTTP status code the handler should answer with
+const watchlistError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Validate an add (full) or update (partial) request body
+export const validateWatchlistEntry = (body, partial = false) => {
+  const entry = {};
+
+  if (!partial || body?.ticker !== undefined) {
+    if (
+      typeof body?.ticker !== 'string' ||
+      !/^[A-Za-z0-9.\-]{1,10}$/.test(body.ticker.trim())
+    ) {
+      throw watchlistError(
+        'Invalid ticker: expected 1-10 letters, digits, dots or dashes',
+        400
+      );
+    }
+    entry.ticker = body.ticker.trim().toUpperCase();
+  }
+  if (!partial || body?.description !== undefined) {
+    if (typeof body?.description !== 'string' || !body.description.trim()) {
+      throw watchlistError(
+        'Invalid description: expected a non-empty string',
+        400
+      );
+    }
+    entry.description = body.description.trim();
+  }
+  if (!partial || body?.category !== undefined) {
+    if (typeof body?.category !== 'string' || !body.category.trim()) {
+      throw watchlistError(
+        'Invalid category: expected a non-empty string',
+        400
+      );
+    }
+    entry.category = body.category.trim().toLowerCase();
+  }
+  if (!partial || body?.asset_class !== undefined) {
+    const assetClass = body?.asset_class ?? assetClassOf(entry);
+    if (!ASSET_CLASSES.includes(assetClass)) {
+      throw watchlistError(
+        `Invalid asset_class: expected one of ${ASSET_CLASSES.join(', ')}`,
+        400
+      );
+    }
+    entry.asset_class = assetClass;
+  }
+  if (!partial || body?.weight !== undefined) {
+    const weight = Number(body?.weight ?? 1);
+    if (!(weight > 0)) {
+      throw watchlistError('Invalid weight: expected a positive number', 400);
+    }
+    entry.weight = weight;
+  }
+  if (!partial || body?.enabled !== undefined) {
+    if (body?.enabled !== undefined && typeof body.enabled !== 'boolean') {
+      throw watchlistError('Invalid enabled: expected a boolean', 400);
+    }
+    entry.enabled = body?.enabled ?? true;
+  }
+
+  return entry;
+};
+
+const listAllEntries = async (databases, config, queries = []) => {
+  const documents = [];
+  let cursor = null;
+
+  while (true) {
+    const pageQueries = [...queries, Query.limit(PAGE_SIZE)];
+    if (cursor) {
+      pageQueries.push(Query.cursorAfter(cursor));
+    }
+
+    const response = await databases.listDocuments(
+      config.ID,
+      config.WATCHLIST_COLLECTION_ID,
+      pageQueries
+    );
+    documents.push(...response.documents);
+
+    if (response.documents.length < PAGE_SIZE) {
+      return documents;
+    }
+    cursor = response.documents[response.documents.length - 1].$id;
+  }
+};
+
+const findEntry = async (databases, config, ticker) => {
+  const response = await databases.listDocuments(
+    config.ID,
+    config.WATCHLIST_COLLECTION_ID,
+    [Query.equal('ticker', ticker), Query.limit(1)]
+  );
+  return response.documents[0] ?? null;
+};
+
+const toEntry = (doc) => ({
+  ticker: doc.ticker,
+  description: doc.description,
+  category: doc.category,
+  asset_class: assetClassOf(doc),
+  enabled: doc.enabled,
+  weight: doc.weight,
+});
+
+// Return the enabled tickers to fetch. Without a watchlist collection the
+// defaults are used as-is; an empty collection is seeded with the defaults.
+export const loadWatchlist = async (databases, config, defaults, logger) => {
+  if (!config.WATCHLIST_COLLECTION_ID) {
+    return defaults;
+  }
+
+  let documents = await listAllEntries(databases, config);
+  if (documents.length === 0) {
+    logger.info(
+      `Watchlist is empty, seeding it with ${defaults.length} default tickers`
+    );
+    documents = [];
+    for (const etf of defaults) {
+      documents.push(
+        await databases.createDocument(
+          config.ID,
+          config.WATCHLIST_COLLECTION_ID,
+          ID.unique(),
+          {
+            ticker: etf.ticker,
+            description: etf.description,
+            category: etf.category,
+            asset_class: assetClassOf(etf),
+            enabled: true,
+            weight: etf.weight ?? 1,
+          }
+        )
+      );
+    }
+  }
+
+  return documents.filter((doc) => doc.enabled).map(toEntry);
+};
+
+export const listWatchlist = async (databases, config) =>
+  (await listAllEntries(databases, config)).map(toEntry);
+
+export const addWatchlistEntry = async (databases, config, body) => {
+  const entry = validateWatchlistEntry(body);
+  if (await findEntry(databases, config, entry.ticker)) {
+    throw watchlistError(
+      `Ticker already on the watchlist: ${entry.ticker}`,
+      409
+    );
+  }
+
+  return toEntry(
+    await databases.createDocument(
+      config.ID,
+      config.WATCHLIST_COLLECTION_ID,
+      ID.unique(),
+      entry
+    )
+  );
+};
+
+// Update an entry, e.g. { enabled: false } to disable or { weight: 2 } to reweight
+export const updateWatchlistEntry = async (databases, config, ticker, body) => {
+  const changes = validateWatchlistEntry(body, true);
+  delete changes.ticker;
+  if (Object.keys(changes).length === 0) {
+    throw watchlistError(
+      'Nothing to update: expected description, category, asset_class, weight or enabled',
+      400
+    );
+  }
+
+  const doc = await findEntry(databases, config, ticker.toUpperCase());
+  if (!doc) {
+    throw watchlistError(`Ticker not on the watchlist: ${ticker}`, 404);
+  }
+
+  return toEntry(
+    await databases.updateDocument(
+      config.ID,
+      config.WATCHLIST_COLLECTION_ID,
+      doc.$id,
+      changes
+    )
+  );
+};
+
+// Only users carrying the admin label may change the watchlist
+export const assertAdmin = async (users, userId, adminLabel) => {
+  if (!userId) {
+    throw watchlistError('Authentication required', 401);
+  }
+
+  const user = await users.get(userId);
+  if (!user.labels?.includes(adminLabel)) {
+    throw watchlistError('Admin privileges required', 403);
+  }
+};
@@ -0,0 +1,367 @@
+import assert from 'node:assert/strict';
+import { afterEach, before, beforeEach, describe, it } from 'node:test';
+
+import {
+  MemoryClient,
+  MemoryDatabases,
+  alphaVantageQuote,
+  createContext,
+  createRequest,
+  createResponse,
+  stubAlphaVantage,
+  stubFetch,
+} from '../../../test/harness/index.js';
+import {
+  createFetchScheduler,
+  createRateLimiter,
+  planFetch,
+} from '../src/scheduler.js';
+
+// CONFIG is read when main.js is imported, so the environment comes first
+Object.assign(process.env, {
+  APPWRITE_FUNCTION_API_ENDPOINT: 'http://appwrite.test/v1',
+  APPWRITE_FUNCTION_PROJECT_ID: 'test',
+  STOCK_DATABASE_ID: 'db',
+  STOCK_COLLECTION_ID: 'realworld',
+  WATCHLIST_COLLECTION_ID: 'watchlist',
+  STOCK_API_KEY: 'test-key',
+  RATE_LIMIT_COLLECTION_ID: 'ratelimits',
+  RUN_RECORDS_COLLECTION_ID: 'runs',
+  MARKET_DATA_PROVIDERS: 'alphavantage',
+  MARKET_CALENDAR_ENABLED: 'false',
+});
+
+let handler;
+let createDocumentData;
+
+before(async () => {
+  ({ default: handler, createDocumentData } = await import('../src/main.js'));
+});
+
+const NOW = '2025-03-21T21:00:00.000Z';
+
+const record = (extra = {}) => ({
+  ticker: 'SPY',
+  name: 'S&P 500 ETF',
+  price: '571.2000',
+  change_amount: '4.1000',
+  change_percentage: '0.7200%',
+  volume: '1000000',
+  latest_trading_day: '2025-03-21',
+  category: 'equities',
+  asset_class: 'equity',
+  ...extra,
+});
+
+describe('createDocumentData', () => {
+  it('maps the record onto the collection attributes', () => {
+    const data = createDocumentData(record(), NOW);
+    assert.deepEqual(
+      { ...data, raw_data: undefined },
+      {
+        ticker_symbol: 'SPY',
+        etf_name: 'S&P 500 ETF',
+        category: 'equities',
+        asset_class: 'equity',
+        last_updated: NOW,
+        price: '571.2000',
+        change_amount: '4.1000',
+        change_percentage: '0.7200%',
+        volume: '1000000',
+        latest_trading_day: '2025-03-21',
+        raw_data: undefined,
+      }
+    );
+    assert.equal(JSON.parse(data.raw_data.join('')).symbol, 'SPY');
+  });
+
+  it('splits long raw data into chunks of at most 190 characters', () => {
+    const data = createDocumentData(record({ ticker: 'X'.repeat(400) }), NOW);
+    assert.ok(data.raw_data.length > 1);
+    assert.ok(data.raw_data.every((chunk) => chunk.length <= 190));
+  });
+
+  it('falls back to the current date for the trading day', () => {
+    const data = createDocumentData(
+      record({ latest_trading_day: undefined }),
+      NOW
+    );
+    assert.equal(data.latest_trading_day, '2025-03-21');
+  });
+});
+
+describe('handler', () => {
+  let databases;
+  let client;
+  let fetchStub;
+
+  beforeEach(() => {
+    databases = new MemoryDatabases({
+      'db/watchlist': [
+        { ticker: 'SPY', description: 'S&P 500 ETF', enabled: true },
+        { ticker: 'QQQ', description: 'Nasdaq 100 ETF', enabled: false },
+      ],
+    });
+    client = new MemoryClient({ databases });
+  });
+
+  afterEach(() => fetchStub?.restore());
+
+  const run = () => {
+    const context = createContext();
+    return handler({
+      req: createRequest(),
+      res: createResponse(),
+      log: context.log,
+      error: context.error,
+      client,
+    });
+  };
+
+  it('stores the quotes of the enabled watchlist tickers', async () => {
+    fetchStub = stubAlphaVantage({
+      SPY: { price: 571.2, changePercent: 0.72 },
+    });
+
+    const response = await run();
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.details.created, 1);
+    assert.deepEqual(response.body.tickers, ['SPY']);
+    assert.deepEqual(
+      fetchStub.calls.map((url) => url.searchParams.get('symbol')),
+      ['SPY']
+    );
+    const [document] = databases.documents('db', 'realworld');
+    assert.equal(document.ticker_symbol, 'SPY');
+    assert.equal(document.price, '571.2000');
+    assert.equal(document.change_percentage, '0.7200%');
+    assert.equal(document.source, 'alphavantage');
+    assert.equal(document.is_real, true);
+    assert.ok(document.fetched_at);
+  });
+
+  it('fetches crypto tickers from Coinbase', async () => {
+    await databases.createDocument('db', 'watchlist', 'btc', {
+      ticker: 'BTC',
+      description: 'Bitcoin',
+      category: 'crypto',
+      enabled: true,
+    });
+    fetchStub = stubFetch((url) =>
+      url.hostname === 'api.exchange.coinbase.com'
+        ? { open: '80000', last: '84000', volume: '1234.5' }
+        : alphaVantageQuote(url.searchParams.get('symbol'), { price: 571.2 })
+    );
+
+    const response = await run();
+
+    assert.equal(response.body.details.created, 2);
+    assert.deepEqual(
+      fetchStub.calls.map((url) => url.hostname + url.pathname),
+      [
+        'www.alphavantage.co/query',
+        'api.exchange.coinbase.com/products/BTC-USD/stats',
+      ]
+    );
+    const btc = databases
+      .documents('db', 'realworld')
+      .find((doc) => doc.ticker_symbol === 'BTC');
+    assert.equal(btc.price, '84000.0000');
+    assert.equal(btc.change_percentage, '5.0000%');
+    assert.equal(btc.category, 'crypto');
+    assert.equal(btc.asset_class, 'crypto');
+    assert.equal(btc.source, 'coinbase');
+  });
+
+  it('updates the stored quote once the cached one is stale', async () => {
+    fetchStub = stubAlphaVantage({ SPY: { price: 571.2 } });
+    await run();
+    fetchStub.restore();
+    const [stored] = databases.documents('db', 'realworld');
+    await databases.updateDocument('db', 'realworld', stored.$id, {
+      last_updated: '2025-03-20T21:00:00.000Z',
+    });
+    fetchStub = stubAlphaVantage({ SPY: { price: 580 } });
+
+    const response = await run();
+
+    assert.equal(response.body.details.updated, 1);
+    const documents = databases.documents('db', 'realworld');
+    assert.equal(documents.length, 1);
+    assert.equal(documents[0].price, '580.0000');
+  });
+
+  it('reports tickers the provider has no quote for', async () => {
+    fetchStub = stubAlphaVantage({});
+
+    const response = await run();
+
+    assert.equal(response.body.success, true);
+    assert.equal(response.body.details.fetch_errors, 1);
+    assert.equal(databases.documents('db', 'realworld').length, 0);
+  });
+
+  it('flags the mock quotes stored after repeated failures', async () => {
+    for (const ticker of ['IVV', 'VTI', 'VOO']) {
+      await databases.createDocument('db', 'watchlist', ticker, {
+        ticker,
+        description: ticker,
+        enabled: true,
+      });
+    }
+    fetchStub = stubAlphaVantage({});
+
+    const response = await run();
+
+    assert.equal(response.body.details.fetch_errors, 2);
+    assert.equal(response.body.details.mocked, 2);
+    assert.deepEqual(response.body.mocked, ['VTI', 'VOO']);
+    const documents = databases.documents('db', 'realworld');
+    assert.deepEqual(
+      documents.map((doc) => [doc.ticker_symbol, doc.source, doc.is_real]),
+      [
+        ['VTI', 'mock', false],
+        ['VOO', 'mock', false],
+      ]
+    );
+    const [record] = databases.documents('db', 'runs');
+    assert.equal(record.function, 'FetchesRealWorldStocks');
+    assert.equal(record.mocked, 2);
+    assert.equal(record.failed, 2);
+    assert.deepEqual(JSON.parse(record.anomalies), [
+      'Stored mock quotes for VTI, VOO',
+      '2 tickers failed to fetch',
+    ]);
+  });
+
+  it('does not refetch quotes younger than the cache TTL', async () => {
+    fetchStub = stubAlphaVantage({ SPY: { price: 571.2 } });
+    await run();
+
+    const response = await run();
+
+    assert.equal(fetchStub.calls.length, 1);
+    assert.equal(response.body.details.cached, 1);
+    assert.equal(response.body.details.total_fetched, 0);
+  });
+
+  it('defers tickers when AlphaVantage reports its rate limit', async () => {
+    fetchStub = stubFetch(() => ({
+      Information:
+        'Thank you for using Alpha Vantage! Our standard API rate limit is 25 requests per day.',
+    }));
+
+    const response = await run();
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(response.body.deferred, ['SPY']);
+    assert.equal(response.body.details.fetch_errors, 0);
+    assert.equal(databases.documents('db', 'realworld').length, 0);
+    const [usage] = databases.documents('db', 'ratelimits');
+    assert.equal(usage.$id, 'alphavantage');
+    assert.equal(usage.exhausted, true);
+  });
+
+  it('sends no request once the daily quota is used up', async () => {
+    fetchStub = stubAlphaVantage({ SPY: { price: 571.2 } });
+    await databases.createDocument('db', 'ratelimits', 'alphavantage', {
+      day: new Date().toISOString().split('T')[0],
+      requests: 25,
+      exhausted: false,
+      recent_requests: '[]',
+    });
+
+    const response = await run();
+
+    assert.equal(fetchStub.calls.length, 0);
+    assert.deepEqual(response.body.deferred, ['SPY']);
+    assert.deepEqual(response.body.quota.alphavantage, {
+      requests: 25,
+      remaining: 0,
+      exhausted: true,
+    });
+  });
+});
+
+describe('scheduler', () => {
+  const MINUTE = 60 * 1000;
+  const START = Date.parse('2025-03-21T15:00:00.000Z');
+
+  it('spaces requests out to the per-minute quota', async () => {
+    let now = START;
+    const limiter = createRateLimiter({
+      perMinute: 2,
+      perDay: 3,
+      now: () => now,
+    });
+    const slept = [];
+    const fetchScheduler = createFetchScheduler({
+      limiters: { alphavantage: limiter },
+      deadline: START + 10 * MINUTE,
+      sleep: async (ms) => {
+        slept.push(ms);
+        now += ms;
+      },
+      logger: { info() {} },
+      now: () => now,
+    });
+
+    const slots = [];
+    for (let i = 0; i < 4; i++) {
+      slots.push(await fetchScheduler.acquire('alphavantage'));
+      now += 1000;
+    }
+
+    assert.deepEqual(slots, ['ok', 'ok', 'ok', 'exhausted']);
+    assert.deepEqual(slept, [MINUTE - 2000]);
+  });
+
+  it('defers requests the deadline does not leave time for', async () => {
+    const now = () => START;
+    const limiter = createRateLimiter({ perMinute: 1, now });
+    const fetchScheduler = createFetchScheduler({
+      limiters: { alphavantage: limiter },
+      deadline: START + 30 * 1000,
+      sleep: async () => assert.fail('should not wait'),
+      logger: { info() {} },
+      now,
+    });
+
+    assert.equal(await fetchScheduler.acquire('alphavantage'), 'ok');
+    assert.equal(await fetchScheduler.acquire('alphavantage'), 'deferred');
+    assert.equal(await fetchScheduler.acquire('file'), 'ok');
+  });
+
+  it('starts a new day with a fresh quota', () => {
+    const limiter = createRateLimiter({
+      perDay: 25,
+      state: { day: '2025-03-20', requests: 25, exhausted: true },
+      now: () => START,
+    });
+    assert.equal(limiter.waitTime(), 0);
+  });
+
+  it('fetches the stalest quotes first and skips the fresh ones', () => {
+    const etf = (ticker) => ({ ticker });
+    const { cached, due } = planFetch(
+      [etf('SPY'), etf('QQQ'), etf('BND'), etf('GLD')],
+      {
+        SPY: { last_updated: '2025-03-21T14:30:00.000Z' },
+        QQQ: { last_updated: '2025-03-20T15:00:00.000Z' },
+        BND: { last_updated: '2025-03-19T15:00:00.000Z' },
+      },
+      60,
+      START
+    );
+
+    assert.deepEqual(
+      cached.map((entry) => entry.ticker),
+      ['SPY']
+    );
+    assert.deepEqual(
+      due.map((entry) => entry.ticker),
+      ['GLD', 'BND', 'QQQ']
+    );
+  });
+});
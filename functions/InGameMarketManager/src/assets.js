@@ -0,0 +1,48 @@
+// Price rules of the asset classes (the asset_class attribute, equity when
+// unset). Every instrument moves by the model in calculateStockChange; its
+// class decides:
+// - segment: manipulator segment followed when the stock names none
+// - volatility: idiosyncratic move (in %, one standard deviation) for stocks
+//   without a volatility of their own
+// - maxMove: largest move in % per tick before market events (0 = no limit)
+// - alwaysOpen: trades around the clock, following the real market while the
+//   exchange is closed
+// - marketAverage: whether its real-world quotes count towards the market
+//   average the sector factors are measured against
+export const ASSET_CLASS_RULES = {
+  equity: {
+    segment: null,
+    volatility: 0,
+    maxMove: 0,
+    alwaysOpen: false,
+    marketAverage: true,
+  },
+  // Bond funds barely move
+  bond: {
+    segment: 'bonds',
+    volatility: 0.2,
+    maxMove: 2,
+    alwaysOpen: false,
+    marketAverage: true,
+  },
+  commodity: {
+    segment: 'commodities',
+    volatility: 1,
+    maxMove: 0,
+    alwaysOpen: false,
+    marketAverage: true,
+  },
+  // High volatility, 24/7, and too jumpy to count towards the market average
+  crypto: {
+    segment: 'crypto',
+    volatility: 4,
+    maxMove: 0,
+    alwaysOpen: true,
+    marketAverage: false,
+  },
+};
+
+// Rules of a stock's or real-world quote's asset class
+export function assetRules(doc) {
+  return ASSET_CLASS_RULES[doc.asset_class] ?? ASSET_CLASS_RULES.equity;
+}
@@ -0,0 +1,85 @@
+import pkg from 'node-appwrite';
+
+const { Query } = pkg;
+
+const PAGE_SIZE = 100;
+
+// Lists every document of a collection, following cursors past Appwrite's
+// default page size of 25
+export async function listAllDocuments(
+  databases,
+  databaseId,
+  collectionId,
+  queries = []
+) {
+  const documents = [];
+  let cursor = null;
+
+  while (true) {
+    const pageQueries = [...queries, Query.limit(PAGE_SIZE)];
+    if (cursor) {
+      pageQueries.push(Query.cursorAfter(cursor));
+    }
+
+    const response = await databases.listDocuments(
+      databaseId,
+      collectionId,
+      pageQueries
+    );
+    documents.push(...response.documents);
+
+    if (response.documents.length < PAGE_SIZE) {
+      return documents;
+    }
+    cursor = response.documents[response.documents.length - 1].$id;
+  }
+}
+
+// Rate limits, server errors and network failures (no HTTP code) are worth
+// retrying; other client errors will fail the same way again
+export function isTransientError(error) {
+  const code = error?.code;
+  return !code || code === 408 || code === 429 || code >= 500;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Runs fn, retrying transient errors with exponential backoff and jitter
+export async function withRetry(
+  fn,
+  { retries = 3, baseDelayMs = 200, context } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries || !isTransientError(error)) {
+        throw error;
+      }
+      const delay = baseDelayMs * 2 ** attempt * (0.5 + Math.random() / 2);
+      context?.log(
+        `Transient error (${error.message}), retry ${attempt + 1}/${retries} in ${Math.round(delay)}ms`
+      );
+      await sleep(delay);
+    }
+  }
+}
+
+// Maps items through fn with at most `concurrency` calls in flight, keeping
+// the results in input order
+export async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, items.length) }, worker)
+  );
+  return results;
+}
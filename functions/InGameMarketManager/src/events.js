@@ -0,0 +1,318 @@
+import pkg from 'node-appwrite';
+import { listAllDocuments, withRetry } from './db.js';
+import { derivedId } from './history.js';
+import { createRandom } from './random.js';
+
+const { Databases, Query } = pkg;
+
+// Templates for randomly triggered events. magnitude is the [min, max] move in
+// % on the first tick; each following tick applies magnitude * decay^n until
+// duration ticks have passed.
+export const EVENT_TEMPLATES = {
+  earnings_beat: {
+    targetType: 'stock',
+    magnitude: [3, 8],
+    decay: 0.5,
+    duration: 3,
+    headline: (target) => `${target} beats earnings expectations`,
+  },
+  scandal: {
+    targetType: 'stock',
+    magnitude: [-15, -5],
+    decay: 0.6,
+    duration: 4,
+    headline: (target) => `Accounting scandal rocks ${target}`,
+  },
+  sector_crash: {
+    targetType: 'sector',
+    magnitude: [-10, -4],
+    decay: 0.5,
+    duration: 3,
+    headline: (target) => `Selloff sweeps through the ${target} sector`,
+  },
+  merger_rumor: {
+    targetType: 'stock',
+    magnitude: [4, 12],
+    decay: 0.4,
+    duration: 2,
+    headline: (target) => `Merger rumors swirl around ${target}`,
+  },
+};
+
+const DEFAULT_NEWS_LIMIT = 20;
+const MAX_NEWS_LIMIT = 100;
+
+// Whether an event targets the stock: directly by ticker, through its sector
+// or segment, or the whole market
+export function eventAppliesTo(event, stock) {
+  switch (event.target_type) {
+    case 'market':
+      return true;
+    case 'stock':
+      return event.target === stock.ticker_symbol;
+    case 'sector':
+      return event.target === stock.sector;
+    case 'segment':
+      return event.target === stock.segment;
+    default:
+      return false;
+  }
+}
+
+// The % move an event contributes on its next tick, 0 once it has run its course
+export function eventEffect(event) {
+  const applied = event.ticks_applied ?? 0;
+  if (applied >= event.duration) {
+    return 0;
+  }
+  return event.magnitude * Math.pow(event.decay, applied);
+}
+
+// Sum of the % moves of every event affecting the stock on this tick
+export function calculateEventImpact(stock, events) {
+  return events.reduce(
+    (sum, event) =>
+      eventAppliesTo(event, stock) ? sum + eventEffect(event) : sum,
+    0
+  );
+}
+
+// Rolls for a random event. Returns the event data to store, or null when no
+// event fires on this tick. Sector events only target sectors stocks map to.
+export function generateRandomEvent(stocks, probability, seed, tick) {
+  const random = createRandom(`${seed}:event`);
+  if (stocks.length === 0 || random() >= probability) {
+    return null;
+  }
+
+  const sectors = [
+    ...new Set(stocks.map((stock) => stock.sector).filter(Boolean)),
+  ];
+  const types = Object.keys(EVENT_TEMPLATES).filter(
+    (type) =>
+      EVENT_TEMPLATES[type].targetType !== 'sector' || sectors.length > 0
+  );
+  const type = types[Math.floor(random() * types.length)];
+  const template = EVENT_TEMPLATES[type];
+
+  const candidates =
+    template.targetType === 'sector'
+      ? sectors
+      : stocks.map((stock) => stock.ticker_symbol).filter(Boolean);
+  if (candidates.length === 0) {
+    return null;
+  }
+  const target = candidates[Math.floor(random() * candidates.length)];
+  const [min, max] = template.magnitude;
+
+  return {
+    type,
+    headline: template.headline(target),
+    target_type: template.targetType,
+    target,
+    magnitude: Number((min + random() * (max - min)).toFixed(2)),
+    decay: template.decay,
+    duration: template.duration,
+    ticks_applied: 0,
+    status: 'scheduled',
+    start_at: tick,
+  };
+}
+
+// Returns the events that take part in this tick: scheduled events whose start
+// time has come and events that are already active. A random event may be
+// triggered and added as well.
+//
+// When the tick is retried, events already advanced under its key are returned
+// with their tick count rolled back, so stocks still to be updated get the same
+// effect as the ones updated on the first attempt.
+export async function fetchActiveEvents(
+  stocks,
+  tick,
+  tickKey,
+  config,
+  client,
+  context
+) {
+  if (!config.database.marketEventsCollection) {
+    return [];
+  }
+
+  try {
+    const databases = new Databases(client);
+    const [pending, advanced] = await Promise.all([
+      listAllDocuments(
+        databases,
+        config.database.inGameMarketDatabase,
+        config.database.marketEventsCollection,
+        [
+          Query.equal('status', ['scheduled', 'active']),
+          Query.lessThanEqual('start_at', tick),
+        ]
+      ),
+      listAllDocuments(
+        databases,
+        config.database.inGameMarketDatabase,
+        config.database.marketEventsCollection,
+        [Query.equal('last_tick_key', tickKey)]
+      ),
+    ]);
+
+    const events = new Map();
+    for (const event of pending) {
+      if (event.last_tick_key !== tickKey) {
+        events.set(event.$id, event);
+      }
+    }
+    for (const event of advanced) {
+      events.set(event.$id, {
+        ...event,
+        ticks_applied: Math.max(0, (event.ticks_applied ?? 0) - 1),
+      });
+    }
+
+    const randomEvent = generateRandomEvent(
+      stocks,
+      config.market.eventProbability,
+      `${config.market.randomSeed}:${tickKey}`,
+      tick
+    );
+    // The id is derived from the tick key so a retried tick cannot trigger
+    // the same random event twice
+    const randomEventId = derivedId('random', tickKey);
+    if (randomEvent && !events.has(randomEventId)) {
+      try {
+        const created = await databases.createDocument(
+          config.database.inGameMarketDatabase,
+          config.database.marketEventsCollection,
+          randomEventId,
+          randomEvent
+        );
+        context?.log(`Market event triggered: ${created.headline}`);
+        events.set(created.$id, created);
+      } catch (error) {
+        if (error.code !== 409) {
+          throw error;
+        }
+        context?.log(`Random event ${randomEventId} already exists, skipping`);
+      }
+    }
+
+    return [...events.values()];
+  } catch (error) {
+    context?.log(`Database error: ${error}`);
+    throw error;
+  }
+}
+
+// Records that the events took part in this tick, expiring the ones that have
+// run their course. Events already advanced under this tick key are left
+// alone. Failures are logged; an event that failed to advance will simply
+// apply its current effect again on the next tick.
+export async function advanceEvents(events, tickKey, config, client, context) {
+  const databases = new Databases(client);
+
+  for (const event of events) {
+    if (event.last_tick_key === tickKey) {
+      continue;
+    }
+
+    const ticksApplied = (event.ticks_applied ?? 0) + 1;
+    try {
+      await withRetry(
+        () =>
+          databases.updateDocument(
+            config.database.inGameMarketDatabase,
+            config.database.marketEventsCollection,
+            event.$id,
+            {
+              ticks_applied: ticksApplied,
+              status: ticksApplied >= event.duration ? 'expired' : 'active',
+              last_tick_key: tickKey,
+            }
+          ),
+        { context }
+      );
+    } catch (error) {
+      context?.log(`Failed to advance event ${event.$id}: ${error.message}`);
+    }
+  }
+}
+
+// Stores the lifecycle events of a tick (circuit breakers, bankruptcies,
+// relistings) in the news feed. They have no price effect and are stored
+// expired. IDs are derived from the tick key and stock, so a retried tick does
+// not report the same event twice. Failures are logged only.
+export async function recordLifecycleEvents(
+  events,
+  tickKey,
+  config,
+  client,
+  context
+) {
+  for (const { headline } of events) {
+    context?.log(headline);
+  }
+  if (!config.database.marketEventsCollection || events.length === 0) {
+    return;
+  }
+
+  const databases = new Databases(client);
+  for (const { stockId, ...event } of events) {
+    const eventId = derivedId(event.type, `${tickKey}:${stockId}`);
+    try {
+      await withRetry(
+        () =>
+          databases.createDocument(
+            config.database.inGameMarketDatabase,
+            config.database.marketEventsCollection,
+            eventId,
+            { ...event, last_tick_key: tickKey }
+          ),
+        { context }
+      );
+    } catch (error) {
+      if (error.code !== 409) {
+        context?.log(`Failed to record event ${eventId}: ${error.message}`);
+      }
+    }
+  }
+}
+
+// Returns the news feed: events that have started, newest first
+export async function fetchNewsFeed(query, config, client) {
+  if (!config.database.marketEventsCollection) {
+    throw new Error('Market events collection is not configured');
+  }
+
+  const limit = query?.limit ? Number(query.limit) : DEFAULT_NEWS_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_NEWS_LIMIT) {
+    const error = new Error(
+      `Invalid limit: must be an integer between 1 and ${MAX_NEWS_LIMIT}`
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const databases = new Databases(client);
+  const response = await databases.listDocuments(
+    config.database.inGameMarketDatabase,
+    config.database.marketEventsCollection,
+    [
+      Query.lessThanEqual('start_at', new Date().toISOString()),
+      Query.orderDesc('start_at'),
+      Query.limit(limit),
+    ]
+  );
+
+  return response.documents.map((event) => ({
+    id: event.$id,
+    type: event.type,
+    headline: event.headline,
+    target_type: event.target_type,
+    target: event.target,
+    magnitude: event.magnitude,
+    status: event.status,
+    start_at: event.start_at,
+  }));
+}
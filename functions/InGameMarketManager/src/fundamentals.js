@@ -0,0 +1,419 @@
+import { createHash } from 'node:crypto';
+import pkg from 'node-appwrite';
+import { listAllDocuments, withRetry } from './db.js';
+import { withPlayerLock } from './locks.js';
+
+const { Databases, Query } = pkg;
+
+// Company fundamentals of the in-game stocks:
+// - market_cap (price x shares_outstanding) and pe_ratio (price / eps) are
+//   recalculated from the new price on every tick
+// - dividends fall due on the first day (UTC) of each month, quarter, half
+//   year or year, depending on dividend_frequency. The first tick on or after
+//   that date credits every holder with one installment of the annual
+//   dividend_yield at the current price.
+// - a stock without last_dividend_at starts paying with the period after the
+//   first tick that sees it, so neither a deploy nor newly set fundamentals
+//   pay out on the spot
+
+// Months between two dividend installments
+export const DIVIDEND_FREQUENCIES = {
+  monthly: 1,
+  quarterly: 3,
+  semiannual: 6,
+  annual: 12,
+};
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Attributes derived from the stock's price and fundamentals. Stocks without
+// fundamentals get none, so nothing is written for them.
+export function deriveMetrics(stock) {
+  const metrics = {};
+  if (Number.isInteger(stock.shares_outstanding)) {
+    metrics.market_cap = roundCents(stock.price * stock.shares_outstanding);
+  }
+  if (Number.isFinite(stock.eps)) {
+    // A P/E ratio means nothing for a company without earnings
+    metrics.pe_ratio =
+      stock.eps > 0 ? roundCents(stock.price / stock.eps) : null;
+  }
+  return metrics;
+}
+
+// The scheduled date of the latest installment at or before `now`, or null
+// for stocks that pay no dividend
+export function latestDividendDate(frequency, now) {
+  const months = DIVIDEND_FREQUENCIES[frequency];
+  if (!months) {
+    return null;
+  }
+  const month = now.getUTCMonth() - (now.getUTCMonth() % months);
+  return new Date(Date.UTC(now.getUTCFullYear(), month, 1));
+}
+
+// One installment of the annual dividend per share, at the given price
+export function dividendPerShare(stock) {
+  const months = DIVIDEND_FREQUENCIES[stock.dividend_frequency] ?? 0;
+  return (
+    Math.round(
+      ((stock.price * stock.dividend_yield) / 100) * (months / 12) * 10000
+    ) / 10000
+  );
+}
+
+// The stocks whose next installment fell due by `now`, each with its
+// scheduled date. Delisted stocks pay nothing. Stocks that have never been
+// scheduled are listed with `first: true`; their installment only starts the
+// schedule and is not paid.
+export function findDueDividends(stocks, now) {
+  const due = [];
+  for (const stock of stocks) {
+    const date = latestDividendDate(stock.dividend_frequency, now);
+    if (
+      !date ||
+      !(stock.dividend_yield > 0) ||
+      !(stock.price > 0) ||
+      stock.status === 'delisted'
+    ) {
+      continue;
+    }
+    if (stock.last_dividend_at && Date.parse(stock.last_dividend_at) >= date) {
+      continue;
+    }
+    due.push({
+      stock,
+      date: date.toISOString(),
+      first: !stock.last_dividend_at,
+    });
+  }
+  return due;
+}
+
+// Credits each player their amount. Returns the number of players paid, the
+// total and the credits that failed, so a later tick can retry them. Each
+// credit re-reads the player's cash under the player's lock, so it cannot
+// overwrite a TradingEngine fill or be overwritten by one.
+async function creditPlayers(databases, credits, ticker, config, context) {
+  const { inGameMarketDatabase, playersCollection, playerLocksCollection } =
+    config.database;
+
+  let holders = 0;
+  let total = 0;
+  const pending = [];
+  for (const credit of credits) {
+    let credited;
+    try {
+      credited = await withPlayerLock(
+        databases,
+        {
+          databaseId: inGameMarketDatabase,
+          collectionId: playerLocksCollection,
+        },
+        credit.player_id,
+        async () => {
+          const {
+            documents: [player],
+          } = await databases.listDocuments(
+            inGameMarketDatabase,
+            playersCollection,
+            [Query.equal('player_id', credit.player_id), Query.limit(1)]
+          );
+          if (!player) {
+            return false;
+          }
+          await withRetry(
+            () =>
+              databases.updateDocument(
+                inGameMarketDatabase,
+                playersCollection,
+                player.$id,
+                { cash: roundCents(Number(player.cash) + credit.amount) }
+              ),
+            { context }
+          );
+          return true;
+        }
+      );
+    } catch (error) {
+      context?.warn(
+        `Failed to credit the ${ticker} dividend to ${credit.player_id}: ${error.message}`
+      );
+      pending.push(credit);
+      continue;
+    }
+    if (!credited) {
+      context?.warn(
+        `No player ${credit.player_id} to pay the ${ticker} dividend to`
+      );
+      continue;
+    }
+    holders++;
+    total = roundCents(total + credit.amount);
+  }
+  return { holders, total, pending };
+}
+
+// The amount each holder of the stock gets from one installment
+async function listCredits(databases, stock, perShare, config) {
+  const holdings = await listAllDocuments(
+    databases,
+    config.database.inGameMarketDatabase,
+    config.database.holdingsCollection,
+    [Query.equal('ticker_symbol', stock.ticker_symbol)]
+  );
+  return holdings
+    .map((holding) => ({
+      player_id: holding.player_id,
+      amount: roundCents(Number(holding.quantity) * perShare),
+    }))
+    .filter((credit) => credit.amount > 0);
+}
+
+// ID of an installment's payout record: the same for every tick, so a retried
+// or overlapping tick finds the installment already claimed
+export function payoutId(stockId, date) {
+  const hash = createHash('sha256').update(`${stockId}:${date}`).digest('hex');
+  return `dividend-${hash.slice(0, 27)}`;
+}
+
+// Moves a payout record on after crediting: paid, or partial with the credits
+// still to retry
+function settlePayout(
+  databases,
+  config,
+  id,
+  { holders, total, pending },
+  context
+) {
+  return withRetry(
+    () =>
+      databases.updateDocument(
+        config.database.inGameMarketDatabase,
+        config.database.dividendsCollection,
+        id,
+        {
+          status: pending.length > 0 ? 'partial' : 'paid',
+          holders,
+          total,
+          pending: JSON.stringify(pending),
+        }
+      ),
+    { context }
+  );
+}
+
+// Retries the credits that failed in earlier ticks. A payout is retried under
+// its own lock (payouts share the player locks collection), and marked
+// `paying` before any credit is retried: like the first attempt, an
+// interrupted retry can only leave holders short, never pay them twice.
+async function retryPartialPayouts(databases, config, context) {
+  const { inGameMarketDatabase, dividendsCollection, playerLocksCollection } =
+    config.database;
+  const payouts = await listAllDocuments(
+    databases,
+    inGameMarketDatabase,
+    dividendsCollection,
+    [Query.equal('status', 'partial')]
+  );
+
+  const retried = [];
+  const failed = [];
+  for (const { $id: id, ticker_symbol: ticker } of payouts) {
+    try {
+      const outcome = await withPlayerLock(
+        databases,
+        {
+          databaseId: inGameMarketDatabase,
+          collectionId: playerLocksCollection,
+        },
+        id,
+        async () => {
+          const payout = await databases.getDocument(
+            inGameMarketDatabase,
+            dividendsCollection,
+            id
+          );
+          if (payout.status !== 'partial') {
+            return null;
+          }
+          await databases.updateDocument(
+            inGameMarketDatabase,
+            dividendsCollection,
+            id,
+            { status: 'paying', pending: '[]' }
+          );
+          const credited = await creditPlayers(
+            databases,
+            JSON.parse(payout.pending || '[]'),
+            payout.ticker_symbol,
+            config,
+            context
+          );
+          const outcome = {
+            ticker: payout.ticker_symbol,
+            payoutDate: payout.payout_date,
+            holders: credited.holders,
+            total: credited.total,
+            pending: credited.pending.length,
+          };
+          await settlePayout(
+            databases,
+            config,
+            id,
+            {
+              holders: (payout.holders ?? 0) + credited.holders,
+              total: roundCents((payout.total ?? 0) + credited.total),
+              pending: credited.pending,
+            },
+            context
+          );
+          return outcome;
+        }
+      );
+      if (!outcome) {
+        continue;
+      }
+      retried.push(outcome);
+      if (outcome.pending > 0) {
+        failed.push({
+          ticker: outcome.ticker,
+          error: `${outcome.pending} holders could not be credited, retrying on the next tick`,
+        });
+      }
+    } catch (error) {
+      context?.warn(
+        `Failed to retry the ${ticker} dividend payout ${id}: ${error.message}`
+      );
+      failed.push({ ticker, error: error.message });
+    }
+  }
+  return { retried, failed };
+}
+
+// Pays the dividends that fell due by the tick. Each installment is claimed
+// first with a payout record whose ID derives from the stock and the
+// scheduled date, so a retried tick never pays it twice; like the trading
+// engine's fills, a failure part way through can only leave holders short.
+// A holder that cannot be credited does not stop the others: the payout is
+// left `partial` with the credits still to make, which later ticks retry.
+// Without the dividends, holdings, players or player locks collection no
+// dividends are paid.
+export async function payDividends(stocks, tick, config, client, context) {
+  const { inGameMarketDatabase, dividendsCollection } = config.database;
+  const result = { paid: [], retried: [], failed: [] };
+  if (
+    !dividendsCollection ||
+    !config.database.holdingsCollection ||
+    !config.database.playersCollection ||
+    !config.database.playerLocksCollection
+  ) {
+    return result;
+  }
+
+  const databases = new Databases(client);
+  const stampPaid = (stock, date) =>
+    withRetry(
+      () =>
+        databases.updateDocument(
+          inGameMarketDatabase,
+          config.database.inGameMarketCollection,
+          stock.$id,
+          { last_dividend_at: date }
+        ),
+      { context }
+    );
+
+  try {
+    const { retried, failed } = await retryPartialPayouts(
+      databases,
+      config,
+      context
+    );
+    result.retried.push(...retried);
+    result.failed.push(...failed);
+  } catch (error) {
+    context?.warn(`Failed to retry dividend payouts: ${error.message}`);
+    result.failed.push({ ticker: 'partial payouts', error: error.message });
+  }
+
+  for (const { stock, date, first } of findDueDividends(
+    stocks,
+    new Date(tick)
+  )) {
+    const id = payoutId(stock.$id, date);
+    const perShare = dividendPerShare(stock);
+    try {
+      if (first) {
+        await stampPaid(stock, date);
+        context?.log(
+          `${stock.ticker_symbol} pays its first dividend after ${date}`
+        );
+        continue;
+      }
+
+      let claimed = true;
+      try {
+        await withRetry(
+          () =>
+            databases.createDocument(
+              inGameMarketDatabase,
+              dividendsCollection,
+              id,
+              {
+                ticker_symbol: stock.ticker_symbol,
+                payout_date: date,
+                per_share: perShare,
+                status: 'paying',
+                created_at: new Date().toISOString(),
+              }
+            ),
+          { context }
+        );
+      } catch (error) {
+        if (error.code !== 409) {
+          throw error;
+        }
+        claimed = false;
+      }
+
+      if (claimed) {
+        const credited = await creditPlayers(
+          databases,
+          await listCredits(databases, stock, perShare, config),
+          stock.ticker_symbol,
+          config,
+          context
+        );
+        await settlePayout(databases, config, id, credited, context);
+        const { holders, total, pending } = credited;
+        context?.log(
+          `Paid a ${perShare} ${stock.ticker_symbol} dividend per share: ${total} to ${holders} holders`
+        );
+        result.paid.push({
+          ticker: stock.ticker_symbol,
+          payoutDate: date,
+          perShare,
+          holders,
+          total,
+        });
+        if (pending.length > 0) {
+          result.failed.push({
+            ticker: stock.ticker_symbol,
+            error: `${pending.length} holders could not be credited, retrying on the next tick`,
+          });
+        }
+      }
+
+      // Also after an earlier, interrupted attempt, so the stock stops
+      // showing the installment as due
+      await stampPaid(stock, date);
+    } catch (error) {
+      context?.warn(
+        `Failed to pay the ${stock.ticker_symbol} dividend due ${date}: ${error.message}`
+      );
+      result.failed.push({ ticker: stock.ticker_symbol, error: error.message });
+    }
+  }
+  return result;
+}
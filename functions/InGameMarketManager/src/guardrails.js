@@ -0,0 +1,323 @@
+import pkg from 'node-appwrite';
+import { listAllDocuments, withRetry } from './db.js';
+import { withPlayerLock } from './locks.js';
+
+const { Databases, Query } = pkg;
+
+// Price guardrails applied around every tick:
+// - prices stay within [priceFloor, priceCeiling]
+// - a single-tick move of circuitBreakerPercent or more is cut to that size
+//   and halts the stock for circuitBreakerHaltTicks ticks
+// - a stock that closes below bankruptcyPrice is delisted, then relisted at
+//   its listing_price (or relistPrice) relistAfterTicks ticks later
+// Stocks whose status changes carry a `lifecycle` object holding the status
+// attributes to write, and every change produces an event for the news feed.
+
+const HEADLINES = {
+  circuit_breaker: (ticker, move) =>
+    `Trading in ${ticker} halted after a ${move.toFixed(1)}% move`,
+  bankruptcy: (ticker) => `${ticker} goes bankrupt and is delisted`,
+  relisting: (ticker, price) => `${ticker} relists at ${price.toFixed(2)}`,
+};
+
+// Throws when the guardrail settings cannot work together
+export function validateGuardrails(guardrails) {
+  const {
+    priceFloor,
+    priceCeiling,
+    circuitBreakerPercent,
+    circuitBreakerHaltTicks,
+    bankruptcyPrice,
+    relistAfterTicks,
+    relistPrice,
+  } = guardrails;
+
+  if (!(priceFloor > 0)) {
+    throw new Error('MARKET_PRICE_FLOOR must be a positive number');
+  }
+  if (!(priceCeiling > priceFloor)) {
+    throw new Error('MARKET_PRICE_CEILING must be above MARKET_PRICE_FLOOR');
+  }
+  if (!(circuitBreakerPercent >= 0) || !(circuitBreakerHaltTicks >= 1)) {
+    throw new Error(
+      'MARKET_CIRCUIT_BREAKER_PERCENT must be 0 (off) or positive and MARKET_CIRCUIT_BREAKER_HALT_TICKS at least 1'
+    );
+  }
+  if (!(bankruptcyPrice >= 0)) {
+    throw new Error('MARKET_BANKRUPTCY_PRICE must be 0 (off) or positive');
+  }
+  if (bankruptcyPrice > 0 && bankruptcyPrice <= priceFloor) {
+    throw new Error(
+      'MARKET_BANKRUPTCY_PRICE must be above MARKET_PRICE_FLOOR, or no stock could ever go bankrupt'
+    );
+  }
+  if (!(relistAfterTicks >= 1) || !(relistPrice > 0)) {
+    throw new Error(
+      'MARKET_RELIST_AFTER_TICKS must be at least 1 and MARKET_RELIST_PRICE positive'
+    );
+  }
+}
+
+// ISO time `ticks` tick intervals after the tick
+function ticksAfter(tick, ticks, intervalMinutes) {
+  return new Date(
+    new Date(tick).getTime() + ticks * intervalMinutes * 60 * 1000
+  ).toISOString();
+}
+
+function lifecycleEvent(type, stock, tick, move, headline) {
+  return {
+    stockId: stock.$id,
+    type,
+    headline,
+    target_type: 'stock',
+    target: stock.ticker_symbol ?? stock.$id,
+    magnitude: Number(move.toFixed(2)),
+    decay: 0,
+    duration: 0,
+    ticks_applied: 0,
+    status: 'expired',
+    start_at: tick,
+  };
+}
+
+// Sorts the stocks of a tick by status before prices move:
+// - tradable: listed stocks, and halted stocks whose halt is over
+// - relisted: delisted stocks due for relisting, already at their new price
+// - frozen: stocks still halted or delisted, and stocks whose price an admin
+//   froze (price_frozen), which this tick leaves alone
+export function prepareStocks(stocks, tick, guardrails) {
+  const tradable = [];
+  const relisted = [];
+  const frozen = [];
+  const events = [];
+
+  for (const stock of stocks) {
+    const status = stock.status ?? 'listed';
+
+    if (stock.price_frozen) {
+      frozen.push(stock);
+      continue;
+    }
+
+    if (status === 'halted') {
+      if (stock.halted_until && stock.halted_until > tick) {
+        frozen.push(stock);
+      } else {
+        tradable.push({
+          ...stock,
+          lifecycle: { status: 'listed', halted_until: null },
+        });
+      }
+      continue;
+    }
+
+    if (status === 'delisted') {
+      if (!stock.relist_at || stock.relist_at > tick) {
+        frozen.push(stock);
+        continue;
+      }
+      const price =
+        Number(stock.listing_price) > 0
+          ? Number(stock.listing_price)
+          : guardrails.relistPrice;
+      relisted.push({
+        ...stock,
+        price,
+        last_change: 0,
+        lifecycle: {
+          status: 'listed',
+          relist_at: null,
+          listings: (stock.listings ?? 1) + 1,
+        },
+      });
+      events.push(
+        lifecycleEvent(
+          'relisting',
+          stock,
+          tick,
+          0,
+          HEADLINES.relisting(stock.ticker_symbol ?? stock.$id, price)
+        )
+      );
+      continue;
+    }
+
+    tradable.push(stock);
+  }
+
+  return { tradable, relisted, frozen, events };
+}
+
+// Checks the moved stocks against the guardrails. previousPrices holds each
+// stock's price before the tick, keyed by $id. Returns the stocks with their
+// final price and last_change, plus the lifecycle events of the tick.
+export function enforceGuardrails(
+  movedStocks,
+  previousPrices,
+  tick,
+  guardrails,
+  intervalMinutes
+) {
+  const {
+    priceFloor,
+    priceCeiling,
+    circuitBreakerPercent,
+    circuitBreakerHaltTicks,
+    bankruptcyPrice,
+    relistAfterTicks,
+  } = guardrails;
+  const events = [];
+
+  const stocks = movedStocks.map((stock) => {
+    // Stocks applyManipulatorToStocks could not read pass through untouched;
+    // a price of 0 is lifted to the floor below so the stock trades again
+    if (typeof stock.price !== 'number') {
+      return stock;
+    }
+
+    const previous = previousPrices[stock.$id];
+    const ticker = stock.ticker_symbol ?? stock.$id;
+    const lifecycle = { ...stock.lifecycle };
+    const moveFrom = (price) =>
+      previous > 0 ? ((price - previous) / previous) * 100 : 0;
+
+    let price = stock.price;
+    const move = moveFrom(price);
+
+    if (
+      circuitBreakerPercent > 0 &&
+      previous > 0 &&
+      Math.abs(move) >= circuitBreakerPercent
+    ) {
+      price = Number(
+        (
+          previous *
+          (1 + (Math.sign(move) * circuitBreakerPercent) / 100)
+        ).toFixed(2)
+      );
+      lifecycle.status = 'halted';
+      lifecycle.halted_until = ticksAfter(
+        tick,
+        circuitBreakerHaltTicks,
+        intervalMinutes
+      );
+      events.push(
+        lifecycleEvent(
+          'circuit_breaker',
+          stock,
+          tick,
+          move,
+          HEADLINES.circuit_breaker(ticker, move)
+        )
+      );
+    }
+
+    price = Math.min(Math.max(price, priceFloor), priceCeiling);
+
+    if (bankruptcyPrice > 0 && price < bankruptcyPrice) {
+      lifecycle.status = 'delisted';
+      lifecycle.halted_until = null;
+      lifecycle.delisted_at = tick;
+      lifecycle.relist_at = ticksAfter(tick, relistAfterTicks, intervalMinutes);
+      events.push(
+        lifecycleEvent(
+          'bankruptcy',
+          stock,
+          tick,
+          moveFrom(price),
+          HEADLINES.bankruptcy(ticker)
+        )
+      );
+    }
+
+    const guarded = {
+      ...stock,
+      price,
+      last_change: Number(moveFrom(price).toFixed(2)),
+    };
+    if (Object.keys(lifecycle).length > 0) {
+      guarded.lifecycle = lifecycle;
+    } else {
+      delete guarded.lifecycle;
+    }
+    return guarded;
+  });
+
+  return { stocks, events };
+}
+
+// Bankruptcy wipes out the shareholders: deletes every holding of the tickers
+// so the relisted stock starts with no owners. Each player's holdings are
+// re-read and deleted under the player's lock, which TradingEngine's fills and
+// the dividend credits also take, so a concurrent fill cannot recreate or
+// update a cancelled holding. Failures are logged and leave the remaining
+// holdings to be removed by hand.
+export async function cancelHoldings(tickers, config, client, context) {
+  const { inGameMarketDatabase, holdingsCollection, playerLocksCollection } =
+    config.database;
+  if (!holdingsCollection || tickers.length === 0) {
+    return { cancelled: 0 };
+  }
+
+  const databases = new Databases(client);
+  const listHoldings = (ticker, queries = []) =>
+    listAllDocuments(databases, inGameMarketDatabase, holdingsCollection, [
+      Query.equal('ticker_symbol', ticker),
+      ...queries,
+    ]);
+
+  let cancelled = 0;
+  for (const ticker of tickers) {
+    let players;
+    try {
+      players = new Set(
+        (await listHoldings(ticker)).map((holding) => holding.player_id)
+      );
+    } catch (error) {
+      context?.log(`Failed to cancel holdings of ${ticker}: ${error.message}`);
+      continue;
+    }
+
+    let failed = 0;
+    for (const playerId of players) {
+      try {
+        cancelled += await withPlayerLock(
+          databases,
+          {
+            databaseId: inGameMarketDatabase,
+            collectionId: playerLocksCollection,
+          },
+          playerId,
+          async () => {
+            const holdings = await listHoldings(ticker, [
+              Query.equal('player_id', playerId),
+            ]);
+            for (const holding of holdings) {
+              await withRetry(
+                () =>
+                  databases.deleteDocument(
+                    inGameMarketDatabase,
+                    holdingsCollection,
+                    holding.$id
+                  ),
+                { context }
+              );
+            }
+            return holdings.length;
+          }
+        );
+      } catch (error) {
+        failed++;
+        context?.log(
+          `Failed to cancel the ${ticker} holdings of ${playerId}: ${error.message}`
+        );
+      }
+    }
+    context?.log(
+      `Cancelled the holdings of ${players.size - failed} players in bankrupt ${ticker}`
+    );
+  }
+
+  return { cancelled };
+}
@@ -0,0 +1,326 @@
+import { createHash } from 'node:crypto';
+import pkg from 'node-appwrite';
+
+const { Databases, ID, Query } = pkg;
+
+export const CANDLE_INTERVALS = ['hour', 'day'];
+
+const DEFAULT_HISTORY_LIMIT = 500;
+const MAX_HISTORY_LIMIT = 5000;
+const PAGE_SIZE = 100;
+
+// Truncates a timestamp to the start of its hourly or daily candle (UTC)
+export function getPeriodStart(timestamp, interval) {
+  const date = new Date(timestamp);
+  if (interval === 'day') {
+    date.setUTCHours(0, 0, 0, 0);
+  } else {
+    date.setUTCMinutes(0, 0, 0);
+  }
+  return date.toISOString();
+}
+
+// Folds a new price into a candle. Without an existing candle a new one is
+// opened at the previous price, so the first tick of a period still shows the
+// move that happened on it.
+export function rollupCandle(candle, price, previousPrice) {
+  const open = candle ? candle.open : (previousPrice ?? price);
+  const high = Math.max(candle ? candle.high : open, price);
+  const low = Math.min(candle ? candle.low : open, price);
+  const change = Number((price - open).toFixed(2));
+
+  return {
+    open,
+    high,
+    low,
+    close: price,
+    change,
+    change_percentage: open ? Number(((change / open) * 100).toFixed(2)) : 0,
+  };
+}
+
+// Document ID derived from a key with sha256, cut to Appwrite's 36 characters:
+// the same for every execution of a tick, so a retried execution can tell
+// which documents it already wrote
+export function derivedId(prefix, key) {
+  const hash = createHash('sha256').update(key).digest('hex');
+  return `${prefix}-${hash.slice(0, 35 - prefix.length)}`;
+}
+
+// ID of a stock's history tick
+export function historyTickId(tickKey, stockId) {
+  return derivedId('tick', `${tickKey}:${stockId}`);
+}
+
+// History input for stocks that an earlier, interrupted execution of the tick
+// already moved: their stored change_amount is the tick's change in %, from
+// which the price before the tick is recovered
+export function appliedTickStocks(stocks) {
+  const previousPrices = {};
+  for (const stock of stocks) {
+    const change = stock.change_amount ?? 0;
+    previousPrices[stock.$id] = Number(
+      (stock.price / (1 + change / 100)).toFixed(2)
+    );
+  }
+  return {
+    stocks: stocks.map((stock) => ({
+      ...stock,
+      last_change: stock.change_amount ?? 0,
+    })),
+    previousPrices,
+  };
+}
+
+// Appends one tick per updated stock to the history collection and rolls the
+// tick into the stock's hourly and daily candles. Ticks already recorded for
+// the tick key are skipped; the candles are rolled before the tick is
+// appended, so a stock without its tick still needs both.
+export async function recordPriceHistory(
+  stocks,
+  previousPrices,
+  tick,
+  tickKey,
+  config,
+  client,
+  context
+) {
+  const {
+    priceHistoryCollection,
+    priceCandlesCollection,
+    inGameMarketDatabase,
+  } = config.database;
+
+  if (!priceHistoryCollection && !priceCandlesCollection) {
+    context?.log('Price history collections not configured, skipping history');
+    return { ticks: 0, candles: 0 };
+  }
+
+  const databases = new Databases(client);
+  let ticks = 0;
+  let candles = 0;
+
+  for (const stock of stocks) {
+    const tickId = historyTickId(tickKey, stock.$id);
+    try {
+      if (
+        priceHistoryCollection &&
+        (await hasDocument(
+          databases,
+          inGameMarketDatabase,
+          priceHistoryCollection,
+          tickId
+        ))
+      ) {
+        continue;
+      }
+
+      if (priceCandlesCollection) {
+        for (const interval of CANDLE_INTERVALS) {
+          await upsertCandle(
+            databases,
+            stock,
+            previousPrices[stock.$id],
+            interval,
+            tick,
+            config
+          );
+          candles++;
+        }
+      }
+
+      if (priceHistoryCollection) {
+        await databases.createDocument(
+          inGameMarketDatabase,
+          priceHistoryCollection,
+          tickId,
+          {
+            stock_id: stock.$id,
+            ticker_symbol: stock.ticker_symbol,
+            price: stock.price,
+            change_percentage: stock.last_change,
+            timestamp: tick,
+          }
+        );
+        ticks++;
+      }
+    } catch (error) {
+      context?.log(
+        `Failed to record history for stock ${stock.$id}: ${error.message}`
+      );
+    }
+  }
+
+  context?.log(`Recorded ${ticks} history ticks and ${candles} candles`);
+  return { ticks, candles };
+}
+
+async function hasDocument(databases, databaseId, collectionId, documentId) {
+  try {
+    await databases.getDocument(databaseId, collectionId, documentId);
+    return true;
+  } catch (error) {
+    if (error.code === 404) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+async function upsertCandle(
+  databases,
+  stock,
+  previousPrice,
+  interval,
+  tick,
+  config
+) {
+  const { priceCandlesCollection, inGameMarketDatabase } = config.database;
+  const periodStart = getPeriodStart(tick, interval);
+
+  const existing = await databases.listDocuments(
+    inGameMarketDatabase,
+    priceCandlesCollection,
+    [
+      Query.equal('stock_id', stock.$id),
+      Query.equal('interval', interval),
+      Query.equal('period_start', periodStart),
+      Query.limit(1),
+    ]
+  );
+  const candle = existing.documents[0];
+  const data = rollupCandle(candle, stock.price, previousPrice);
+
+  if (candle) {
+    await databases.updateDocument(
+      inGameMarketDatabase,
+      priceCandlesCollection,
+      candle.$id,
+      data
+    );
+  } else {
+    await databases.createDocument(
+      inGameMarketDatabase,
+      priceCandlesCollection,
+      ID.unique(),
+      {
+        ...data,
+        stock_id: stock.$id,
+        ticker_symbol: stock.ticker_symbol,
+        interval,
+        period_start: periodStart,
+      }
+    );
+  }
+}
+
+// Parses and validates the query of a GET /history request
+export function parseHistoryQuery(query = {}) {
+  const ticker = query.ticker;
+  const interval = query.interval ?? 'tick';
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+  const limit = query.limit ? Number(query.limit) : DEFAULT_HISTORY_LIMIT;
+
+  if (!ticker) {
+    throw new Error('Missing required query parameter: ticker');
+  }
+  if (interval !== 'tick' && !CANDLE_INTERVALS.includes(interval)) {
+    throw new Error(
+      `Invalid interval: ${interval} (expected tick, ${CANDLE_INTERVALS.join(', ')})`
+    );
+  }
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    throw new Error('Invalid date range: from and to must be ISO 8601 dates');
+  }
+  if (from > to) {
+    throw new Error('Invalid date range: from must be before to');
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_LIMIT) {
+    throw new Error(
+      `Invalid limit: must be an integer between 1 and ${MAX_HISTORY_LIMIT}`
+    );
+  }
+
+  return {
+    ticker,
+    interval,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    limit,
+  };
+}
+
+// Returns the ticks or candles of a ticker within [from, to], oldest first
+export async function fetchPriceHistory(
+  { ticker, interval, from, to, limit },
+  config,
+  client
+) {
+  const databases = new Databases(client);
+  const isTick = interval === 'tick';
+  const collection = isTick
+    ? config.database.priceHistoryCollection
+    : config.database.priceCandlesCollection;
+  const timeField = isTick ? 'timestamp' : 'period_start';
+
+  if (!collection) {
+    throw new Error(
+      `Price ${isTick ? 'history' : 'candles'} collection is not configured`
+    );
+  }
+
+  const queries = [
+    Query.equal('ticker_symbol', ticker),
+    Query.greaterThanEqual(timeField, from),
+    Query.lessThanEqual(timeField, to),
+    Query.orderAsc(timeField),
+  ];
+  if (!isTick) {
+    queries.push(Query.equal('interval', interval));
+  }
+
+  const documents = [];
+  let cursor = null;
+  while (documents.length < limit) {
+    const pageQueries = [
+      ...queries,
+      Query.limit(Math.min(PAGE_SIZE, limit - documents.length)),
+    ];
+    if (cursor) {
+      pageQueries.push(Query.cursorAfter(cursor));
+    }
+
+    const response = await databases.listDocuments(
+      config.database.inGameMarketDatabase,
+      collection,
+      pageQueries
+    );
+    documents.push(...response.documents);
+
+    if (response.documents.length < PAGE_SIZE) {
+      break;
+    }
+    cursor = response.documents[response.documents.length - 1].$id;
+  }
+
+  return documents.map((doc) =>
+    isTick
+      ? {
+          timestamp: doc.timestamp,
+          price: doc.price,
+          change_percentage: doc.change_percentage,
+        }
+      : {
+          period_start: doc.period_start,
+          open: doc.open,
+          high: doc.high,
+          low: doc.low,
+          close: doc.close,
+          change: doc.change,
+          change_percentage: doc.change_percentage,
+        }
+  );
+}
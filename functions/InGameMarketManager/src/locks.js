@@ -0,0 +1,102 @@
+import { createHash } from 'node:crypto';
+
+// Per-player locks around cash updates. Appwrite has neither transactions nor
+// atomic increments, so a TradingEngine fill and an InGameMarketManager
+// dividend that both read a player's cash and write it back can lose one of
+// the two updates. Both take the player's lock first: a document whose ID
+// derives from the player ID, which only one execution at a time can create.
+// Both functions carry a verbatim copy of this file; test/locks.test.js at
+// the repository root fails when the copies drift apart.
+//
+// Lock attributes (locks collection): player_id: String, expires_at: DateTime
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Appwrite document IDs are limited to 36 characters
+export function playerLockId(playerId) {
+  const hash = createHash('sha256').update(String(playerId)).digest('hex');
+  return `lock-${hash.slice(0, 31)}`;
+}
+
+async function deleteLock(databases, databaseId, collectionId, lockId) {
+  try {
+    await databases.deleteDocument(databaseId, collectionId, lockId);
+  } catch (error) {
+    if (error.code !== 404) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Runs fn while holding the player's lock and releases it afterwards. A lock
+ * held by another execution is waited for; one left behind by a crashed
+ * execution is taken over once it expires. Without a locks collection fn runs
+ * unlocked.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} options
+ * @param {string} options.databaseId - Database holding the locks collection
+ * @param {string} [options.collectionId] - Locks collection
+ * @param {number} [options.ttlMs=30000] - How long a lock is held at most
+ * @param {number} [options.retries=50] - Attempts to wait for a held lock
+ * @param {number} [options.retryDelayMs=100] - Wait between attempts
+ * @param {string} playerId - Player whose cash fn updates
+ * @param {Function} fn - Async function to run under the lock
+ * @returns {Promise<*>} - What fn resolves to
+ * @throws {Error} - With statusCode 409 when the lock stays held
+ */
+export async function withPlayerLock(
+  databases,
+  { databaseId, collectionId, ttlMs = 30000, retries = 50, retryDelayMs = 100 },
+  playerId,
+  fn
+) {
+  if (!collectionId) {
+    return fn();
+  }
+
+  const lockId = playerLockId(playerId);
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await databases.createDocument(databaseId, collectionId, lockId, {
+        player_id: playerId,
+        expires_at: new Date(Date.now() + ttlMs).toISOString(),
+      });
+      break;
+    } catch (error) {
+      if (error.code !== 409) {
+        throw error;
+      }
+    }
+
+    let lock = null;
+    try {
+      lock = await databases.getDocument(databaseId, collectionId, lockId);
+    } catch (error) {
+      if (error.code !== 404) {
+        throw error;
+      }
+    }
+    if (lock && Date.parse(lock.expires_at) <= Date.now()) {
+      await deleteLock(databases, databaseId, collectionId, lockId);
+      continue;
+    }
+    if (attempt >= retries) {
+      const error = new Error(
+        `Player ${playerId} is busy, try again in a moment`
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+    if (lock) {
+      await sleep(retryDelayMs);
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await deleteLock(databases, databaseId, collectionId, lockId);
+  }
+}
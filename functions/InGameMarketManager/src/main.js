@@ -1,9 +1,22 @@
 import pkg from 'node-appwrite';
 
-const { Client, Databases } = pkg;
+import { appliedTickStocks, fetchPriceHistory, parseHistoryQuery, recordPriceHistory } from './history.js';
+import { seededGaussian } from './random.js';
+import { advanceEvents, calculateEventImpact, fetchActiveEvents, fetchNewsFeed, recordLifecycleEvents } from './events.js';
+import { listAllDocuments, mapWithConcurrency, withRetry } from './db.js';
+import { createMarketCalendar, parseHolidays } from './calendar.js';
+import { cancelHoldings, enforceGuardrails, prepareStocks, validateGuardrails } from './guardrails.js';
+import { parseDocument, parseDocuments, serializeDocument } from './schema.js';
+import { createWebhookAlertSink, startRun } from './observability.js';
+import { deriveMetrics, payDividends } from './fundamentals.js';
+import { assetRules } from './assets.js';
+import { buildTickMessage, publishTick, validateTickWebhook } from './ticks.js';
 
-export default async ({ req, res, context }) => {
-  const client = new Client()
+const { Client, Databases, Functions, Query } = pkg;
+
+export default async ({ req, res, context, client }) => {
+  // Tests pass an in-memory client; the Appwrite runtime never does
+  client ??= new Client()
     .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
     .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
     .setKey(req.headers['x-appwrite-key'] ?? '');
@@ -12,28 +25,117 @@ export default async ({ req, res, context }) => {
     database: {
       inGameMarketCollection: process.env.INGAME_STOCK_COLLECTION,
       inGameMarketDatabase: process.env.INGAME_STOCK_DATABASE_ID,
-      dailyManipulatorCollection: process.env.DAILY_MANIPULATOR_COLLECTION
+      dailyManipulatorCollection: process.env.DAILY_MANIPULATOR_COLLECTION,
+      // Optional: real-world ETF collection used to derive sector factors
+      realWorldCollection: process.env.REALWORLD_STOCK_COLLECTION,
+      // Optional: per-tick price history and hourly/daily OHLC candles
+      priceHistoryCollection: process.env.PRICE_HISTORY_COLLECTION,
+      priceCandlesCollection: process.env.PRICE_CANDLES_COLLECTION,
+      // Optional: scheduled and random market events (news shocks)
+      marketEventsCollection: process.env.MARKET_EVENTS_COLLECTION,
+      // Optional: TradingEngine holdings, cancelled when a stock goes bankrupt
+      // (under the player locks below, when set)
+      holdingsCollection: process.env.HOLDINGS_COLLECTION,
+      // Optional: dividend payouts, credited to the TradingEngine players
+      // holding the stock (needs the holdings, players and player locks
+      // collections too; TradingEngine takes the same locks for its fills)
+      dividendsCollection: process.env.DIVIDENDS_COLLECTION,
+      playersCollection: process.env.PLAYERS_COLLECTION,
+      playerLocksCollection: process.env.PLAYER_LOCKS_COLLECTION,
+      // Optional: market control document written by MarketAdmin (pause/resume)
+      marketControlCollection: process.env.MARKET_CONTROL_COLLECTION,
+      // Optional: one record per tick (see src/observability.js)
+      runRecordsCollection: process.env.RUN_RECORDS_COLLECTION,
+      // Optional: one message per tick for clients subscribed through Realtime
+      ticksCollection: process.env.TICKS_COLLECTION
+    },
+    ticks: {
+      // Optional: webhook the tick messages are POSTed to, signed with the secret
+      webhook: {
+        url: process.env.TICK_WEBHOOK_URL,
+        secret: process.env.TICK_WEBHOOK_SECRET,
+        retries: Number(process.env.TICK_WEBHOOK_RETRIES ?? 3),
+        retryDelayMs: Number(process.env.TICK_WEBHOOK_RETRY_DELAY_MS ?? 500),
+        timeoutMs: Number(process.env.TICK_WEBHOOK_TIMEOUT_MS ?? 5000)
+      }
+    },
+    alerts: {
+      // Optional: webhook alerted on failed ticks and anomalies
+      webhookUrl: process.env.ALERT_WEBHOOK_URL,
+      // Manipulators at least this large (in either direction) are anomalies
+      manipulatorThreshold: Number(process.env.ALERT_MANIPULATOR_THRESHOLD ?? 4)
+    },
+    // Optional: TradingEngine function that fills open limit orders after each tick
+    tradingFunctionId: process.env.TRADING_FUNCTION_ID,
+    // Optional: PortfolioValuation function that revalues portfolios after each tick
+    portfolioFunctionId: process.env.PORTFOLIO_FUNCTION_ID,
+    // Key the internal routes of those functions require
+    internalKey: process.env.MARKET_INTERNAL_KEY,
+    market: {
+      // Optional seed so idiosyncratic moves can be reproduced
+      randomSeed: process.env.MARKET_RANDOM_SEED ?? '',
+      // Chance of a random market event on each tick
+      eventProbability: Number(process.env.MARKET_EVENT_PROBABILITY ?? 0.05),
+      // Length of a tick slot; executions within the same slot are one tick
+      tickIntervalMinutes: Number(process.env.MARKET_TICK_INTERVAL_MINUTES ?? 60),
+      // What ticks do while the exchange is closed: "after_hours" (default),
+      // "pause" or "ignore" (trade as if it were open)
+      closedMode: process.env.MARKET_CLOSED_MODE || 'after_hours',
+      // Share of a stock's volatility used for after-hours moves
+      afterHoursVolatility: Number(process.env.MARKET_AFTER_HOURS_VOLATILITY ?? 0.25),
+      // Segment manipulators older than this are ignored, so a segment
+      // marketManipulator stopped computing falls back to the market-wide one
+      maxSegmentManipulatorAgeHours: Number(process.env.MARKET_MAX_SEGMENT_MANIPULATOR_AGE_HOURS ?? 26)
+    },
+    calendar: {
+      timezone: process.env.MARKET_TIMEZONE || 'America/New_York',
+      open: process.env.MARKET_OPEN || '09:30',
+      close: process.env.MARKET_CLOSE || '16:00',
+      holidays: process.env.MARKET_HOLIDAYS
+    },
+    // Maximum number of stock updates in flight at once
+    writeConcurrency: Math.max(1, Number(process.env.MARKET_WRITE_CONCURRENCY ?? 5) || 5),
+    guardrails: {
+      priceFloor: Number(process.env.MARKET_PRICE_FLOOR ?? 0.01),
+      priceCeiling: Number(process.env.MARKET_PRICE_CEILING || Infinity),
+      // 0 turns the circuit breaker / bankruptcy off
+      circuitBreakerPercent: Number(process.env.MARKET_CIRCUIT_BREAKER_PERCENT ?? 0),
+      circuitBreakerHaltTicks: Number(process.env.MARKET_CIRCUIT_BREAKER_HALT_TICKS ?? 1),
+      bankruptcyPrice: Number(process.env.MARKET_BANKRUPTCY_PRICE ?? 0),
+      relistAfterTicks: Number(process.env.MARKET_RELIST_AFTER_TICKS ?? 24),
+      relistPrice: Number(process.env.MARKET_RELIST_PRICE ?? 10)
     }
   };
 
-  try {
-    // Step 1 - Fetch Stocks
-    const inGameStocks = await fetchStocks(config, client, context);
-    // Step 2 - fetchDailyManipulator
-    const dailyManipulator = await fetchDailyManipulator(config, client, context)
-    context?.log(`dailyManipulator: ${dailyManipulator}`)
-    // Step 3 - applyManipulatorToStocks
-    const manipulatedStocks = applyManipulatorToStocks(inGameStocks, dailyManipulator, context)
-    // Step 4 - Update stocks in database
-    const updateResults = await updateStocks(manipulatedStocks, config, client, context)
+  // JSON log lines tagged with this execution; ticks also leave a run record
+  // and alert on failures and anomalies, read-only routes only log
+  const run = startRun({
+    functionName: 'InGameMarketManager',
+    context,
+    databases: new Databases(client),
+    databaseId: config.database.inGameMarketDatabase,
+    runsCollection: config.database.runRecordsCollection,
+    alertSink: createWebhookAlertSink(config.alerts.webhookUrl)
+  });
+  const logger = run.logger;
 
-    return res.json({
-      success: true,
-      stocks: manipulatedStocks,
-      updateResults: updateResults
-    });
+  // GET /history?ticker=XYZ&from=...&to=...&interval=tick|hour|day
+  if (req.path === '/history') {
+    return handleHistoryRequest(req, res, config, client, logger);
+  }
+
+  // GET /news?limit=20
+  if (req.path === '/news') {
+    return handleNewsRequest(req, res, config, client, logger);
+  }
+
+  try {
+    const result = await runTick(req, config, client, logger);
+    await run.finish({ status: 'ok', ...describeTick(result, config) });
+    return res.json(result);
   } catch (err) {
-    context?.log(`Error fetching stocks: ${err}`);
+    logger.error(`Tick failed: ${err.message}`);
+    await run.finish({ status: 'failed', errors: [err.message] });
     return res.json({
       success: false,
       error: err.message
@@ -41,99 +143,516 @@ export default async ({ req, res, context }) => {
   }
 };
 
-// Function that fetches stocks
-async function fetchStocks(config, client, context) {
+// One market tick: moves every stock the tick has not moved yet and returns
+// the response body
+async function runTick(req, config, client, logger) {
+  // Step 1 - Fetch Stocks, leaving out the ones this tick has already moved
+  const { tick, tickKey } = resolveTick(req, config);
+  validateGuardrails(config.guardrails);
+  validateTickWebhook(config.ticks.webhook);
+  const control = await fetchMarketControl(config, client, logger);
+  if (control.paused) {
+    logger.log(`Market paused by ${control.updated_by ?? 'an admin'}${control.reason ? `: ${control.reason}` : ''}`);
+    return { success: true, paused: true, control, tickKey };
+  }
+  const session = resolveSession(tick, config);
+  if (!session.open) {
+    logger.log(`Market closed (${session.reason}), running in ${session.mode} mode`);
+  }
+  const closed = session.mode !== 'open';
+  const afterHours = session.mode === 'after_hours';
+  let { stocks: allStocks, invalid: invalidStocks } = await fetchStocks(config, client, logger);
+  if (session.mode === 'pause') {
+    // Instruments trading around the clock (crypto) move on their own
+    allStocks = allStocks.filter(stock => assetRules(stock).alwaysOpen);
+    if (allStocks.length === 0) {
+      return { success: true, paused: true, session, tickKey };
+    }
+  }
+  const inGameStocks = allStocks.filter(stock => stock.last_tick_key !== tickKey);
+  // Moved by an earlier execution of this tick, which may have failed before
+  // recording their history
+  const applied = appliedTickStocks(allStocks.filter(stock => stock.last_tick_key === tickKey));
+  if (applied.stocks.length > 0) {
+    logger.log(`Tick ${tickKey} already applied to ${applied.stocks.length} stocks, skipping them`);
+  }
+  // Step 2 - fetchDailyManipulator (while the exchange is closed the real market
+  // only moves for the instruments trading around the clock)
+  const followsRealMarket = !closed || inGameStocks.some(stock => assetRules(stock).alwaysOpen);
+  const { manipulator: dailyManipulator, segmentManipulators } = followsRealMarket
+    ? await fetchDailyManipulator(tick, config, client, logger)
+    : { manipulator: 0, segmentManipulators: {} }
+  logger.log(`dailyManipulator: ${dailyManipulator}`)
+  // Step 3 - fetchSectorFactors
+  const sectorFactors = followsRealMarket ? await fetchSectorFactors(inGameStocks, config, client, logger) : {};
+  // Step 4 - fetchActiveEvents (may trigger a random event)
+  const events = await fetchActiveEvents(allStocks, tick, tickKey, config, client, logger);
+  if (inGameStocks.length === 0) {
+    await advanceEvents(events, tickKey, config, client, logger);
+    const historyResults = await recordPriceHistory(applied.stocks, applied.previousPrices, tick, tickKey, config, client, logger);
+    return { success: true, alreadyApplied: true, tickKey, invalidStocks, historyResults };
+  }
+  // Step 5 - applyManipulatorToStocks to the tradable stocks, then hold the
+  // new prices to the guardrails (floors, circuit breakers, bankruptcy)
+  const { tradable, relisted, frozen, events: relistings } = prepareStocks(inGameStocks, tick, config.guardrails);
+  if (frozen.length > 0) {
+    logger.log(`${frozen.length} halted or delisted stocks sit this tick out`);
+  }
+  const previousPrices = Object.fromEntries(inGameStocks.map(stock => [stock.$id, stock.price]));
+  const guarded = enforceGuardrails(
+    applyManipulatorToStocks(tradable, dailyManipulator, logger, {
+      sectorFactors,
+      segmentManipulators,
+      events,
+      seed: `${config.market.randomSeed}:${tickKey}`,
+      volatilityScale: afterHours ? config.market.afterHoursVolatility : 1,
+      closed
+    }),
+    previousPrices,
+    tick,
+    config.guardrails,
+    config.market.tickIntervalMinutes > 0 ? config.market.tickIntervalMinutes : 60
+  );
+  const manipulatedStocks = [...guarded.stocks, ...relisted];
+  // Step 6 - Update stocks in database and move events on to their next tick
+  const updateResults = await updateStocks(manipulatedStocks, tickKey, config, client, logger)
+  await advanceEvents(events, tickKey, config, client, logger);
+  const updatedIds = new Set(updateResults.results.filter(r => r.success).map(r => r.id));
+  const lifecycleEvents = [...relistings, ...guarded.events].filter(event => updatedIds.has(event.stockId));
+  await recordLifecycleEvents(lifecycleEvents, tickKey, config, client, logger);
+  const holdingsResults = await cancelHoldings(
+    lifecycleEvents.filter(event => event.type === 'bankruptcy').map(event => event.target),
+    config,
+    client,
+    logger
+  );
+  // Step 7 - Append the tick to the price history, also for the stocks an
+  // earlier execution of the tick moved
+  const historyResults = await recordPriceHistory(
+    [...manipulatedStocks.filter(stock => updatedIds.has(stock.$id)), ...applied.stocks],
+    { ...applied.previousPrices, ...previousPrices },
+    tick,
+    tickKey,
+    config,
+    client,
+    logger
+  );
+  // Step 8 - Publish the new prices to the clients
+  const published = await publishTick(
+    buildTickMessage({
+      runId: logger.runId,
+      tick,
+      tickKey,
+      stocks: manipulatedStocks.filter(stock => updatedIds.has(stock.$id)),
+      previousPrices,
+      events
+    }),
+    config,
+    client,
+    logger
+  );
+  // Step 9 - Pay the dividends that fell due, at the new prices
+  const movedStocks = new Map(manipulatedStocks.filter(stock => updatedIds.has(stock.$id)).map(stock => [stock.$id, stock]));
+  const dividendResults = await payDividends(
+    allStocks.map(stock => movedStocks.get(stock.$id) ?? stock),
+    tick,
+    config,
+    client,
+    logger
+  );
+  // Step 10 - Let the trading engine fill limit orders at the new prices
+  const ordersEvaluation = await triggerFunction(config.tradingFunctionId, '/orders/evaluate', config, client, logger);
+  // Step 11 - Revalue player portfolios at the new prices
+  const portfolioValuation = await triggerFunction(config.portfolioFunctionId, '/', config, client, logger);
+
+  return {
+    success: true,
+    tickKey: tickKey,
+    session: session,
+    manipulator: dailyManipulator,
+    stocks: manipulatedStocks,
+    updateResults: updateResults,
+    invalidStocks: invalidStocks,
+    events: events.map(event => ({ id: event.$id, headline: event.headline })),
+    lifecycleEvents: lifecycleEvents.map(event => ({ type: event.type, target: event.target, headline: event.headline })),
+    cancelledHoldings: holdingsResults.cancelled,
+    historyResults: historyResults,
+    published: published,
+    dividends: dividendResults,
+    ordersEvaluation: ordersEvaluation,
+    portfolioValuation: portfolioValuation
+  };
+}
+
+// Counts and anomalies of a finished tick for its run record: failed stock
+// updates, stocks failing schema validation, failed dividend payouts, failed
+// tick publications and extreme manipulators are alerted on
+function describeTick(result, config) {
+  const results = result.updateResults?.results ?? [];
+  const failed = results.filter(r => !r.success).length;
+  const anomalies = [];
+  if (failed > 0) {
+    anomalies.push(`${failed} of ${results.length} stock updates failed`);
+  }
+  if (result.invalidStocks?.length > 0) {
+    anomalies.push(`${result.invalidStocks.length} stocks failed schema validation`);
+  }
+  for (const { ticker, error } of result.dividends?.failed ?? []) {
+    anomalies.push(`Dividend payout for ${ticker} failed: ${error}`);
+  }
+  if (result.published?.error) {
+    anomalies.push(`Publishing the tick failed: ${result.published.error}`);
+  }
+  if (result.published?.webhook?.delivered === false) {
+    anomalies.push(`Tick webhook delivery failed: ${result.published.webhook.error}`);
+  }
+  if (Math.abs(result.manipulator) >= config.alerts.manipulatorThreshold) {
+    anomalies.push(`Extreme manipulator ${result.manipulator} (threshold ${config.alerts.manipulatorThreshold})`);
+  }
+
+  return {
+    counts: { updated: results.length - failed, failed },
+    manipulator: result.manipulator ?? null,
+    anomalies
+  };
+}
+
+async function handleHistoryRequest(req, res, config, client, logger) {
+  let query;
+  try {
+    query = parseHistoryQuery(req.query);
+  } catch (err) {
+    return res.json({ success: false, error: err.message }, 400);
+  }
+
+  try {
+    const data = await fetchPriceHistory(query, config, client);
+    return res.json({ success: true, ...query, count: data.length, data });
+  } catch (err) {
+    logger.error(`Error fetching price history: ${err}`);
+    return res.json({ success: false, error: err.message }, 500);
+  }
+}
+
+async function handleNewsRequest(req, res, config, client, logger) {
+  try {
+    const news = await fetchNewsFeed(req.query, config, client);
+    return res.json({ success: true, count: news.length, news });
+  } catch (err) {
+    logger.error(`Error fetching news feed: ${err}`);
+    return res.json({ success: false, error: err.message }, err.statusCode ?? 500);
+  }
+}
+
+// Identifies the tick this execution applies. An explicit x-idempotency-key
+// header wins; otherwise the key is the start of the current tick slot, so a
+// retried scheduled execution maps onto the tick it is retrying.
+function resolveTick(req, config) {
+  const headerKey = req.headers['x-idempotency-key'];
+  if (headerKey) {
+    return { tick: new Date().toISOString(), tickKey: String(headerKey) };
+  }
+
+  const intervalMs = (config.market.tickIntervalMinutes > 0 ? config.market.tickIntervalMinutes : 60) * 60 * 1000;
+  const slotStart = new Date(Math.floor(Date.now() / intervalMs) * intervalMs).toISOString();
+  return { tick: slotStart, tickKey: slotStart };
+}
+
+// The pause switch set through MarketAdmin. Without a control collection or
+// document the market is running.
+async function fetchMarketControl(config, client, logger) {
+  if (!config.database.marketControlCollection) {
+    return { paused: false };
+  }
+
   try {
     const databases = new Databases(client);
+    const doc = await databases.getDocument(
+      config.database.inGameMarketDatabase,
+      config.database.marketControlCollection,
+      'market'
+    );
+    return { paused: doc.paused ?? false, reason: doc.reason ?? null, updated_by: doc.updated_by ?? null };
+  } catch (error) {
+    if (error.code === 404) {
+      return { paused: false };
+    }
+    logger.error(`Database error: ${error}`);
+    throw error;
+  }
+}
 
-    const response = await databases.listDocuments(
+// Where the exchange stands at the tick and what the tick does about it:
+// mode is "open", or the configured closed mode when the exchange is closed
+function resolveSession(tick, config) {
+  if (!['after_hours', 'pause', 'ignore'].includes(config.market.closedMode)) {
+    throw new Error(`Invalid MARKET_CLOSED_MODE: ${config.market.closedMode} (expected after_hours, pause or ignore)`);
+  }
+
+  const calendar = createMarketCalendar({
+    ...config.calendar,
+    holidays: parseHolidays(config.calendar.holidays)
+  });
+  const session = calendar.session(tick);
+  const mode = session.open || config.market.closedMode === 'ignore' ? 'open' : config.market.closedMode;
+  return { ...session, mode };
+}
+
+// Function that fetches stocks, following cursors through the whole market.
+// Stocks that do not match the schema are reported and sit the tick out.
+async function fetchStocks(config, client, logger) {
+  try {
+    const databases = new Databases(client);
+
+    const documents = await listAllDocuments(
+      databases,
       config.database.inGameMarketDatabase,
       config.database.inGameMarketCollection
     );
+    const { documents: stocks, errors } = parseDocuments('inGameStock', documents);
+    for (const error of errors) {
+      logger.warn(`Skipping stock: ${error.message}`);
+    }
 
-    return response.documents;
+    return { stocks, invalid: errors.map(error => ({ id: error.documentId, violations: error.violations })) };
   } catch (error) {
-    context?.log(`Database error: ${error}`);
+    logger.error(`Database error: ${error}`);
     throw error; // Re-throw to be caught by the main try/catch
   }
 }
 
-async function fetchDailyManipulator(config, client, context) {
+// Returns the market-wide manipulator plus the per-segment manipulators
+// (equities, bonds, ...) written by marketManipulator. A document without a
+// segment is the legacy market-wide manipulator. An invalid segment document
+// is skipped, an invalid market-wide one fails the tick. A segment document
+// older than maxSegmentManipulatorAgeHours at the tick is skipped too, unless
+// an admin locked it: marketManipulator leaves segments without fresh quotes
+// alone, and their last factor must not be applied again tick after tick.
+async function fetchDailyManipulator(tick, config, client, logger) {
   try {
     const databases = new Databases(client);
 
     const response = await databases.listDocuments(
       config.database.inGameMarketDatabase,
-      config.database.dailyManipulatorCollection
+      config.database.dailyManipulatorCollection,
+      [Query.limit(100)]
+    );
+
+    let manipulator;
+    const segmentManipulators = {};
+    for (const stored of response.documents ?? []) {
+      const segment = stored.segment ?? 'market';
+      let doc;
+      try {
+        doc = parseDocument('dailyManipulator', stored);
+      } catch (error) {
+        if (segment === 'market' || !error.violations) {
+          throw error;
+        }
+        logger.warn(`Skipping ${segment} manipulator: ${error.message}`);
+        continue;
+      }
+
+      const ageHours = doc.UpdateTime ? (Date.parse(tick) - Date.parse(doc.UpdateTime)) / 3600000 : 0;
+      if (segment === 'market') {
+        manipulator ??= doc.manipulator;
+      } else if (!doc.locked && ageHours > config.market.maxSegmentManipulatorAgeHours) {
+        logger.warn(`Skipping ${segment} manipulator: ${Math.round(ageHours)}h old (max ${config.market.maxSegmentManipulatorAgeHours}h)`);
+      } else {
+        segmentManipulators[segment] = doc.manipulator;
+      }
+    }
+
+    if (manipulator === undefined) {
+      // Return a default value if no documents found
+      logger.log('No manipulator documents found, using default value 0');
+      manipulator = 0;
+    }
+
+    return { manipulator, segmentManipulators };
+  } catch (error) {
+    logger.error(`Database error: ${error}`);
+    throw error;
+  }
+}
+
+// Fetches the real-world sector ETFs the in-game stocks are mapped to and returns
+// each sector's move relative to the real-world market average, keyed by ticker.
+async function fetchSectorFactors(stocks, config, client, logger) {
+  const sectors = [...new Set(stocks.map(stock => stock.sector).filter(Boolean))];
+
+  if (!config.database.realWorldCollection || sectors.length === 0) {
+    return {};
+  }
+
+  try {
+    const databases = new Databases(client);
+
+    const { documents, errors } = parseDocuments(
+      'realWorldStock',
+      await listAllDocuments(
+        databases,
+        config.database.inGameMarketDatabase,
+        config.database.realWorldCollection
+      )
     );
+    for (const error of errors) {
+      logger.warn(`Skipping real-world quote: ${error.message}`);
+    }
+
+    const changes = {};
+    const values = [];
+    for (const doc of documents) {
+      changes[doc.ticker_symbol] = doc.change_percentage;
+      if (assetRules(doc).marketAverage) {
+        values.push(doc.change_percentage);
+      }
+    }
 
-    if (response.documents && response.documents.length > 0) {
-      return response.documents[0].manipulator;
+    if (values.length === 0) {
+      logger.log('No real-world sector data found, sector factors disabled');
+      return {};
     }
 
-    // Return a default value if no documents found
-    context?.log('No manipulator documents found, using default value 0');
-    return 0;
+    const marketAverage = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const factors = {};
+    for (const sector of sectors) {
+      if (sector in changes) {
+        factors[sector] = changes[sector] - marketAverage;
+      } else {
+        logger.log(`No real-world data for sector ${sector}, using 0`);
+      }
+    }
+
+    return factors;
   } catch (error) {
-    context?.log(`Database error: ${error}`);
+    logger.error(`Database error: ${error}`);
     throw error;
   }
 }
 
-function applyManipulatorToStocks(stocks, manipulator, context) {
+// Percentage change for a single stock:
+//   beta * manipulator + sector factor + volatility * N(0, 1) + market events
+// where manipulator is the manipulator of the stock's segment (or its asset
+// class's segment) when one exists, else the market-wide one. Stocks without
+// beta/volatility/sector/segment/asset_class fields move by exactly the
+// market-wide manipulator. The asset class also supplies a default volatility
+// and caps the move before market events (see src/assets.js).
+// After hours the manipulator and sector factors are 0 and volatility is scaled
+// down by volatilityScale.
+function calculateStockChange(stock, manipulator, sectorFactors, segmentManipulators, events, seed, volatilityScale = 1) {
+  const rules = assetRules(stock);
+  const base = segmentManipulators[stock.segment ?? rules.segment] ?? manipulator;
+  const beta = Number.isFinite(Number(stock.beta ?? NaN)) ? Number(stock.beta) : 1;
+  const volatility = (Number(stock.volatility) > 0 ? Number(stock.volatility) : rules.volatility) * volatilityScale;
+  const sectorFactor = sectorFactors[stock.sector] ?? 0;
+  const idiosyncratic = volatility > 0 ? volatility * seededGaussian(`${seed}:${stock.$id}`) : 0;
+
+  const marketMove = beta * base + sectorFactor + idiosyncratic;
+  const cappedMove = rules.maxMove > 0
+    ? Math.min(Math.max(marketMove, -rules.maxMove), rules.maxMove)
+    : marketMove;
+  const eventImpact = calculateEventImpact(stock, events);
+
+  return cappedMove + eventImpact;
+}
+
+export function applyManipulatorToStocks(stocks, manipulator, logger, options = {}) {
   if (!Array.isArray(stocks) || typeof manipulator !== 'number') {
-    context?.log(`Invalid input: stocks=${typeof stocks}, manipulator=${typeof manipulator}`);
+    logger?.warn(`Invalid input: stocks=${typeof stocks}, manipulator=${typeof manipulator}`);
     throw new Error('Invalid input: stocks must be an array and manipulator must be a number');
   }
 
+  const { sectorFactors = {}, segmentManipulators = {}, events = [], seed = '', volatilityScale = 1, closed = false } = options;
+
   return stocks.map(stock => {
     if (!stock.price || typeof stock.price !== 'number') {
       return stock; // Skip invalid stocks
     }
 
-    const changeAmount = (stock.price * (manipulator / 100));
+    // While the exchange is closed, only the instruments trading around the
+    // clock follow the real market, at their full volatility
+    const change = closed && !assetRules(stock).alwaysOpen
+      ? calculateStockChange(stock, 0, {}, {}, events, seed, volatilityScale)
+      : calculateStockChange(stock, manipulator, sectorFactors, segmentManipulators, events, seed, closed ? 1 : volatilityScale);
+    const changeAmount = (stock.price * (change / 100));
 
     return {
       ...stock,
       price: Number((stock.price + changeAmount).toFixed(2)),
-      last_change: Number(manipulator.toFixed(2))
+      last_change: Number(change.toFixed(2))
     };
   });
 }
 
-async function updateStocks(updatedStocks, config, client, context) {
+// Writes the new prices with at most config.writeConcurrency requests in flight,
+// retrying transient errors, along with the market cap and P/E ratio at the
+// new price. Each stock is stamped with the tick key so a retried execution
+// skips the stocks this tick has already moved.
+async function updateStocks(updatedStocks, tickKey, config, client, logger) {
   try {
     const databases = new Databases(client);
-    const results = [];
+    const lastUpdated = new Date().toISOString();
 
-    for (const stock of updatedStocks) {
+    const results = await mapWithConcurrency(updatedStocks, config.writeConcurrency, async (stock) => {
       try {
-        const response = await databases.updateDocument(
+        const data = serializeDocument('inGameStock', {
+          price: stock.price,
+          change_amount: stock.last_change,
+          last_updated: lastUpdated,
+          last_tick_key: tickKey,
+          ...deriveMetrics(stock),
+          // Status attributes are only written when the guardrails change them
+          ...stock.lifecycle
+        }, { partial: true });
+        await withRetry(() => databases.updateDocument(
           config.database.inGameMarketDatabase,
           config.database.inGameMarketCollection,
           stock.$id,
-          {
-            price: stock.price.toString(),
-            change_amount: stock.last_change.toString(),
-            last_updated: new Date().toISOString()
-          }
-        );
-        results.push({ id: stock.$id, success: true });
+          data
+        ), { context: logger });
+        return { id: stock.$id, success: true };
       } catch (stockError) {
-        context?.log(`Failed to update stock ${stock.$id}: ${stockError.message}`);
-        results.push({ id: stock.$id, success: false, error: stockError.message });
+        logger.warn(`Failed to update stock ${stock.$id}: ${stockError.message}`);
+        return { id: stock.$id, success: false, error: stockError.message };
       }
-    }
+    });
 
     const successCount = results.filter(r => r.success).length;
-    context?.log(`Updated ${successCount} of ${updatedStocks.length} stocks`);
+    logger.log(`Updated ${successCount} of ${updatedStocks.length} stocks`);
 
     return {
       success: successCount > 0,
       results: results
     };
   } catch (error) {
-    context?.error?.(`Failed to update stocks: ${error.message}`);
+    logger.error(`Failed to update stocks: ${error.message}`);
     throw error;
   }
-}
\ No newline at end of file
+}
+
+// Queues an asynchronous execution of a downstream function (TradingEngine,
+// PortfolioValuation) that reacts to the new prices. Failures are logged but
+// never fail the tick itself.
+async function triggerFunction(functionId, path, config, client, logger) {
+  if (!functionId) {
+    return { triggered: false };
+  }
+
+  try {
+    const functions = new Functions(client);
+    const execution = await functions.createExecution(
+      functionId,
+      '',
+      true,
+      path,
+      'POST',
+      config.internalKey ? { 'x-market-internal-key': config.internalKey } : {}
+    );
+    logger.log(`Queued execution ${execution.$id} of ${functionId} ${path}`);
+    return { triggered: true, executionId: execution.$id };
+  } catch (error) {
+    logger.warn(`Failed to trigger ${functionId} ${path}: ${error.message}`);
+    return { triggered: false, error: error.message };
+  }
+}
@@ -0,0 +1,32 @@
+// Seeded random numbers, so ticks can be replayed exactly from their seed
+
+// Hashes a string into a 32-bit seed (FNV-1a)
+export function hashSeed(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Returns a uniform [0, 1) generator (mulberry32) fully determined by the seed
+export function createRandom(seed) {
+  let state = hashSeed(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Returns a standard normal sample that is fully determined by the seed
+export function seededGaussian(seed) {
+  const next = createRandom(seed);
+
+  // Box-Muller transform; 1 - next() keeps the log argument above zero
+  const u1 = 1 - next();
+  const u2 = next();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
@@ -0,0 +1,331 @@
+// Document shapes of the market collections, shared by every function that
+// reads or writes them. Appwrite deploys each function on its own, so this
+// file is copied verbatim into each of them; test/schema.test.js at the
+// repository root fails when the copies drift apart.
+//
+// Prices and manipulators are stored as strings, the format the AlphaVantage
+// quotes always had. Reading a document parses them into numbers, writing one
+// turns numbers back into strings, so code in between only handles numbers.
+//
+// Attribute types:
+// - decimal: string holding a number, written with `precision` decimals
+//   (always that many with `fixed`, e.g. "571.2000")
+// - percent: decimal with a trailing %, e.g. "-0.2337%"
+// - float, integer, boolean: stored as such
+// - string, string[], datetime (ISO 8601), date (YYYY-MM-DD)
+// Unset attributes come back from Appwrite as null, which every optional
+// attribute accepts.
+
+// Asset classes of the real-world quotes and in-game instruments. Each has its
+// own market data providers (FetchesRealWorldStocks) and price rule
+// (InGameMarketManager); crypto trades around the clock.
+export const ASSET_CLASSES = ['equity', 'bond', 'commodity', 'crypto'];
+
+export const SCHEMAS = {
+  // REALWORLD_STOCK_COLLECTION, written by FetchesRealWorldStocks
+  realWorldStock: {
+    ticker_symbol: { type: 'string', required: true },
+    etf_name: { type: 'string' },
+    // Watchlist category (the marketManipulator segment), e.g. "bonds"
+    category: { type: 'string' },
+    asset_class: { type: 'string', values: ASSET_CLASSES },
+    last_updated: { type: 'datetime' },
+    price: { type: 'decimal', precision: 4, fixed: true, required: true },
+    change_amount: { type: 'decimal', precision: 4, fixed: true },
+    change_percentage: {
+      type: 'percent',
+      precision: 4,
+      fixed: true,
+      required: true,
+    },
+    volume: { type: 'decimal', precision: 0 },
+    latest_trading_day: { type: 'date' },
+    raw_data: { type: 'string[]' },
+    // Provenance: the provider that served the quote ("mock" for generated
+    // quotes), whether it is real market data, and when it was fetched. Quotes
+    // stored before these attributes existed have none of them.
+    source: { type: 'string' },
+    is_real: { type: 'boolean' },
+    fetched_at: { type: 'datetime' },
+  },
+  // DAILY_MANIPULATOR_COLLECTION, written by marketManipulator and MarketAdmin
+  dailyManipulator: {
+    segment: { type: 'string' },
+    manipulator: { type: 'decimal', precision: 2, required: true },
+    UpdateTime: { type: 'datetime' },
+    locked: { type: 'boolean' },
+  },
+  // INGAME_STOCK_COLLECTION, moved by InGameMarketManager
+  inGameStock: {
+    ticker_symbol: { type: 'string' },
+    price: { type: 'decimal', precision: 2, required: true },
+    change_amount: { type: 'decimal', precision: 2 },
+    last_updated: { type: 'datetime' },
+    last_tick_key: { type: 'string' },
+    beta: { type: 'float' },
+    volatility: { type: 'float' },
+    sector: { type: 'string' },
+    segment: { type: 'string' },
+    // Unset means equity
+    asset_class: { type: 'string', values: ASSET_CLASSES },
+    status: { type: 'string', values: ['listed', 'halted', 'delisted'] },
+    halted_until: { type: 'datetime' },
+    delisted_at: { type: 'datetime' },
+    relist_at: { type: 'datetime' },
+    listings: { type: 'integer' },
+    listing_price: { type: 'float' },
+    price_frozen: { type: 'boolean' },
+    // Company fundamentals, set through MarketAdmin. dividend_yield is the
+    // annual dividend as a percentage of the price, paid in installments on
+    // the dividend_frequency schedule; last_dividend_at is the scheduled date
+    // of the latest installment paid. market_cap and pe_ratio are derived
+    // from the price on every tick (pe_ratio is null without earnings).
+    shares_outstanding: { type: 'integer' },
+    eps: { type: 'float' },
+    dividend_yield: { type: 'float' },
+    dividend_frequency: {
+      type: 'string',
+      values: ['monthly', 'quarterly', 'semiannual', 'annual'],
+    },
+    last_dividend_at: { type: 'datetime' },
+    market_cap: { type: 'float' },
+    pe_ratio: { type: 'float' },
+  },
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function describeValue(value) {
+  if (typeof value === 'string') {
+    return `"${value}"`;
+  }
+  return `${typeof value} ${typeof value === 'number' ? value : JSON.stringify(value)}`;
+}
+
+// Number held by a stored decimal or percent string, NaN when there is none
+function parseNumeric(value, field) {
+  const text = field.type === 'percent' ? value.replace(/%$/, '') : value;
+  return text.trim() === '' ? NaN : Number(text);
+}
+
+// Parses one stored attribute. Returns { value } or { violation }.
+function parseValue(value, field) {
+  switch (field.type) {
+    case 'decimal':
+    case 'percent': {
+      const number =
+        typeof value === 'string' ? parseNumeric(value, field) : NaN;
+      return Number.isFinite(number)
+        ? { value: number }
+        : {
+            violation: `expected a ${field.type === 'percent' ? 'percentage' : 'decimal'} string, got ${describeValue(value)}`,
+          };
+    }
+    case 'float':
+      return Number.isFinite(value)
+        ? { value }
+        : { violation: `expected a number, got ${describeValue(value)}` };
+    case 'integer':
+      return Number.isInteger(value)
+        ? { value }
+        : { violation: `expected an integer, got ${describeValue(value)}` };
+    case 'boolean':
+      return typeof value === 'boolean'
+        ? { value }
+        : { violation: `expected true or false, got ${describeValue(value)}` };
+    case 'datetime':
+      return typeof value === 'string' && !isNaN(Date.parse(value))
+        ? { value }
+        : {
+            violation: `expected an ISO date and time, got ${describeValue(value)}`,
+          };
+    case 'date':
+      return typeof value === 'string' && DATE_PATTERN.test(value)
+        ? { value }
+        : {
+            violation: `expected a YYYY-MM-DD date, got ${describeValue(value)}`,
+          };
+    case 'string[]':
+      return Array.isArray(value) &&
+        value.every((item) => typeof item === 'string')
+        ? { value }
+        : {
+            violation: `expected an array of strings, got ${describeValue(value)}`,
+          };
+    default:
+      if (typeof value !== 'string') {
+        return { violation: `expected a string, got ${describeValue(value)}` };
+      }
+      return field.values && !field.values.includes(value)
+        ? {
+            violation: `expected one of ${field.values.join(', ')}, got ${describeValue(value)}`,
+          }
+        : { value };
+  }
+}
+
+// Turns one attribute into its stored form. Numbers may be given as numbers or
+// already stored strings. Returns { value } or { violation }.
+function serializeValue(value, field) {
+  if (field.type !== 'decimal' && field.type !== 'percent') {
+    return parseValue(value, field);
+  }
+
+  const number = typeof value === 'string' ? parseNumeric(value, field) : value;
+  if (!Number.isFinite(number)) {
+    return { violation: `expected a number, got ${describeValue(value)}` };
+  }
+  const text = field.fixed
+    ? number.toFixed(field.precision)
+    : String(Number(number.toFixed(field.precision)));
+  return { value: field.type === 'percent' ? `${text}%` : text };
+}
+
+/**
+ * Creates the error thrown for a document that does not match its schema. The
+ * individual problems are kept on `violations` and the document ID on
+ * `documentId`.
+ *
+ * @param {string} schemaName - Key of SCHEMAS
+ * @param {string|undefined} id - Document ID, when known
+ * @param {Array<string>} violations - One "attribute: problem" entry per problem
+ * @returns {Error}
+ */
+export function schemaError(schemaName, id, violations) {
+  const error = new Error(
+    `Invalid ${schemaName} document${id ? ` ${id}` : ''}: ${violations.join('; ')}`
+  );
+  error.statusCode = 422;
+  error.documentId = id;
+  error.violations = violations;
+  return error;
+}
+
+function schemaFor(schemaName) {
+  const schema = SCHEMAS[schemaName];
+  if (!schema) {
+    throw new Error(`Unknown schema: ${schemaName}`);
+  }
+  return schema;
+}
+
+/**
+ * Parses a document read from Appwrite: decimals and percentages become
+ * numbers, every other attribute is checked against its type. Attributes the
+ * schema does not know ($id, ...) are kept as they are.
+ *
+ * @param {string} schemaName - Key of SCHEMAS
+ * @param {Object} doc - Stored document
+ * @returns {Object} - The document with parsed attributes
+ * @throws {Error} - schemaError listing every violation
+ */
+export function parseDocument(schemaName, doc) {
+  const schema = schemaFor(schemaName);
+  const parsed = { ...doc };
+  const violations = [];
+
+  for (const [name, field] of Object.entries(schema)) {
+    const value = doc?.[name];
+    if (value === undefined || value === null) {
+      if (field.required) {
+        violations.push(`${name}: required`);
+      }
+      continue;
+    }
+
+    const result = parseValue(value, field);
+    if ('violation' in result) {
+      violations.push(`${name}: ${result.violation}`);
+    } else {
+      parsed[name] = result.value;
+    }
+  }
+
+  if (violations.length > 0) {
+    throw schemaError(schemaName, doc?.$id, violations);
+  }
+  return parsed;
+}
+
+/**
+ * Parses a list of stored documents, setting the invalid ones aside instead of
+ * failing on the first.
+ *
+ * @param {string} schemaName - Key of SCHEMAS
+ * @param {Array<Object>} docs - Stored documents
+ * @returns {{documents: Array<Object>, errors: Array<Error>}} - The parsed
+ *   documents and one schemaError per invalid document
+ */
+export function parseDocuments(schemaName, docs) {
+  const documents = [];
+  const errors = [];
+  for (const doc of docs) {
+    try {
+      documents.push(parseDocument(schemaName, doc));
+    } catch (error) {
+      if (!error.violations) {
+        throw error;
+      }
+      errors.push(error);
+    }
+  }
+  return { documents, errors };
+}
+
+/**
+ * Turns the attributes to write into their stored form. Undefined attributes
+ * are left out and null clears an optional attribute. Attributes the schema
+ * does not know are violations, so a typo never reaches the database.
+ *
+ * @param {string} schemaName - Key of SCHEMAS
+ * @param {Object} data - Attributes to write
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Allow leaving out required
+ *   attributes, for updates
+ * @returns {Object} - The data to pass to createDocument/updateDocument
+ * @throws {Error} - schemaError listing every violation
+ */
+export function serializeDocument(schemaName, data, { partial = false } = {}) {
+  const schema = schemaFor(schemaName);
+  const serialized = {};
+  const violations = [];
+
+  for (const [name, value] of Object.entries(data)) {
+    const field = schema[name];
+    if (!field) {
+      violations.push(`${name}: not an attribute of ${schemaName}`);
+      continue;
+    }
+    if (value === undefined) {
+      continue;
+    }
+    if (value === null) {
+      if (field.required) {
+        violations.push(`${name}: required`);
+      } else {
+        serialized[name] = null;
+      }
+      continue;
+    }
+
+    const result = serializeValue(value, field);
+    if ('violation' in result) {
+      violations.push(`${name}: ${result.violation}`);
+    } else {
+      serialized[name] = result.value;
+    }
+  }
+
+  if (!partial) {
+    for (const [name, field] of Object.entries(schema)) {
+      if (field.required && data[name] === undefined) {
+        violations.push(`${name}: required`);
+      }
+    }
+  }
+
+  if (violations.length > 0) {
+    throw schemaError(schemaName, undefined, violations);
+  }
+  return serialized;
+}
@@ -0,0 +1,168 @@
+import { createHmac } from 'node:crypto';
+import pkg from 'node-appwrite';
+import { withRetry } from './db.js';
+
+const { Databases, ID } = pkg;
+
+// Live price updates for clients. Each tick that moves prices publishes one
+// compact message:
+//   { run_id, tick, tick_key, changes: [{ ticker, old, new, change }], events: [{ id, type, headline, target }] }
+// - as a document of the ticks collection, which clients subscribe to through
+//   Appwrite Realtime (changes and events are stored as JSON strings)
+// - optionally POSTed to a webhook, signed with HMAC-SHA256 and retried on
+//   server errors, rate limits and network failures
+// A retried tick publishes the stocks it moves on its own, so a message never
+// repeats a change an earlier one already carried.
+
+export const SIGNATURE_HEADER = 'X-Market-Signature';
+export const TIMESTAMP_HEADER = 'X-Market-Timestamp';
+
+// Builds the tick message from the stocks the tick moved and their prices
+// before it. Stocks whose price did not change are left out.
+export function buildTickMessage({
+  runId,
+  tick,
+  tickKey,
+  stocks,
+  previousPrices,
+  events,
+}) {
+  const changes = [];
+  for (const stock of stocks) {
+    const old = previousPrices[stock.$id];
+    if (old === stock.price) {
+      continue;
+    }
+    changes.push({
+      ticker: stock.ticker_symbol,
+      old,
+      new: stock.price,
+      change: stock.last_change,
+    });
+  }
+
+  return {
+    run_id: runId,
+    tick,
+    tick_key: tickKey,
+    changes,
+    events: events.map((event) => ({
+      id: event.$id,
+      type: event.type,
+      headline: event.headline,
+      target: event.target,
+    })),
+  };
+}
+
+// HMAC-SHA256 (hex) of "<timestamp>.<body>". Receivers recompute it with the
+// shared secret and compare, and reject old timestamps to stop replays.
+export function signPayload(secret, timestamp, body) {
+  return createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+}
+
+// Throws when the webhook settings cannot work
+export function validateTickWebhook(webhook) {
+  if (!webhook.url) {
+    return;
+  }
+  if (!webhook.secret) {
+    throw new Error(
+      'TICK_WEBHOOK_SECRET must be set to sign the TICK_WEBHOOK_URL deliveries'
+    );
+  }
+  if (!Number.isInteger(webhook.retries) || webhook.retries < 0) {
+    throw new Error('TICK_WEBHOOK_RETRIES must be 0 or a positive integer');
+  }
+}
+
+// POSTs the message to the webhook, retrying transient failures. Each attempt
+// is signed anew with its own timestamp. Resolves to the number of attempts.
+async function deliverWebhook(message, webhook, context) {
+  const body = JSON.stringify(message);
+  let attempts = 0;
+
+  await withRetry(
+    async () => {
+      attempts++;
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      let response;
+      try {
+        response = await fetch(webhook.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            [TIMESTAMP_HEADER]: timestamp,
+            [SIGNATURE_HEADER]: `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+          },
+          body,
+          signal: AbortSignal.timeout(webhook.timeoutMs),
+        });
+      } catch (error) {
+        // Network failures and timeouts carry no code and are retried
+        throw new Error(`Tick webhook unreachable: ${error.message}`);
+      }
+      if (!response.ok) {
+        const error = new Error(`Tick webhook answered ${response.status}`);
+        error.code = response.status;
+        throw error;
+      }
+    },
+    {
+      retries: webhook.retries,
+      baseDelayMs: webhook.retryDelayMs,
+      context,
+    }
+  );
+  return attempts;
+}
+
+// Publishes the tick message to the ticks collection and the webhook, each
+// when configured. Neither ever fails the tick: the prices have been written,
+// so a failed publication is reported in the result instead.
+export async function publishTick(message, config, client, context) {
+  const { inGameMarketDatabase, ticksCollection } = config.database;
+  const { webhook } = config.ticks;
+  const result = { changes: message.changes.length };
+  if (message.changes.length === 0 && message.events.length === 0) {
+    return result;
+  }
+
+  if (ticksCollection) {
+    try {
+      const databases = new Databases(client);
+      const document = await withRetry(
+        () =>
+          databases.createDocument(
+            inGameMarketDatabase,
+            ticksCollection,
+            ID.unique(),
+            {
+              ...message,
+              changes: JSON.stringify(message.changes),
+              events: JSON.stringify(message.events),
+            }
+          ),
+        { context }
+      );
+      result.documentId = document.$id;
+    } catch (error) {
+      context?.warn(`Failed to publish the tick: ${error.message}`);
+      result.error = error.message;
+    }
+  }
+
+  if (webhook.url) {
+    try {
+      const attempts = await deliverWebhook(message, webhook, context);
+      result.webhook = { delivered: true, attempts };
+    } catch (error) {
+      context?.warn(`Failed to deliver the tick webhook: ${error.message}`);
+      result.webhook = { delivered: false, error: error.message };
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,748 @@
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+
+import {
+  MemoryClient,
+  MemoryDatabases,
+  createContext,
+  createRequest,
+  createResponse,
+  startWebhookServer,
+} from '../../../test/harness/index.js';
+import { enforceGuardrails, prepareStocks } from '../src/guardrails.js';
+import { derivedId } from '../src/history.js';
+import { playerLockId } from '../src/locks.js';
+import handler, { applyManipulatorToStocks } from '../src/main.js';
+
+const stock = (id, price, extra = {}) => ({ $id: id, price, ...extra });
+
+describe('applyManipulatorToStocks', () => {
+  it('moves plain stocks by exactly the manipulator', () => {
+    const [moved] = applyManipulatorToStocks([stock('a', 100)], 2);
+    assert.equal(moved.price, 102);
+    assert.equal(moved.last_change, 2);
+  });
+
+  it('scales the manipulator by beta', () => {
+    const [moved] = applyManipulatorToStocks(
+      [stock('a', 100, { beta: 1.5 })],
+      2
+    );
+    assert.equal(moved.price, 103);
+  });
+
+  it('prefers the segment manipulator over the market-wide one', () => {
+    const [bond, equity] = applyManipulatorToStocks(
+      [stock('a', 100, { segment: 'bonds' }), stock('b', 100)],
+      2,
+      undefined,
+      { segmentManipulators: { bonds: -1 } }
+    );
+    assert.equal(bond.price, 99);
+    assert.equal(equity.price, 102);
+  });
+
+  it('adds the sector factor', () => {
+    const [moved] = applyManipulatorToStocks(
+      [stock('a', 100, { sector: 'XLK' })],
+      1,
+      undefined,
+      { sectorFactors: { XLK: 0.5 } }
+    );
+    assert.equal(moved.last_change, 1.5);
+  });
+
+  it('draws the same noise for the same seed', () => {
+    const stocks = [stock('a', 100, { volatility: 2 })];
+    const first = applyManipulatorToStocks(stocks, 0, undefined, {
+      seed: 'tick-1',
+    });
+    const again = applyManipulatorToStocks(stocks, 0, undefined, {
+      seed: 'tick-1',
+    });
+    const other = applyManipulatorToStocks(stocks, 0, undefined, {
+      seed: 'tick-2',
+    });
+    assert.deepEqual(first, again);
+    assert.notEqual(first[0].last_change, other[0].last_change);
+  });
+
+  it('scales volatility down after hours', () => {
+    const stocks = [stock('a', 100, { volatility: 2 })];
+    const [full] = applyManipulatorToStocks(stocks, 0, undefined, {
+      seed: 'tick-1',
+    });
+    const [quiet] = applyManipulatorToStocks(stocks, 0, undefined, {
+      seed: 'tick-1',
+      volatilityScale: 0.25,
+    });
+    assert.ok(Math.abs(quiet.last_change - full.last_change / 4) < 0.01);
+  });
+
+  it('follows the segment of the asset class and caps bond moves', () => {
+    const [bond, crypto] = applyManipulatorToStocks(
+      [
+        stock('a', 100, { asset_class: 'bond' }),
+        stock('b', 100, { asset_class: 'crypto', volatility: 0.0001 }),
+      ],
+      1,
+      undefined,
+      { segmentManipulators: { bonds: -5, crypto: 6 }, seed: 'tick-1' }
+    );
+    assert.equal(bond.last_change, -2);
+    assert.equal(crypto.last_change, 6);
+  });
+
+  it('only moves crypto with the real market while the exchange is closed', () => {
+    const [equity, crypto] = applyManipulatorToStocks(
+      [
+        stock('a', 100),
+        stock('b', 100, { asset_class: 'crypto', volatility: 0.0001 }),
+      ],
+      2,
+      undefined,
+      { seed: 'tick-1', volatilityScale: 0.25, closed: true }
+    );
+    assert.equal(equity.last_change, 0);
+    assert.equal(crypto.last_change, 2);
+  });
+
+  it('leaves stocks without a numeric price untouched', () => {
+    const invalid = stock('a', '100');
+    assert.deepEqual(applyManipulatorToStocks([invalid], 2), [invalid]);
+  });
+
+  it('throws on invalid input', () => {
+    assert.throws(() => applyManipulatorToStocks(null, 2), /Invalid input/);
+    assert.throws(() => applyManipulatorToStocks([], '2'), /Invalid input/);
+  });
+});
+
+describe('guardrails', () => {
+  const TICK = '2025-03-21T14:00:00.000Z';
+  const guardrails = {
+    priceFloor: 0.01,
+    priceCeiling: 1000,
+    circuitBreakerPercent: 10,
+    circuitBreakerHaltTicks: 2,
+    bankruptcyPrice: 1,
+    relistAfterTicks: 24,
+    relistPrice: 10,
+  };
+  const enforce = (stocks, previousPrices) =>
+    enforceGuardrails(stocks, previousPrices, TICK, guardrails, 60);
+
+  it('keeps prices within the floor and ceiling', () => {
+    const { stocks } = enforce([stock('a', 1200), stock('b', 0)], {
+      a: 1100,
+      b: 0,
+    });
+    assert.deepEqual(
+      stocks.map((s) => s.price),
+      [1000, 0.01]
+    );
+  });
+
+  it('halts a stock after an extreme move', () => {
+    const { stocks, events } = enforce([stock('a', 75)], { a: 100 });
+
+    assert.equal(stocks[0].price, 90);
+    assert.equal(stocks[0].last_change, -10);
+    assert.deepEqual(stocks[0].lifecycle, {
+      status: 'halted',
+      halted_until: '2025-03-21T16:00:00.000Z',
+    });
+    assert.equal(events[0].type, 'circuit_breaker');
+    assert.equal(events[0].magnitude, -25);
+  });
+
+  it('delists a stock that falls below the bankruptcy price', () => {
+    const { stocks, events } = enforce(
+      [stock('a', 0.95, { ticker_symbol: 'ACME' })],
+      { a: 1 }
+    );
+
+    assert.equal(stocks[0].lifecycle.status, 'delisted');
+    assert.equal(stocks[0].lifecycle.relist_at, '2025-03-22T14:00:00.000Z');
+    assert.equal(events[0].headline, 'ACME goes bankrupt and is delisted');
+  });
+
+  it('relists delisted stocks once they are due and keeps halts in place', () => {
+    const { tradable, relisted, frozen } = prepareStocks(
+      [
+        stock('due', 0.5, { status: 'delisted', relist_at: TICK }),
+        stock('halted', 50, {
+          status: 'halted',
+          halted_until: '2025-03-21T15:00:00.000Z',
+        }),
+        stock('resumed', 50, { status: 'halted', halted_until: TICK }),
+      ],
+      TICK,
+      guardrails
+    );
+
+    assert.equal(relisted[0].price, 10);
+    assert.equal(relisted[0].lifecycle.listings, 2);
+    assert.deepEqual(
+      frozen.map((s) => s.$id),
+      ['halted']
+    );
+    assert.equal(tradable[0].lifecycle.status, 'listed');
+  });
+});
+
+describe('derivedId', () => {
+  it('derives the same Appwrite document ID from the same key', () => {
+    const id = derivedId('circuit_breaker', 'tick-1:acme');
+
+    assert.equal(id, derivedId('circuit_breaker', 'tick-1:acme'));
+    assert.notEqual(id, derivedId('circuit_breaker', 'tick-2:acme'));
+    assert.match(id, /^circuit_breaker-[0-9a-f]{20}$/);
+    assert.equal(derivedId('random', 'tick-1').length, 36);
+  });
+});
+
+describe('handler', () => {
+  let databases;
+  let client;
+
+  beforeEach(() => {
+    process.env.INGAME_STOCK_DATABASE_ID = 'db';
+    process.env.INGAME_STOCK_COLLECTION = 'stocks';
+    process.env.DAILY_MANIPULATOR_COLLECTION = 'manipulator';
+    process.env.TRADING_FUNCTION_ID = 'trading';
+    process.env.MARKET_CLOSED_MODE = 'ignore';
+    databases = new MemoryDatabases({
+      'db/stocks': [
+        stock('acme', '100'),
+        stock('bond', '50', { segment: 'bonds' }),
+      ],
+      'db/manipulator': [
+        { segment: 'market', manipulator: '2' },
+        { segment: 'bonds', manipulator: '-1' },
+      ],
+    });
+    client = new MemoryClient({ databases });
+  });
+
+  afterEach(() => {
+    delete process.env.MARKET_CLOSED_MODE;
+    delete process.env.MARKET_BANKRUPTCY_PRICE;
+    delete process.env.HOLDINGS_COLLECTION;
+    delete process.env.MARKET_CONTROL_COLLECTION;
+    delete process.env.RUN_RECORDS_COLLECTION;
+    delete process.env.DIVIDENDS_COLLECTION;
+    delete process.env.PLAYERS_COLLECTION;
+    delete process.env.PLAYER_LOCKS_COLLECTION;
+    delete process.env.TICKS_COLLECTION;
+    delete process.env.MARKET_INTERNAL_KEY;
+    delete process.env.PRICE_HISTORY_COLLECTION;
+    delete process.env.PRICE_CANDLES_COLLECTION;
+    delete process.env.TICK_WEBHOOK_URL;
+    delete process.env.TICK_WEBHOOK_SECRET;
+    delete process.env.TICK_WEBHOOK_RETRY_DELAY_MS;
+    mock.timers.reset();
+  });
+
+  const tick = (headers = {}) =>
+    handler({
+      req: createRequest({ headers }),
+      res: createResponse(),
+      context: createContext(),
+      client,
+    });
+
+  it('moves every stock and stamps the tick key', async () => {
+    process.env.MARKET_INTERNAL_KEY = 'internal';
+    const response = await tick({ 'x-idempotency-key': 'tick-1' });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.tickKey, 'tick-1');
+    const stocks = databases.documents('db', 'stocks');
+    assert.deepEqual(
+      stocks.map((doc) => [doc.$id, doc.price, doc.last_tick_key]),
+      [
+        ['acme', '102', 'tick-1'],
+        ['bond', '49.5', 'tick-1'],
+      ]
+    );
+    assert.deepEqual(
+      client.executions.map((execution) => execution.requestPath),
+      ['/orders/evaluate']
+    );
+    assert.equal(
+      client.executions[0].requestHeaders['x-market-internal-key'],
+      'internal'
+    );
+  });
+
+  it('falls back to the market-wide manipulator for a stale segment', async () => {
+    const daysAgo = (days) =>
+      new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const [, bonds] = databases.documents('db', 'manipulator');
+    await databases.updateDocument('db', 'manipulator', bonds.$id, {
+      UpdateTime: daysAgo(3),
+    });
+
+    await tick({ 'x-idempotency-key': 'tick-1' });
+    assert.equal(databases.documents('db', 'stocks')[1].price, '51');
+
+    // A segment an admin locked stays in force however old it is
+    await databases.updateDocument('db', 'manipulator', bonds.$id, {
+      locked: true,
+    });
+    await tick({ 'x-idempotency-key': 'tick-2' });
+    assert.equal(databases.documents('db', 'stocks')[1].price, '50.49');
+  });
+
+  it('does not move stocks twice for a retried tick', async () => {
+    await tick({ 'x-idempotency-key': 'tick-1' });
+    const response = await tick({ 'x-idempotency-key': 'tick-1' });
+
+    assert.equal(response.body.alreadyApplied, true);
+    assert.equal(databases.documents('db', 'stocks')[0].price, '102');
+  });
+
+  it('publishes the changed prices of each tick for realtime clients', async () => {
+    process.env.TICKS_COLLECTION = 'ticks';
+    await databases.updateDocument('db', 'stocks', 'acme', {
+      ticker_symbol: 'ACME',
+    });
+    await databases.updateDocument('db', 'stocks', 'bond', {
+      ticker_symbol: 'BOND',
+    });
+
+    const response = await tick({ 'x-idempotency-key': 'tick-1' });
+    await tick({ 'x-idempotency-key': 'tick-1' });
+
+    const ticks = databases.documents('db', 'ticks');
+    assert.equal(ticks.length, 1);
+    assert.equal(ticks[0].$id, response.body.published.documentId);
+    assert.equal(ticks[0].tick_key, 'tick-1');
+    assert.ok(ticks[0].run_id);
+    assert.deepEqual(JSON.parse(ticks[0].changes), [
+      { ticker: 'ACME', old: 100, new: 102, change: 2 },
+      { ticker: 'BOND', old: 50, new: 49.5, change: -1 },
+    ]);
+    assert.deepEqual(JSON.parse(ticks[0].events), []);
+  });
+
+  it('signs the tick webhook and retries failed deliveries', async () => {
+    const webhook = await startWebhookServer({ status: [503, 200] });
+    try {
+      process.env.TICK_WEBHOOK_URL = webhook.url;
+      process.env.TICK_WEBHOOK_SECRET = 'secret';
+      process.env.TICK_WEBHOOK_RETRY_DELAY_MS = '1';
+
+      const response = await tick({ 'x-idempotency-key': 'tick-1' });
+
+      assert.deepEqual(response.body.published.webhook, {
+        delivered: true,
+        attempts: 2,
+      });
+      assert.equal(webhook.requests.length, 2);
+      const [, delivery] = webhook.requests;
+      const expected = createHmac('sha256', 'secret')
+        .update(`${delivery.headers['x-market-timestamp']}.${delivery.text}`)
+        .digest('hex');
+      assert.equal(
+        delivery.headers['x-market-signature'],
+        `sha256=${expected}`
+      );
+      assert.equal(delivery.body.tick_key, 'tick-1');
+      assert.equal(delivery.body.changes.length, 2);
+    } finally {
+      await webhook.close();
+    }
+  });
+
+  it('fails the tick on a webhook without a secret', async () => {
+    process.env.TICK_WEBHOOK_URL = 'http://127.0.0.1:1/';
+
+    const response = await tick({ 'x-idempotency-key': 'tick-1' });
+
+    assert.equal(response.statusCode, 500);
+    assert.match(response.body.error, /TICK_WEBHOOK_SECRET/);
+    assert.equal(databases.documents('db', 'stocks')[0].price, '100');
+  });
+
+  it('records the history a failed execution left out on the retry', async () => {
+    // The first execution moves the prices but records no history
+    await tick({ 'x-idempotency-key': 'tick-1' });
+    process.env.PRICE_HISTORY_COLLECTION = 'history';
+    process.env.PRICE_CANDLES_COLLECTION = 'candles';
+
+    const response = await tick({ 'x-idempotency-key': 'tick-1' });
+    await tick({ 'x-idempotency-key': 'tick-1' });
+
+    assert.equal(response.body.alreadyApplied, true);
+    assert.deepEqual(
+      databases
+        .documents('db', 'history')
+        .map((doc) => [doc.stock_id, doc.price, doc.change_percentage]),
+      [
+        ['acme', 102, 2],
+        ['bond', 49.5, -1],
+      ]
+    );
+    const candle = databases
+      .documents('db', 'candles')
+      .find((doc) => doc.stock_id === 'acme' && doc.interval === 'day');
+    assert.equal(candle.open, 100);
+    assert.equal(candle.close, 102);
+  });
+
+  it('cancels the holdings of a bankrupt stock under the player locks', async () => {
+    process.env.MARKET_BANKRUPTCY_PRICE = '1';
+    process.env.HOLDINGS_COLLECTION = 'holdings';
+    process.env.PLAYER_LOCKS_COLLECTION = 'locks';
+    databases = new MemoryDatabases({
+      'db/stocks': [stock('acme', '1.01', { ticker_symbol: 'ACME' })],
+      'db/manipulator': [{ segment: 'market', manipulator: '-5' }],
+      'db/holdings': [
+        { player_id: 'p1', ticker_symbol: 'ACME', quantity: 10 },
+        { player_id: 'p1', ticker_symbol: 'OTHER', quantity: 5 },
+        { player_id: 'p2', ticker_symbol: 'ACME', quantity: 3 },
+      ],
+      // Left behind by a crashed fill
+      'db/locks': [
+        {
+          $id: playerLockId('p2'),
+          player_id: 'p2',
+          expires_at: new Date(Date.now() - 1000).toISOString(),
+        },
+      ],
+    });
+    client = new MemoryClient({ databases });
+
+    const response = await tick({ 'x-idempotency-key': 'tick-1' });
+
+    assert.deepEqual(
+      response.body.lifecycleEvents.map((event) => event.type),
+      ['bankruptcy']
+    );
+    assert.equal(databases.documents('db', 'stocks')[0].status, 'delisted');
+    assert.deepEqual(
+      databases.documents('db', 'holdings').map((doc) => doc.ticker_symbol),
+      ['OTHER']
+    );
+    assert.equal(response.body.cancelledHoldings, 2);
+    assert.equal(databases.documents('db', 'locks').length, 0);
+  });
+
+  it('recalculates the fundamentals and pays a due dividend once', async () => {
+    process.env.HOLDINGS_COLLECTION = 'holdings';
+    process.env.PLAYERS_COLLECTION = 'players';
+    process.env.DIVIDENDS_COLLECTION = 'dividends';
+    process.env.PLAYER_LOCKS_COLLECTION = 'locks';
+    mock.timers.enable({
+      apis: ['Date'],
+      now: new Date('2025-04-02T15:00:00Z'),
+    });
+    databases = new MemoryDatabases({
+      'db/stocks': [
+        stock('acme', '100', {
+          ticker_symbol: 'ACME',
+          shares_outstanding: 1000,
+          eps: 4,
+          dividend_yield: 4,
+          dividend_frequency: 'quarterly',
+          last_dividend_at: '2025-01-01T00:00:00.000Z',
+        }),
+      ],
+      'db/manipulator': [{ segment: 'market', manipulator: '2' }],
+      'db/holdings': [
+        { player_id: 'p1', ticker_symbol: 'ACME', quantity: 10 },
+        { player_id: 'p2', ticker_symbol: 'OTHER', quantity: 5 },
+      ],
+      'db/players': [
+        { player_id: 'p1', cash: 1000 },
+        { player_id: 'p2', cash: 1000 },
+      ],
+      // Left behind by a crashed fill
+      'db/locks': [
+        {
+          $id: playerLockId('p1'),
+          player_id: 'p1',
+          expires_at: '2025-04-02T14:59:00.000Z',
+        },
+      ],
+    });
+    client = new MemoryClient({ databases });
+
+    const response = await tick({ 'x-idempotency-key': 'tick-1' });
+
+    const [acme] = databases.documents('db', 'stocks');
+    assert.equal(acme.market_cap, 102000);
+    assert.equal(acme.pe_ratio, 25.5);
+    assert.equal(acme.last_dividend_at, '2025-04-01T00:00:00.000Z');
+    assert.deepEqual(response.body.dividends.paid, [
+      {
+        ticker: 'ACME',
+        payoutDate: '2025-04-01T00:00:00.000Z',
+        perShare: 1.02,
+        holders: 1,
+        total: 10.2,
+      },
+    ]);
+    const cash = () =>
+      databases.documents('db', 'players').map((doc) => doc.cash);
+    assert.deepEqual(cash(), [1010.2, 1000]);
+    assert.equal(databases.documents('db', 'dividends')[0].status, 'paid');
+    assert.equal(databases.documents('db', 'locks').length, 0);
+
+    // A tick that finds the installment due again (its stamp was lost) must
+    // not pay it twice
+    await databases.updateDocument('db', 'stocks', 'acme', {
+      last_dividend_at: '2025-01-01T00:00:00.000Z',
+    });
+    const retried = await tick({ 'x-idempotency-key': 'tick-2' });
+
+    assert.deepEqual(retried.body.dividends.paid, []);
+    assert.deepEqual(cash(), [1010.2, 1000]);
+    assert.equal(
+      databases.documents('db', 'stocks')[0].last_dividend_at,
+      '2025-04-01T00:00:00.000Z'
+    );
+  });
+
+  it('retries the holders a dividend could not be credited to', async (t) => {
+    process.env.HOLDINGS_COLLECTION = 'holdings';
+    process.env.PLAYERS_COLLECTION = 'players';
+    process.env.DIVIDENDS_COLLECTION = 'dividends';
+    process.env.PLAYER_LOCKS_COLLECTION = 'locks';
+    mock.timers.enable({
+      apis: ['Date'],
+      now: new Date('2025-04-02T15:00:00Z'),
+    });
+    databases = new MemoryDatabases({
+      'db/stocks': [
+        stock('acme', '100', {
+          ticker_symbol: 'ACME',
+          dividend_yield: 4,
+          dividend_frequency: 'quarterly',
+          last_dividend_at: '2025-01-01T00:00:00.000Z',
+        }),
+      ],
+      'db/manipulator': [{ segment: 'market', manipulator: '2' }],
+      'db/holdings': [
+        { player_id: 'p1', ticker_symbol: 'ACME', quantity: 10 },
+        { player_id: 'p2', ticker_symbol: 'ACME', quantity: 5 },
+        { player_id: 'p3', ticker_symbol: 'ACME', quantity: 1 },
+      ],
+      'db/players': [
+        { $id: 'player1', player_id: 'p1', cash: 1000 },
+        { $id: 'player2', player_id: 'p2', cash: 1000 },
+        { $id: 'player3', player_id: 'p3', cash: 1000 },
+      ],
+    });
+    client = new MemoryClient({ databases });
+    const update = databases.updateDocument.bind(databases);
+    const failing = t.mock.method(databases, 'updateDocument', (...args) => {
+      if (args[2] === 'player2') {
+        throw Object.assign(new Error('Invalid document'), { code: 400 });
+      }
+      return update(...args);
+    });
+
+    const response = await tick({ 'x-idempotency-key': 'tick-1' });
+
+    const cash = () =>
+      databases.documents('db', 'players').map((doc) => doc.cash);
+    assert.deepEqual(cash(), [1010.2, 1000, 1001.02]);
+    assert.equal(response.body.dividends.paid[0].holders, 2);
+    assert.deepEqual(response.body.dividends.failed, [
+      {
+        ticker: 'ACME',
+        error: '1 holders could not be credited, retrying on the next tick',
+      },
+    ]);
+    const [payout] = databases.documents('db', 'dividends');
+    assert.equal(payout.status, 'partial');
+    assert.deepEqual(JSON.parse(payout.pending), [
+      { player_id: 'p2', amount: 5.1 },
+    ]);
+
+    failing.mock.restore();
+    mock.timers.setTime(Date.parse('2025-04-02T16:00:00Z'));
+    const next = await tick({ 'x-idempotency-key': 'tick-2' });
+
+    assert.deepEqual(cash(), [1010.2, 1005.1, 1001.02]);
+    assert.deepEqual(next.body.dividends.paid, []);
+    assert.deepEqual(next.body.dividends.retried, [
+      {
+        ticker: 'ACME',
+        payoutDate: '2025-04-01T00:00:00.000Z',
+        holders: 1,
+        total: 5.1,
+        pending: 0,
+      },
+    ]);
+    const [settled] = databases.documents('db', 'dividends');
+    assert.equal(settled.status, 'paid');
+    assert.equal(settled.holders, 3);
+    assert.equal(settled.total, 16.32);
+    assert.equal(databases.documents('db', 'locks').length, 0);
+  });
+
+  it('starts the dividend schedule of a new payer without paying', async () => {
+    process.env.HOLDINGS_COLLECTION = 'holdings';
+    process.env.PLAYERS_COLLECTION = 'players';
+    process.env.DIVIDENDS_COLLECTION = 'dividends';
+    process.env.PLAYER_LOCKS_COLLECTION = 'locks';
+    mock.timers.enable({
+      apis: ['Date'],
+      now: new Date('2025-04-02T15:00:00Z'),
+    });
+    databases = new MemoryDatabases({
+      'db/stocks': [
+        stock('acme', '100', {
+          ticker_symbol: 'ACME',
+          dividend_yield: 4,
+          dividend_frequency: 'quarterly',
+        }),
+      ],
+      'db/manipulator': [{ segment: 'market', manipulator: '2' }],
+      'db/holdings': [{ player_id: 'p1', ticker_symbol: 'ACME', quantity: 10 }],
+      'db/players': [{ player_id: 'p1', cash: 1000 }],
+    });
+    client = new MemoryClient({ databases });
+
+    const first = await tick({ 'x-idempotency-key': 'tick-1' });
+
+    assert.deepEqual(first.body.dividends, {
+      paid: [],
+      retried: [],
+      failed: [],
+    });
+    assert.equal(
+      databases.documents('db', 'stocks')[0].last_dividend_at,
+      '2025-04-01T00:00:00.000Z'
+    );
+    assert.equal(databases.documents('db', 'players')[0].cash, 1000);
+    assert.equal(databases.documents('db', 'dividends').length, 0);
+
+    // The next quarter pays
+    mock.timers.setTime(Date.parse('2025-07-01T15:00:00Z'));
+    const next = await tick({ 'x-idempotency-key': 'tick-2' });
+
+    assert.equal(next.body.dividends.paid.length, 1);
+    assert.equal(
+      next.body.dividends.paid[0].payoutDate,
+      '2025-07-01T00:00:00.000Z'
+    );
+    assert.ok(databases.documents('db', 'players')[0].cash > 1000);
+  });
+
+  it('pauses while the exchange is closed in pause mode', async () => {
+    process.env.MARKET_CLOSED_MODE = 'pause';
+    // Saturday
+    mock.timers.enable({
+      apis: ['Date'],
+      now: new Date('2025-03-22T15:00:00Z'),
+    });
+
+    const response = await tick();
+
+    assert.equal(response.body.paused, true);
+    assert.equal(response.body.session.reason, 'weekend');
+    assert.equal(databases.documents('db', 'stocks')[0].price, '100');
+  });
+
+  it('keeps crypto trading while the exchange is closed in pause mode', async () => {
+    process.env.MARKET_CLOSED_MODE = 'pause';
+    mock.timers.enable({
+      apis: ['Date'],
+      now: new Date('2025-03-22T15:00:00Z'),
+    });
+    await databases.createDocument('db', 'stocks', 'coin', {
+      price: '1000',
+      asset_class: 'crypto',
+      volatility: 0.0001,
+    });
+
+    const response = await tick();
+
+    assert.equal(response.body.paused, undefined);
+    assert.deepEqual(
+      databases.documents('db', 'stocks').map((doc) => doc.price),
+      ['100', '50', '1020']
+    );
+  });
+
+  it('does nothing while an admin has paused the market', async () => {
+    process.env.MARKET_CONTROL_COLLECTION = 'control';
+    await databases.createDocument('db', 'control', 'market', {
+      paused: true,
+    });
+
+    const response = await tick();
+
+    assert.equal(response.body.paused, true);
+    assert.equal(databases.documents('db', 'stocks')[0].price, '100');
+  });
+
+  it('leaves frozen prices alone', async () => {
+    await databases.updateDocument('db', 'stocks', 'acme', {
+      price_frozen: true,
+    });
+
+    await tick();
+
+    assert.deepEqual(
+      databases.documents('db', 'stocks').map((doc) => doc.price),
+      ['100', '49.5']
+    );
+  });
+
+  it('reports stocks that do not match the schema and leaves them out', async () => {
+    await databases.updateDocument('db', 'stocks', 'bond', { price: 'n/a' });
+
+    const response = await tick();
+
+    assert.deepEqual(response.body.invalidStocks, [
+      {
+        id: 'bond',
+        violations: ['price: expected a decimal string, got "n/a"'],
+      },
+    ]);
+    assert.deepEqual(
+      databases.documents('db', 'stocks').map((doc) => doc.price),
+      ['102', 'n/a']
+    );
+  });
+
+  it('fails the tick on an invalid market manipulator', async () => {
+    databases = new MemoryDatabases({
+      'db/stocks': [stock('acme', '100')],
+      'db/manipulator': [{ $id: 'm', segment: 'market', manipulator: 2 }],
+    });
+    client = new MemoryClient({ databases });
+
+    const response = await tick();
+
+    assert.equal(response.statusCode, 500);
+    assert.equal(
+      response.body.error,
+      'Invalid dailyManipulator document m: manipulator: expected a decimal string, got number 2'
+    );
+  });
+
+  it('records each tick with its anomalies', async () => {
+    process.env.RUN_RECORDS_COLLECTION = 'runs';
+    await databases.updateDocument('db', 'stocks', 'bond', { price: 'n/a' });
+
+    await tick({ 'x-idempotency-key': 'tick-1' });
+
+    const [record] = databases.documents('db', 'runs');
+    assert.equal(record.function, 'InGameMarketManager');
+    assert.equal(record.status, 'ok');
+    assert.equal(record.updated, 1);
+    assert.equal(record.failed, 0);
+    assert.equal(record.manipulator, 2);
+    assert.deepEqual(JSON.parse(record.anomalies), [
+      '1 stocks failed schema validation',
+    ]);
+  });
+});
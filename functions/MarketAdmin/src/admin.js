@@ -0,0 +1,542 @@
+import pkg from 'node-appwrite';
+import { serializeDocument } from './schema.js';
+const { ID, Query } = pkg;
+
+export const CONTROL_DOCUMENT_ID = 'market';
+
+const DEFAULT_AUDIT_LIMIT = 25;
+const MAX_AUDIT_LIMIT = 100;
+const PAGE_SIZE = 100;
+
+const FUNDAMENTAL_FIELDS = [
+  'shares_outstanding',
+  'eps',
+  'dividend_yield',
+  'dividend_frequency',
+];
+// Months between two dividend installments, as InGameMarketManager pays them
+const DIVIDEND_MONTHS = { monthly: 1, quarterly: 3, semiannual: 6, annual: 12 };
+
+/**
+ * Creates an error carrying the HTTP status code the handler should answer with.
+ *
+ * @param {string} message - Error message returned to the caller
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error}
+ */
+export function adminError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Lists every document of a collection matching the queries, following cursors
+ * past Appwrite's page size.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {string} databaseId - Database ID
+ * @param {string} collectionId - Collection ID
+ * @param {Array<string>} [queries=[]] - Additional queries
+ * @returns {Promise<Array<Object>>}
+ */
+async function listAllDocuments(
+  databases,
+  databaseId,
+  collectionId,
+  queries = []
+) {
+  const documents = [];
+  let cursor = null;
+
+  while (true) {
+    const pageQueries = [...queries, Query.limit(PAGE_SIZE)];
+    if (cursor) {
+      pageQueries.push(Query.cursorAfter(cursor));
+    }
+
+    const response = await databases.listDocuments(
+      databaseId,
+      collectionId,
+      pageQueries
+    );
+    documents.push(...response.documents);
+
+    if (response.documents.length < PAGE_SIZE) {
+      return documents;
+    }
+    cursor = response.documents[response.documents.length - 1].$id;
+  }
+}
+
+/**
+ * Checks that the calling user carries the admin label.
+ *
+ * @param {Object} users - The Appwrite Users instance
+ * @param {string} userId - Appwrite user ID from the x-appwrite-user-id header
+ * @param {string} adminLabel - Label granting admin rights
+ * @returns {Promise<void>}
+ * @throws {Error} - 401 without a user, 403 for users without the label
+ */
+export async function assertAdmin(users, userId, adminLabel) {
+  if (!userId) {
+    throw adminError('Authentication required', 401);
+  }
+
+  const user = await users.get(userId);
+  if (!user.labels?.includes(adminLabel)) {
+    throw adminError('Admin privileges required', 403);
+  }
+}
+
+/**
+ * Validates a manipulator override: a new manipulator, a lock change, or both.
+ *
+ * @param {Object} body - Parsed request body
+ * @returns {Object} - { segment, manipulator, locked }
+ * @throws {Error} - 400 for invalid input
+ */
+export function validateManipulatorOverride(body) {
+  const segment = body?.segment ?? 'market';
+  const manipulator =
+    body?.manipulator === undefined ? undefined : Number(body.manipulator);
+  const locked = body?.locked;
+
+  if (typeof segment !== 'string' || !segment) {
+    throw adminError('Invalid segment', 400);
+  }
+  if (manipulator === undefined && locked === undefined) {
+    throw adminError(
+      'Nothing to change: give a manipulator and/or locked',
+      400
+    );
+  }
+  if (manipulator !== undefined && !Number.isFinite(manipulator)) {
+    throw adminError('Invalid manipulator: expected a number', 400);
+  }
+  if (locked !== undefined && typeof locked !== 'boolean') {
+    throw adminError('Invalid locked: expected true or false', 400);
+  }
+
+  return { segment, manipulator, locked };
+}
+
+/**
+ * Overrides a segment's manipulator in the daily manipulator collection, the
+ * way marketManipulator writes it. A locked manipulator is left alone by
+ * marketManipulator until it is unlocked.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @param {Object} override - validateManipulatorOverride result
+ * @returns {Promise<Object>} - { target, before, after }
+ */
+export async function overrideManipulator(databases, config, override) {
+  const { segment, manipulator, locked } = override;
+  const documents = await listAllDocuments(
+    databases,
+    config.databaseId,
+    config.manipulatorCollection
+  );
+  const existing = documents.find(
+    (doc) => (doc.segment ?? 'market') === segment
+  );
+
+  const data = serializeDocument(
+    'dailyManipulator',
+    { segment, manipulator, locked, UpdateTime: new Date().toISOString() },
+    { partial: true }
+  );
+
+  if (existing) {
+    await databases.updateDocument(
+      config.databaseId,
+      config.manipulatorCollection,
+      existing.$id,
+      data
+    );
+  } else {
+    if (manipulator === undefined) {
+      throw adminError(`No manipulator stored for segment ${segment}`, 404);
+    }
+    await databases.createDocument(
+      config.databaseId,
+      config.manipulatorCollection,
+      ID.unique(),
+      data
+    );
+  }
+
+  return {
+    target: segment,
+    before: existing
+      ? { manipulator: existing.manipulator, locked: existing.locked ?? false }
+      : null,
+    after: {
+      manipulator: data.manipulator ?? existing.manipulator,
+      locked: data.locked ?? existing?.locked ?? false,
+    },
+  };
+}
+
+/**
+ * Fetches an in-game stock by ticker.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @param {string} ticker - Ticker symbol
+ * @returns {Promise<Object>}
+ * @throws {Error} - 404 for unknown tickers
+ */
+async function fetchStock(databases, config, ticker) {
+  const response = await databases.listDocuments(
+    config.databaseId,
+    config.stockCollection,
+    [Query.equal('ticker_symbol', ticker), Query.limit(1)]
+  );
+  if (!response.documents[0]) {
+    throw adminError(`Unknown ticker: ${ticker}`, 404);
+  }
+  return response.documents[0];
+}
+
+/**
+ * Sets a stock's price and/or freezes it. A frozen stock keeps its price on
+ * every tick until it is unfrozen; players can still trade it.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @param {string} ticker - Ticker symbol
+ * @param {Object} body - { price?, frozen? }
+ * @returns {Promise<Object>} - { target, before, after }
+ * @throws {Error} - 400 for invalid input, 404 for unknown tickers
+ */
+export async function updateStock(databases, config, ticker, body) {
+  const price = body?.price === undefined ? undefined : Number(body.price);
+  const frozen = body?.frozen;
+  if (price === undefined && frozen === undefined) {
+    throw adminError('Nothing to change: give a price and/or frozen', 400);
+  }
+  if (price !== undefined && !(price > 0)) {
+    throw adminError('Invalid price: expected a positive number', 400);
+  }
+  if (frozen !== undefined && typeof frozen !== 'boolean') {
+    throw adminError('Invalid frozen: expected true or false', 400);
+  }
+
+  const stock = await fetchStock(databases, config, ticker);
+  const data = serializeDocument(
+    'inGameStock',
+    {
+      price,
+      last_updated: price === undefined ? undefined : new Date().toISOString(),
+      price_frozen: frozen,
+    },
+    { partial: true }
+  );
+
+  await databases.updateDocument(
+    config.databaseId,
+    config.stockCollection,
+    stock.$id,
+    data
+  );
+
+  return {
+    target: ticker,
+    before: { price: stock.price, frozen: stock.price_frozen ?? false },
+    after: {
+      price: data.price ?? stock.price,
+      frozen: data.price_frozen ?? stock.price_frozen ?? false,
+    },
+  };
+}
+
+/**
+ * Validates the body of a fundamentals update. Every field is optional and
+ * null clears it; a null dividend_frequency stops the dividend.
+ *
+ * @param {Object} body - Parsed request body
+ * @returns {Object} - The fundamentals to write
+ * @throws {Error} - With statusCode 400 when the body is invalid
+ */
+export function validateFundamentals(body) {
+  const fundamentals = {};
+  for (const field of FUNDAMENTAL_FIELDS) {
+    if (body?.[field] !== undefined) {
+      fundamentals[field] = body[field];
+    }
+  }
+  const { shares_outstanding, eps, dividend_yield, dividend_frequency } =
+    fundamentals;
+
+  if (Object.keys(fundamentals).length === 0) {
+    throw adminError(
+      `Nothing to change: give any of ${FUNDAMENTAL_FIELDS.join(', ')}`,
+      400
+    );
+  }
+  if (
+    shares_outstanding != null &&
+    !(Number.isInteger(shares_outstanding) && shares_outstanding > 0)
+  ) {
+    throw adminError(
+      'Invalid shares_outstanding: expected a positive integer',
+      400
+    );
+  }
+  if (eps != null && !Number.isFinite(eps)) {
+    throw adminError('Invalid eps: expected a number', 400);
+  }
+  if (
+    dividend_yield != null &&
+    !(Number.isFinite(dividend_yield) && dividend_yield >= 0)
+  ) {
+    throw adminError(
+      'Invalid dividend_yield: expected a percentage of 0 or more',
+      400
+    );
+  }
+  if (dividend_frequency != null && !DIVIDEND_MONTHS[dividend_frequency]) {
+    throw adminError(
+      `Invalid dividend_frequency: expected one of ${Object.keys(DIVIDEND_MONTHS).join(', ')}`,
+      400
+    );
+  }
+  return fundamentals;
+}
+
+/**
+ * Sets a stock's fundamentals and the market cap and P/E ratio at its current
+ * price (InGameMarketManager keeps them current from then on). Setting a new
+ * dividend frequency starts the schedule with the next installment date, so
+ * no dividend is paid for the period already under way.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @param {string} ticker - Ticker symbol
+ * @param {Object} fundamentals - Validated fundamentals
+ * @returns {Promise<Object>} - { target, before, after }
+ * @throws {Error} - 404 for unknown tickers
+ */
+export async function updateFundamentals(
+  databases,
+  config,
+  ticker,
+  fundamentals
+) {
+  const stock = await fetchStock(databases, config, ticker);
+  const before = Object.fromEntries(
+    FUNDAMENTAL_FIELDS.map((field) => [field, stock[field] ?? null])
+  );
+  const after = { ...before, ...fundamentals };
+  const price = parseFloat(stock.price);
+
+  const data = { ...fundamentals };
+  if ('shares_outstanding' in fundamentals) {
+    data.market_cap =
+      after.shares_outstanding === null
+        ? null
+        : Math.round(price * after.shares_outstanding * 100) / 100;
+  }
+  if ('eps' in fundamentals) {
+    data.pe_ratio =
+      after.eps > 0 ? Math.round((price / after.eps) * 100) / 100 : null;
+  }
+  if (
+    after.dividend_frequency &&
+    after.dividend_frequency !== before.dividend_frequency
+  ) {
+    const months = DIVIDEND_MONTHS[after.dividend_frequency];
+    const now = new Date();
+    data.last_dividend_at = new Date(
+      Date.UTC(
+        now.getUTCFullYear(),
+        now.getUTCMonth() - (now.getUTCMonth() % months),
+        1
+      )
+    ).toISOString();
+  }
+
+  await databases.updateDocument(
+    config.databaseId,
+    config.stockCollection,
+    stock.$id,
+    serializeDocument('inGameStock', data, { partial: true })
+  );
+
+  return { target: ticker, before, after };
+}
+
+/**
+ * Returns the market control document: whether ticks are paused, since when,
+ * by whom and why. A missing document means the market is running.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @returns {Promise<Object>} - { paused, reason, updated_by, updated_at }
+ */
+export async function fetchMarketState(databases, config) {
+  try {
+    const doc = await databases.getDocument(
+      config.databaseId,
+      config.controlCollection,
+      CONTROL_DOCUMENT_ID
+    );
+    return {
+      paused: doc.paused ?? false,
+      reason: doc.reason ?? null,
+      updated_by: doc.updated_by ?? null,
+      updated_at: doc.updated_at ?? null,
+    };
+  } catch (err) {
+    if (err.code === 404) {
+      return {
+        paused: false,
+        reason: null,
+        updated_by: null,
+        updated_at: null,
+      };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Pauses or resumes the market. While paused, InGameMarketManager ticks do
+ * nothing and TradingEngine takes no orders.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @param {boolean} paused - Whether to pause
+ * @param {string} actor - Admin user ID
+ * @param {string|null} reason - Reason shown with the market state
+ * @returns {Promise<Object>} - { target, before, after }
+ */
+export async function setMarketPaused(
+  databases,
+  config,
+  paused,
+  actor,
+  reason
+) {
+  const before = await fetchMarketState(databases, config);
+  const data = {
+    paused,
+    reason: reason ?? null,
+    updated_by: actor,
+    updated_at: new Date().toISOString(),
+  };
+
+  try {
+    await databases.updateDocument(
+      config.databaseId,
+      config.controlCollection,
+      CONTROL_DOCUMENT_ID,
+      data
+    );
+  } catch (err) {
+    if (err.code !== 404) {
+      throw err;
+    }
+    await databases.createDocument(
+      config.databaseId,
+      config.controlCollection,
+      CONTROL_DOCUMENT_ID,
+      data
+    );
+  }
+
+  return { target: 'market', before, after: data };
+}
+
+/**
+ * Queues an immediate InGameMarketManager tick. Without an idempotency key the
+ * tick gets its own key, so it is not mistaken for a retry of the scheduled
+ * tick of the current slot.
+ *
+ * @param {Object} functions - The Appwrite Functions instance
+ * @param {Object} config - Configuration object containing the function ID
+ * @param {string} [idempotencyKey] - Key of the tick, for retries
+ * @returns {Promise<Object>} - { target, before, after }
+ */
+export async function triggerTick(functions, config, idempotencyKey) {
+  if (!config.marketFunctionId) {
+    throw adminError('Missing configuration: MARKET_FUNCTION_ID', 400);
+  }
+
+  const tickKey = idempotencyKey || `admin-${new Date().toISOString()}`;
+  const execution = await functions.createExecution(
+    config.marketFunctionId,
+    '',
+    true,
+    '/',
+    'POST',
+    { 'x-idempotency-key': tickKey }
+  );
+
+  return {
+    target: config.marketFunctionId,
+    before: null,
+    after: { executionId: execution.$id, tickKey },
+  };
+}
+
+/**
+ * Appends an entry to the audit log. Every admin action is recorded, including
+ * the ones that failed.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @param {Object} entry - { action, actor, target, reason, request, before, after, status, error }
+ * @returns {Promise<Object>} - The stored audit document
+ */
+export async function writeAuditLog(databases, config, entry) {
+  return databases.createDocument(
+    config.databaseId,
+    config.auditCollection,
+    ID.unique(),
+    {
+      action: entry.action,
+      actor: entry.actor,
+      target: entry.target ?? null,
+      reason: entry.reason ?? null,
+      request: JSON.stringify(entry.request ?? {}),
+      before: entry.before === undefined ? null : JSON.stringify(entry.before),
+      after: entry.after === undefined ? null : JSON.stringify(entry.after),
+      status: entry.status,
+      error: entry.error ?? null,
+      created_at: new Date().toISOString(),
+    }
+  );
+}
+
+/**
+ * Lists the most recent audit log entries, newest first.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @param {Object} query - Request query ({ limit, action })
+ * @returns {Promise<Array<Object>>}
+ * @throws {Error} - 400 for an invalid limit
+ */
+export async function listAuditLog(databases, config, query) {
+  const limit = query?.limit ? Number(query.limit) : DEFAULT_AUDIT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_LIMIT) {
+    throw adminError(
+      `Invalid limit: must be an integer between 1 and ${MAX_AUDIT_LIMIT}`,
+      400
+    );
+  }
+
+  const queries = [Query.orderDesc('created_at'), Query.limit(limit)];
+  if (query?.action) {
+    queries.push(Query.equal('action', query.action));
+  }
+  const response = await databases.listDocuments(
+    config.databaseId,
+    config.auditCollection,
+    queries
+  );
+  return response.documents;
+}
@@ -0,0 +1,224 @@
+import pkg from 'node-appwrite';
+import {
+  adminError,
+  assertAdmin,
+  fetchMarketState,
+  listAuditLog,
+  overrideManipulator,
+  setMarketPaused,
+  triggerTick,
+  updateFundamentals,
+  updateStock,
+  validateFundamentals,
+  validateManipulatorOverride,
+  writeAuditLog,
+} from './admin.js';
+const { Client, Databases, Functions, Users } = pkg;
+
+/**
+ * Admin control API for manual market intervention. Routes:
+ * - GET /market: whether the market is paused
+ * - POST /market/pause, POST /market/resume: pause or resume ticks and trading
+ * - POST /manipulator: override and/or lock a segment's manipulator
+ * - PATCH /stocks/{ticker}: set and/or freeze a stock's price
+ * - PUT /stocks/{ticker}/fundamentals: set a company's shares outstanding,
+ *   earnings per share and dividend
+ * - POST /tick: queue an immediate InGameMarketManager tick
+ * - GET /audit: the most recent audit log entries (?limit=, ?action=)
+ *
+ * Every route requires an Appwrite user carrying the ADMIN_LABEL label
+ * (x-appwrite-user-id header). Every change, successful or not, is written to
+ * the audit log with the acting user and the optional `reason` of the body.
+ *
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @param {Object} context - Function context with logging methods
+ * @param {Object} [client] - Appwrite client to use instead of a new one (tests)
+ * @returns {Promise<void>}
+ */
+export default async ({ req, res, context, client }) => {
+  const logger = {
+    log: (msg) => (context?.log ? context.log(msg) : console.log(msg)),
+    error: (msg) => (context?.error ? context.error(msg) : console.error(msg)),
+    warn: (msg) => (context?.warn ? context.warn(msg) : console.warn(msg)),
+  };
+
+  try {
+    client ??= new Client()
+      .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+      .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+      .setKey(req.headers['x-appwrite-key'] ?? '');
+
+    const databases = new Databases(client);
+    const functions = new Functions(client);
+
+    const config = {
+      databaseId: process.env.INGAME_STOCK_DATABASE_ID,
+      stockCollection: process.env.INGAME_STOCK_COLLECTION,
+      manipulatorCollection: process.env.DAILY_MANIPULATOR_COLLECTION,
+      controlCollection: process.env.MARKET_CONTROL_COLLECTION,
+      auditCollection: process.env.AUDIT_LOG_COLLECTION,
+      marketFunctionId: process.env.MARKET_FUNCTION_ID,
+      adminLabel: process.env.ADMIN_LABEL || 'admin',
+    };
+
+    for (const key of [
+      'databaseId',
+      'stockCollection',
+      'manipulatorCollection',
+      'controlCollection',
+      'auditCollection',
+    ]) {
+      if (!config[key]) {
+        throw adminError(`Missing configuration: ${key}`, 500);
+      }
+    }
+
+    const actor = req.headers['x-appwrite-user-id'];
+    await assertAdmin(new Users(client), actor, config.adminLabel);
+
+    const method = req.method ?? 'GET';
+    const path = req.path ?? '/';
+
+    if (method === 'GET' && path === '/market') {
+      const market = await fetchMarketState(databases, config);
+      return res.json({ success: true, market }, 200);
+    }
+
+    if (method === 'GET' && path === '/audit') {
+      const entries = await listAuditLog(databases, config, req.query);
+      return res.json({ success: true, count: entries.length, entries }, 200);
+    }
+
+    const stockMatch = path.match(/^\/stocks\/([^/]+)(\/fundamentals)?$/);
+    const actions = {
+      'POST /market/pause': (body) =>
+        setMarketPaused(databases, config, true, actor, body.reason),
+      'POST /market/resume': (body) =>
+        setMarketPaused(databases, config, false, actor, body.reason),
+      'POST /manipulator': (body) =>
+        overrideManipulator(
+          databases,
+          config,
+          validateManipulatorOverride(body)
+        ),
+      'POST /tick': (body) =>
+        triggerTick(functions, config, body.idempotencyKey),
+    };
+    const route = stockMatch
+      ? `${method} /stocks/{ticker}${stockMatch[2] ?? ''}`
+      : `${method} ${path}`;
+    const ticker = stockMatch ? decodeURIComponent(stockMatch[1]) : null;
+    const stockActions = {
+      'PATCH /stocks/{ticker}': (body) =>
+        updateStock(databases, config, ticker, body),
+      'PUT /stocks/{ticker}/fundamentals': (body) =>
+        updateFundamentals(
+          databases,
+          config,
+          ticker,
+          validateFundamentals(body)
+        ),
+    };
+    const action = stockActions[route] ?? actions[route];
+
+    if (!action) {
+      return res.json(
+        { success: false, error: `Route not found: ${method} ${path}` },
+        404
+      );
+    }
+
+    const result = await runAudited(
+      databases,
+      config,
+      { action: route, actor, body: parseBody(req) },
+      action,
+      logger
+    );
+    return res.json({ success: true, ...result }, 200);
+  } catch (error) {
+    const statusCode = error.statusCode ?? 500;
+    if (statusCode >= 500) {
+      logger.error(`Admin request failed: ${error.message}`);
+    } else {
+      logger.warn(`Admin request rejected: ${error.message}`);
+    }
+
+    return res.json(
+      {
+        success: false,
+        error: error.message,
+      },
+      statusCode
+    );
+  }
+};
+
+/**
+ * Runs an admin action and records it in the audit log, whether it succeeded
+ * or failed. A failure to write the audit entry fails the request, so no
+ * change goes unrecorded without the admin knowing.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @param {Object} request - { action, actor, body }
+ * @param {Function} action - Receives the body, resolves to { target, before, after }
+ * @param {Object} logger - Logger object with logging methods
+ * @returns {Promise<Object>} - The action result plus the audit entry ID
+ */
+async function runAudited(databases, config, request, action, logger) {
+  const { body } = request;
+  const entry = {
+    action: request.action,
+    actor: request.actor,
+    reason: typeof body.reason === 'string' ? body.reason : null,
+    request: body,
+  };
+
+  let result;
+  try {
+    result = await action(body);
+  } catch (error) {
+    await writeAuditLog(databases, config, {
+      ...entry,
+      status: 'failed',
+      error: error.message,
+    });
+    throw error;
+  }
+
+  const audit = await writeAuditLog(databases, config, {
+    ...entry,
+    ...result,
+    status: 'ok',
+  });
+  logger.log(
+    `${request.actor} ran ${request.action} on ${result.target} (audit ${audit.$id})`
+  );
+
+  return { ...result, auditId: audit.$id };
+}
+
+/**
+ * Returns the request body as an object, whether the runtime already parsed it
+ * or passed the raw JSON string. An empty body is an empty object.
+ *
+ * @param {Object} req - The HTTP request object
+ * @returns {Object}
+ * @throws {Error} - 400 when the body is not a JSON object
+ */
+function parseBody(req) {
+  let body = req.body ?? {};
+  if (typeof body === 'string') {
+    try {
+      body = body ? JSON.parse(body) : {};
+    } catch (err) {
+      throw adminError('Invalid JSON body', 400);
+    }
+  }
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    throw adminError('Invalid body: expected a JSON object', 400);
+  }
+  return body;
+}
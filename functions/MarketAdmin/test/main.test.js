@@ -0,0 +1,187 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+
+import {
+  MemoryClient,
+  MemoryDatabases,
+  createContext,
+  createRequest,
+  createResponse,
+} from '../../../test/harness/index.js';
+import handler from '../src/main.js';
+
+describe('handler', () => {
+  let databases;
+  let client;
+
+  beforeEach(() => {
+    Object.assign(process.env, {
+      INGAME_STOCK_DATABASE_ID: 'db',
+      INGAME_STOCK_COLLECTION: 'stocks',
+      DAILY_MANIPULATOR_COLLECTION: 'manipulator',
+      MARKET_CONTROL_COLLECTION: 'control',
+      AUDIT_LOG_COLLECTION: 'audit',
+      MARKET_FUNCTION_ID: 'market',
+    });
+    databases = new MemoryDatabases({
+      'db/stocks': [{ $id: 'acme', ticker_symbol: 'ACME', price: '100' }],
+      'db/manipulator': [{ segment: 'market', manipulator: '1.2' }],
+    });
+    client = new MemoryClient({
+      databases,
+      users: { admin: { labels: ['admin'] }, player: { labels: [] } },
+    });
+  });
+
+  const call = (method, path, body = {}, userId = 'admin') =>
+    handler({
+      req: createRequest({
+        method,
+        path,
+        body: JSON.stringify(body),
+        headers: userId ? { 'x-appwrite-user-id': userId } : {},
+      }),
+      res: createResponse(),
+      context: createContext(),
+      client,
+    });
+
+  const audit = () => databases.documents('db', 'audit');
+
+  it('requires an admin', async () => {
+    assert.equal((await call('GET', '/market', {}, null)).statusCode, 401);
+    assert.equal((await call('GET', '/market', {}, 'player')).statusCode, 403);
+  });
+
+  it('pauses and resumes the market', async () => {
+    const paused = await call('POST', '/market/pause', { reason: 'Outage' });
+    assert.equal(paused.statusCode, 200);
+    assert.equal((await call('GET', '/market')).body.market.reason, 'Outage');
+
+    await call('POST', '/market/resume');
+    const control = databases.documents('db', 'control');
+    assert.equal(control[0].$id, 'market');
+    assert.equal(control[0].paused, false);
+    assert.deepEqual(
+      audit().map((entry) => [entry.action, entry.actor, entry.status]),
+      [
+        ['POST /market/pause', 'admin', 'ok'],
+        ['POST /market/resume', 'admin', 'ok'],
+      ]
+    );
+  });
+
+  it('overrides and locks the manipulator', async () => {
+    const response = await call('POST', '/manipulator', {
+      manipulator: -2.345,
+      locked: true,
+      reason: 'Crash event',
+    });
+
+    assert.deepEqual(response.body.after, {
+      manipulator: '-2.35',
+      locked: true,
+    });
+    const [doc] = databases.documents('db', 'manipulator');
+    assert.equal(doc.manipulator, '-2.35');
+    assert.equal(doc.locked, true);
+    assert.equal(audit()[0].reason, 'Crash event');
+    assert.deepEqual(JSON.parse(audit()[0].before), {
+      manipulator: '1.2',
+      locked: false,
+    });
+  });
+
+  it('finds the segment manipulator past the first page', async () => {
+    for (let i = 0; i < 120; i++) {
+      await databases.createDocument('db', 'manipulator', `seg${i}`, {
+        segment: `segment-${i}`,
+        manipulator: '0.5',
+      });
+    }
+
+    const response = await call('POST', '/manipulator', {
+      segment: 'segment-110',
+      manipulator: 1,
+    });
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(response.body.before, {
+      manipulator: '0.5',
+      locked: false,
+    });
+    assert.equal(databases.documents('db', 'manipulator').length, 121);
+  });
+
+  it('rejects a body that is not a JSON object without auditing it', async () => {
+    for (const body of [null, [], 'lock']) {
+      const response = await call('POST', '/manipulator', body);
+
+      assert.equal(response.statusCode, 400);
+      assert.equal(response.body.error, 'Invalid body: expected a JSON object');
+    }
+    assert.equal(audit().length, 0);
+  });
+
+  it('sets and freezes a stock price', async () => {
+    await call('PATCH', '/stocks/ACME', { price: 42.5, frozen: true });
+
+    const [stock] = databases.documents('db', 'stocks');
+    assert.equal(stock.price, '42.5');
+    assert.equal(stock.price_frozen, true);
+  });
+
+  it('sets the fundamentals and starts the dividend schedule', async () => {
+    const response = await call('PUT', '/stocks/ACME/fundamentals', {
+      shares_outstanding: 1000,
+      eps: 4,
+      dividend_yield: 2,
+      dividend_frequency: 'quarterly',
+    });
+
+    assert.equal(response.statusCode, 200);
+    const [stock] = databases.documents('db', 'stocks');
+    assert.equal(stock.market_cap, 100000);
+    assert.equal(stock.pe_ratio, 25);
+    assert.equal(stock.dividend_frequency, 'quarterly');
+    assert.ok(Date.parse(stock.last_dividend_at) <= Date.now());
+    assert.equal(audit()[0].action, 'PUT /stocks/{ticker}/fundamentals');
+
+    const rejected = await call('PUT', '/stocks/ACME/fundamentals', {
+      dividend_frequency: 'weekly',
+    });
+    assert.equal(rejected.statusCode, 400);
+  });
+
+  it('queues a tick with its own idempotency key', async () => {
+    const response = await call('POST', '/tick');
+
+    assert.equal(client.executions.length, 1);
+    assert.equal(client.executions[0].functionId, 'market');
+    assert.match(
+      client.executions[0].requestHeaders['x-idempotency-key'],
+      /^admin-/
+    );
+    assert.equal(response.body.after.executionId, client.executions[0].$id);
+  });
+
+  it('audits failed actions', async () => {
+    const response = await call('PATCH', '/stocks/NOPE', { price: 1 });
+
+    assert.equal(response.statusCode, 404);
+    assert.equal(audit()[0].status, 'failed');
+    assert.equal(audit()[0].error, 'Unknown ticker: NOPE');
+  });
+
+  it('lists the audit log, newest first', async () => {
+    await call('POST', '/market/pause');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await call('POST', '/market/resume');
+
+    const response = await call('GET', '/audit', {}, 'admin');
+    assert.deepEqual(
+      response.body.entries.map((entry) => entry.action),
+      ['POST /market/resume', 'POST /market/pause']
+    );
+  });
+});
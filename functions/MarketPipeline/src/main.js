@@ -0,0 +1,123 @@
+import pkg from 'node-appwrite';
+import { resolveRunId, runPipeline, saveRun } from './pipeline.js';
+const { Client, Databases, Functions } = pkg;
+
+/**
+ * Market pipeline function. Runs FetchesRealWorldStocks → marketManipulator →
+ * InGameMarketManager in order under one pipeline run id, checking that each
+ * stage produced fresh data before the next one uses it, and reports the status
+ * of every stage in one response.
+ *
+ * The run id is taken from the x-pipeline-run-id header or generated, and is
+ * passed on to every stage in the same header. An x-idempotency-key header is
+ * forwarded to InGameMarketManager, so a retried run does not apply its tick
+ * twice.
+ *
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @param {Object} context - Function context with logging methods
+ * @param {Object} [client] - Appwrite client to use instead of a new one (tests)
+ * @returns {Promise<void>}
+ */
+export default async ({ req, res, context, client }) => {
+  const logger = {
+    log: (msg) => (context?.log ? context.log(msg) : console.log(msg)),
+    error: (msg) => (context?.error ? context.error(msg) : console.error(msg)),
+    warn: (msg) => (context?.warn ? context.warn(msg) : console.warn(msg)),
+  };
+
+  const runId = resolveRunId(req.headers);
+
+  try {
+    client ??= new Client()
+      .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+      .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+      .setKey(req.headers['x-appwrite-key'] ?? '');
+
+    const databases = new Databases(client);
+    const functions = new Functions(client);
+
+    const config = {
+      databaseId: process.env.INGAME_STOCK_DATABASE_ID,
+      realWorldCollection: process.env.REALWORLD_STOCK_COLLECTION,
+      manipulatorCollection: process.env.DAILY_MANIPULATOR_COLLECTION,
+      stockCollection: process.env.INGAME_STOCK_COLLECTION,
+      // Optional: one document per pipeline run
+      runsCollection: process.env.PIPELINE_RUNS_COLLECTION,
+      fetchFunctionId: process.env.FETCH_FUNCTION_ID,
+      manipulatorFunctionId: process.env.MANIPULATOR_FUNCTION_ID,
+      marketFunctionId: process.env.MARKET_FUNCTION_ID,
+      execution: {
+        timeoutMs:
+          Number(process.env.PIPELINE_STAGE_TIMEOUT_SECONDS ?? 300) * 1000,
+        pollIntervalMs:
+          Number(process.env.PIPELINE_POLL_INTERVAL_SECONDS ?? 5) * 1000,
+      },
+      freshness: {
+        // Share of real-world quotes that must have been refreshed by this run
+        minFreshRatio: Number(process.env.PIPELINE_MIN_FRESH_RATIO ?? 0.8),
+        // The fetcher's quote cache TTL: quotes younger than it are not refetched
+        quoteCacheTtlMinutes: Number(process.env.QUOTE_CACHE_TTL_MINUTES ?? 60),
+        // Oldest accepted trading day, allowing for weekends and holidays
+        maxTradingDayAgeDays: Number(
+          process.env.PIPELINE_MAX_TRADING_DAY_AGE_DAYS ?? 4
+        ),
+        // Oldest manipulator the market may still be moved by when this run could not compute one
+        maxManipulatorAgeHours: Number(
+          process.env.PIPELINE_MAX_MANIPULATOR_AGE_HOURS ?? 26
+        ),
+      },
+    };
+
+    for (const key of [
+      'fetchFunctionId',
+      'manipulatorFunctionId',
+      'marketFunctionId',
+    ]) {
+      if (!config[key]) {
+        return res.json(
+          { success: false, runId, error: `Missing configuration: ${key}` },
+          400
+        );
+      }
+    }
+
+    await saveRun(databases, config, runId, {
+      status: 'running',
+      started_at: new Date().toISOString(),
+    });
+
+    const idempotencyKey = req.headers['x-idempotency-key'];
+    const run = await runPipeline(
+      { databases, functions },
+      config,
+      runId,
+      logger,
+      idempotencyKey ? { 'x-idempotency-key': idempotencyKey } : {}
+    );
+
+    await saveRun(databases, config, runId, {
+      status: run.status,
+      started_at: run.startedAt,
+      finished_at: run.finishedAt,
+      stages: JSON.stringify(run.stages),
+    });
+
+    logger.log(`[${runId}] Pipeline ${run.status}`);
+    return res.json(
+      { success: run.status !== 'failed', ...run },
+      run.status === 'failed' ? 500 : 200
+    );
+  } catch (error) {
+    logger.error(`[${runId}] Pipeline failed: ${error.message}`);
+
+    return res.json(
+      {
+        success: false,
+        runId,
+        error: error.message,
+      },
+      500
+    );
+  }
+};
@@ -0,0 +1,489 @@
+import pkg from 'node-appwrite';
+const { ID, Query } = pkg;
+
+export const STAGES = ['fetch', 'manipulate', 'apply'];
+
+const PAGE_SIZE = 100;
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Lists every document of a collection matching the queries, following cursors
+ * past Appwrite's page size.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {string} databaseId - Database ID
+ * @param {string} collectionId - Collection ID
+ * @param {Array<string>} [queries=[]] - Additional queries
+ * @returns {Promise<Array<Object>>}
+ */
+async function listAllDocuments(
+  databases,
+  databaseId,
+  collectionId,
+  queries = []
+) {
+  const documents = [];
+  let cursor = null;
+
+  while (true) {
+    const pageQueries = [...queries, Query.limit(PAGE_SIZE)];
+    if (cursor) {
+      pageQueries.push(Query.cursorAfter(cursor));
+    }
+
+    const response = await databases.listDocuments(
+      databaseId,
+      collectionId,
+      pageQueries
+    );
+    documents.push(...response.documents);
+
+    if (response.documents.length < PAGE_SIZE) {
+      return documents;
+    }
+    cursor = response.documents[response.documents.length - 1].$id;
+  }
+}
+
+/**
+ * Runs a stage function as an asynchronous execution and polls it until it
+ * finishes, so stages may run longer than a synchronous execution allows.
+ *
+ * @param {Object} functions - The Appwrite Functions instance
+ * @param {string} functionId - Function to execute
+ * @param {Object} headers - Headers passed to the execution
+ * @param {Object} options - { timeoutMs, pollIntervalMs }
+ * @returns {Promise<Object>} - { ok, executionId, statusCode, error, body }
+ *   (body is the parsed JSON response, or null)
+ */
+export async function runStageFunction(
+  functions,
+  functionId,
+  headers,
+  options
+) {
+  const execution = await functions.createExecution(
+    functionId,
+    '',
+    true,
+    '/',
+    'POST',
+    headers
+  );
+  const deadline = Date.now() + options.timeoutMs;
+
+  let current = execution;
+  while (current.status === 'waiting' || current.status === 'processing') {
+    if (Date.now() > deadline) {
+      return {
+        ok: false,
+        executionId: execution.$id,
+        error: `Execution did not finish within ${options.timeoutMs}ms`,
+      };
+    }
+    await sleep(options.pollIntervalMs);
+    current = await functions.getExecution(functionId, execution.$id);
+  }
+
+  const ok =
+    current.status === 'completed' &&
+    current.responseStatusCode >= 200 &&
+    current.responseStatusCode < 300;
+
+  let body = null;
+  try {
+    body = JSON.parse(current.responseBody || 'null');
+  } catch {
+    // Not a JSON response
+  }
+
+  return {
+    ok,
+    executionId: execution.$id,
+    statusCode: current.responseStatusCode,
+    body,
+    ...(ok
+      ? {}
+      : {
+          error:
+            current.errors ||
+            `Execution ${current.status} with status ${current.responseStatusCode}`,
+        }),
+  };
+}
+
+/**
+ * Checks the real-world quotes written by FetchesRealWorldStocks: a quote is
+ * fresh when it was written since the stage started, or is still within the
+ * fetcher's quote cache TTL (the fetcher leaves such quotes alone), and its
+ * trading day is recent enough (weekends and holidays leave the trading day
+ * behind). Only the quotes of the tickers the fetcher reports as in scope are
+ * checked: on weekends and holidays it only fetches the asset classes that
+ * trade around the clock.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Pipeline configuration
+ * @param {string} since - ISO timestamp the stage started at
+ * @param {Object} [report={}] - The fetcher's response
+ * @param {Array<string>} [report.deferred=[]] - Tickers the fetcher deferred
+ *   to its next run for lack of provider quota
+ * @param {Array<string>} [report.tickers] - Tickers the fetcher was
+ *   responsible for; every quote is checked without it
+ * @returns {Promise<Object>} - { fresh, total, freshRatio, stale, deferred }
+ *   (deferred lists the stale quotes the fetcher deferred)
+ */
+export async function checkRealWorldFreshness(
+  databases,
+  config,
+  since,
+  { deferred = [], tickers } = {}
+) {
+  const documents = (
+    await listAllDocuments(
+      databases,
+      config.databaseId,
+      config.realWorldCollection
+    )
+  ).filter((doc) => !tickers || tickers.includes(doc.ticker_symbol));
+  const freshSince = new Date(
+    Date.parse(since) - config.freshness.quoteCacheTtlMinutes * MINUTE_MS
+  ).toISOString();
+  const oldestTradingDay = new Date(
+    Date.parse(since) - config.freshness.maxTradingDayAgeDays * DAY_MS
+  )
+    .toISOString()
+    .split('T')[0];
+
+  const stale = [];
+  for (const doc of documents) {
+    const tradingDay =
+      doc.latest_trading_day ?? doc.last_updated?.split('T')[0];
+    if (
+      doc.last_updated < freshSince ||
+      !tradingDay ||
+      tradingDay < oldestTradingDay
+    ) {
+      stale.push(doc.ticker_symbol);
+    }
+  }
+
+  const fresh = documents.length - stale.length;
+  return {
+    fresh,
+    total: documents.length,
+    freshRatio: documents.length ? fresh / documents.length : 0,
+    stale,
+    deferred: stale.filter((ticker) => deferred.includes(ticker)),
+  };
+}
+
+/**
+ * Returns when the market-wide manipulator was last computed and whether that
+ * was since the given time.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Pipeline configuration
+ * @param {string} since - ISO timestamp the manipulator must be newer than to be fresh
+ * @returns {Promise<Object>} - { updateTime, ageHours, fresh } (updateTime and
+ *   ageHours are null when there is no manipulator)
+ */
+export async function checkManipulatorFreshness(databases, config, since) {
+  const documents = await listAllDocuments(
+    databases,
+    config.databaseId,
+    config.manipulatorCollection
+  );
+  // A document without a segment is the legacy market-wide manipulator
+  const market = documents.find(
+    (doc) => (doc.segment ?? 'market') === 'market'
+  );
+  if (!market?.UpdateTime) {
+    return { updateTime: null, ageHours: null, fresh: false };
+  }
+
+  return {
+    updateTime: market.UpdateTime,
+    ageHours: Number(
+      ((Date.now() - Date.parse(market.UpdateTime)) / HOUR_MS).toFixed(2)
+    ),
+    fresh: market.UpdateTime >= since,
+  };
+}
+
+/**
+ * Counts the in-game stocks InGameMarketManager updated since the stage started.
+ * A tick the market manager reports as paused, or as applied by an earlier
+ * execution, is idle: it has no stock to update.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Pipeline configuration
+ * @param {string} since - ISO timestamp the stage started at
+ * @param {Object} [report={}] - The market manager's response
+ * @param {boolean} [report.paused=false] - The market is paused
+ * @param {boolean} [report.alreadyApplied=false] - An earlier execution
+ *   applied the tick
+ * @returns {Promise<Object>} - { updated, total, idle }
+ */
+export async function checkMarketFreshness(
+  databases,
+  config,
+  since,
+  { paused = false, alreadyApplied = false } = {}
+) {
+  const documents = await listAllDocuments(
+    databases,
+    config.databaseId,
+    config.stockCollection
+  );
+  return {
+    updated: documents.filter((doc) => doc.last_updated >= since).length,
+    total: documents.length,
+    idle: paused || alreadyApplied,
+  };
+}
+
+/**
+ * Runs fetch → manipulate → apply, checking the freshness of each stage's
+ * output before the next stage uses it:
+ * - fetch fails when the execution fails or fewer than minFreshRatio of the
+ *   quotes are fresh; manipulate is then skipped rather than computed from
+ *   partial data
+ * - when no fresh manipulator was computed, apply goes ahead with the previous
+ *   one (degraded) if it is at most maxManipulatorAgeHours old, and is refused
+ *   otherwise
+ * - when fetch skipped fetching because the exchange is closed (weekend or
+ *   holiday), there is nothing new to compute: manipulate is skipped and apply
+ *   runs regardless of the manipulator's age, since the market does not apply
+ *   one while closed
+ * - apply fails when its execution fails or it updated no stock, unless the
+ *   market manager reports the tick as idle
+ *
+ * Each stage reports { status: 'ok' | 'degraded' | 'skipped' | 'failed', ... }.
+ * The run is 'completed' when every stage is ok (or skipped because the
+ * exchange is closed), 'failed' when apply did not succeed, and 'degraded'
+ * otherwise.
+ *
+ * @param {Object} services - { databases, functions }
+ * @param {Object} config - Pipeline configuration
+ * @param {string} runId - Pipeline run id passed to every stage
+ * @param {Object} logger - Logger object with logging methods
+ * @param {Object} [extraHeaders={}] - Additional headers for the apply stage
+ * @returns {Promise<Object>} - { runId, status, startedAt, finishedAt, stages }
+ */
+export async function runPipeline(
+  { databases, functions },
+  config,
+  runId,
+  logger,
+  extraHeaders = {}
+) {
+  const startedAt = new Date().toISOString();
+  const headers = { 'x-pipeline-run-id': runId };
+  const stages = {};
+
+  const runStage = async (name, functionId, stageHeaders, check) => {
+    const stageStart = new Date().toISOString();
+    logger.log(`[${runId}] Running ${name} stage`);
+    try {
+      const { body, ...execution } = await runStageFunction(
+        functions,
+        functionId,
+        stageHeaders,
+        config.execution
+      );
+      const checks = await check(stageStart, body);
+      return {
+        ...execution,
+        checks,
+        durationMs: Date.now() - Date.parse(stageStart),
+      };
+    } catch (err) {
+      logger.error(`[${runId}] ${name} stage failed: ${err.message}`);
+      return {
+        ok: false,
+        error: err.message,
+        durationMs: Date.now() - Date.parse(stageStart),
+      };
+    }
+  };
+
+  // Stage 1: fetch real-world quotes
+  const fetchStage = await runStage(
+    'fetch',
+    config.fetchFunctionId,
+    headers,
+    (since, body) =>
+      body?.skipped
+        ? { skipped: true, reason: body.reason ?? null }
+        : checkRealWorldFreshness(databases, config, since, body ?? {})
+  );
+  const closed = fetchStage.ok && fetchStage.checks.skipped === true;
+  const fetchFresh =
+    fetchStage.ok &&
+    !closed &&
+    fetchStage.checks.freshRatio >= config.freshness.minFreshRatio;
+  stages.fetch = {
+    ...fetchStage,
+    status: closed ? 'skipped' : fetchFresh ? 'ok' : 'failed',
+    ...(closed
+      ? { reason: `Exchange closed (${fetchStage.checks.reason})` }
+      : {}),
+    ...(fetchStage.ok && !closed && !fetchFresh
+      ? {
+          error:
+            `Only ${fetchStage.checks.fresh} of ${fetchStage.checks.total} quotes are fresh` +
+            (fetchStage.checks.deferred.length
+              ? ` (${fetchStage.checks.deferred.length} deferred for lack of provider quota)`
+              : ''),
+        }
+      : {}),
+  };
+
+  // Stage 2: compute the manipulator from the fresh quotes
+  if (closed) {
+    stages.manipulate = {
+      status: 'skipped',
+      reason: 'No new quotes while the exchange is closed',
+    };
+  } else if (fetchFresh) {
+    const manipulate = await runStage(
+      'manipulate',
+      config.manipulatorFunctionId,
+      headers,
+      (since) => checkManipulatorFreshness(databases, config, since)
+    );
+    const computed = manipulate.ok && manipulate.checks.fresh;
+    stages.manipulate = {
+      ...manipulate,
+      status: computed ? 'ok' : 'failed',
+      ...(manipulate.ok && !computed
+        ? { error: 'Manipulator was not updated by this run' }
+        : {}),
+    };
+  } else {
+    stages.manipulate = {
+      status: 'skipped',
+      reason: 'Real-world quotes are not fresh',
+    };
+  }
+
+  // Stage 3: apply the manipulator to the in-game market, unless it is stale
+  let degraded = false;
+  if (stages.manipulate.status !== 'ok' && !closed) {
+    const previous = await checkManipulatorFreshness(
+      databases,
+      config,
+      startedAt
+    );
+    if (
+      previous.ageHours === null ||
+      previous.ageHours > config.freshness.maxManipulatorAgeHours
+    ) {
+      stages.apply = {
+        status: 'skipped',
+        reason: previous.updateTime
+          ? `Manipulator is ${previous.ageHours}h old (max ${config.freshness.maxManipulatorAgeHours}h)`
+          : 'No manipulator available',
+      };
+    } else {
+      logger.warn(
+        `[${runId}] Applying the previous manipulator from ${previous.updateTime}`
+      );
+      degraded = true;
+    }
+  }
+
+  if (!stages.apply) {
+    const apply = await runStage(
+      'apply',
+      config.marketFunctionId,
+      { ...headers, ...extraHeaders },
+      (since, body) =>
+        checkMarketFreshness(databases, config, since, body ?? {})
+    );
+    const applied =
+      apply.ok &&
+      (apply.checks.updated > 0 ||
+        apply.checks.total === 0 ||
+        apply.checks.idle);
+    stages.apply = {
+      ...apply,
+      status: !applied ? 'failed' : degraded ? 'degraded' : 'ok',
+      ...(apply.ok && !applied
+        ? { error: 'No stock was updated by this run' }
+        : {}),
+    };
+  }
+
+  const statuses = STAGES.map((stage) => stages[stage].status);
+  const status = statuses.every(
+    (s) => s === 'ok' || (closed && s === 'skipped')
+  )
+    ? 'completed'
+    : stages.apply.status === 'ok' || stages.apply.status === 'degraded'
+      ? 'degraded'
+      : 'failed';
+
+  return {
+    runId,
+    status,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    stages,
+  };
+}
+
+/**
+ * Creates or updates the run record, keyed by run id so a retried run with the
+ * same id updates its record.
+ *
+ * Run structure:
+ * status: String ("running", "completed", "degraded" or "failed")
+ * started_at: datetime
+ * finished_at: datetime
+ * stages: String (JSON of the per-stage report)
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Pipeline configuration
+ * @param {string} runId - Pipeline run id
+ * @param {Object} data - Attributes to store
+ * @returns {Promise<void>}
+ */
+export async function saveRun(databases, config, runId, data) {
+  if (!config.runsCollection) {
+    return;
+  }
+
+  try {
+    await databases.updateDocument(
+      config.databaseId,
+      config.runsCollection,
+      runId,
+      data
+    );
+  } catch (err) {
+    if (err.code !== 404) {
+      throw err;
+    }
+    await databases.createDocument(
+      config.databaseId,
+      config.runsCollection,
+      runId,
+      data
+    );
+  }
+}
+
+/**
+ * Returns the run id from the x-pipeline-run-id header, or a new one.
+ *
+ * @param {Object} headers - Request headers
+ * @returns {string}
+ */
+export function resolveRunId(headers) {
+  return headers?.['x-pipeline-run-id'] || ID.unique();
+}
@@ -0,0 +1,376 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+
+import {
+  MemoryClient,
+  MemoryDatabases,
+  createContext,
+  createRequest,
+  createResponse,
+} from '../../../test/harness/index.js';
+import handler from '../src/main.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const TICKERS = ['SPY', 'QQQ', 'BND', 'GLD', 'VWO'];
+
+const hoursAgo = (hours) =>
+  new Date(Date.now() - hours * HOUR_MS).toISOString();
+
+// Stand-ins for the three stages, writing what the real functions write
+const touchAll = (databases, collectionId, data) =>
+  Promise.all(
+    databases
+      .documents('db', collectionId)
+      .map((doc) =>
+        databases.updateDocument('db', collectionId, doc.$id, data(doc))
+      )
+  );
+
+const fetchQuotes =
+  (tickers = TICKERS) =>
+  async (execution, databases) => {
+    const now = new Date().toISOString();
+    await touchAll(databases, 'realworld', (doc) =>
+      tickers.includes(doc.ticker_symbol)
+        ? { last_updated: now, latest_trading_day: now.split('T')[0] }
+        : {}
+    );
+    return { body: { success: true } };
+  };
+
+const computeManipulator = async (execution, databases) => {
+  await touchAll(databases, 'manipulator', () => ({
+    UpdateTime: new Date().toISOString(),
+  }));
+};
+
+const applyTick = async (execution, databases) => {
+  await touchAll(databases, 'stocks', () => ({
+    last_updated: new Date().toISOString(),
+  }));
+};
+
+const failing = (message) => async () => {
+  throw new Error(message);
+};
+
+describe('handler', () => {
+  let databases;
+
+  beforeEach(() => {
+    Object.assign(process.env, {
+      INGAME_STOCK_DATABASE_ID: 'db',
+      REALWORLD_STOCK_COLLECTION: 'realworld',
+      DAILY_MANIPULATOR_COLLECTION: 'manipulator',
+      INGAME_STOCK_COLLECTION: 'stocks',
+      PIPELINE_RUNS_COLLECTION: 'runs',
+      FETCH_FUNCTION_ID: 'fetch',
+      MANIPULATOR_FUNCTION_ID: 'manipulate',
+      MARKET_FUNCTION_ID: 'market',
+    });
+    databases = new MemoryDatabases({
+      'db/realworld': TICKERS.map((ticker) => ({
+        ticker_symbol: ticker,
+        last_updated: hoursAgo(24),
+        latest_trading_day: hoursAgo(24).split('T')[0],
+      })),
+      'db/manipulator': [
+        { segment: 'market', manipulator: '1.2', UpdateTime: hoursAgo(2) },
+      ],
+      'db/stocks': [
+        { ticker_symbol: 'ACME', last_updated: hoursAgo(1) },
+        { ticker_symbol: 'BOLT', last_updated: hoursAgo(1) },
+      ],
+    });
+  });
+
+  const run = async (functions, headers = {}) => {
+    const client = new MemoryClient({
+      databases,
+      functions: {
+        fetch: fetchQuotes(),
+        manipulate: computeManipulator,
+        market: applyTick,
+        ...functions,
+      },
+    });
+    const response = await handler({
+      req: createRequest({ headers }),
+      res: createResponse(),
+      context: createContext(),
+      client,
+    });
+    return { response, client };
+  };
+
+  const statuses = (body) =>
+    Object.fromEntries(
+      Object.entries(body.stages).map(([stage, report]) => [
+        stage,
+        report.status,
+      ])
+    );
+
+  it('runs the stages in order under one run id', async () => {
+    const { response, client } = await run(
+      {},
+      {
+        'x-pipeline-run-id': 'run-1',
+        'x-idempotency-key': 'tick-1',
+      }
+    );
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.status, 'completed');
+    assert.deepEqual(statuses(response.body), {
+      fetch: 'ok',
+      manipulate: 'ok',
+      apply: 'ok',
+    });
+    assert.equal(response.body.stages.fetch.checks.fresh, 5);
+    assert.equal(response.body.stages.apply.checks.updated, 2);
+
+    assert.deepEqual(
+      client.executions.map((execution) => execution.functionId),
+      ['fetch', 'manipulate', 'market']
+    );
+    for (const execution of client.executions) {
+      assert.equal(execution.requestHeaders['x-pipeline-run-id'], 'run-1');
+    }
+    // Only the apply stage is idempotent per key
+    assert.equal(
+      client.executions[0].requestHeaders['x-idempotency-key'],
+      undefined
+    );
+    assert.equal(
+      client.executions[2].requestHeaders['x-idempotency-key'],
+      'tick-1'
+    );
+
+    const [record] = databases.documents('db', 'runs');
+    assert.equal(record.$id, 'run-1');
+    assert.equal(record.status, 'completed');
+    assert.deepEqual(statuses({ stages: JSON.parse(record.stages) }), {
+      fetch: 'ok',
+      manipulate: 'ok',
+      apply: 'ok',
+    });
+  });
+
+  it('skips the manipulator after a partial fetch and applies the previous one', async () => {
+    const { response, client } = await run({
+      fetch: fetchQuotes(['SPY', 'QQQ', 'BND']),
+    });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.status, 'degraded');
+    assert.deepEqual(statuses(response.body), {
+      fetch: 'failed',
+      manipulate: 'skipped',
+      apply: 'degraded',
+    });
+    assert.equal(
+      response.body.stages.fetch.error,
+      'Only 3 of 5 quotes are fresh'
+    );
+    assert.deepEqual(response.body.stages.fetch.checks.stale, ['GLD', 'VWO']);
+    assert.deepEqual(
+      client.executions.map((execution) => execution.functionId),
+      ['fetch', 'market']
+    );
+  });
+
+  describe('with quotes served from the fetcher cache', () => {
+    beforeEach(async () => {
+      for (const doc of databases.documents('db', 'realworld').slice(0, 3)) {
+        await databases.updateDocument('db', 'realworld', doc.$id, {
+          last_updated: hoursAgo(0.5),
+        });
+      }
+    });
+
+    afterEach(() => {
+      delete process.env.QUOTE_CACHE_TTL_MINUTES;
+    });
+
+    it('counts the cached quotes as fresh', async () => {
+      const { response } = await run({ fetch: fetchQuotes(['GLD', 'VWO']) });
+
+      assert.equal(response.body.status, 'completed');
+      assert.equal(response.body.stages.fetch.checks.fresh, 5);
+    });
+
+    it('reports quotes past the cache TTL and deferred ones as stale', async () => {
+      process.env.QUOTE_CACHE_TTL_MINUTES = '15';
+
+      const { response } = await run({
+        fetch: async (execution, databases) => {
+          await fetchQuotes(['GLD'])(execution, databases);
+          return { body: { success: true, deferred: ['VWO'] } };
+        },
+      });
+
+      const { fetch } = response.body.stages;
+      assert.equal(fetch.status, 'failed');
+      assert.deepEqual(fetch.checks.stale, ['SPY', 'QQQ', 'BND', 'VWO']);
+      assert.deepEqual(fetch.checks.deferred, ['VWO']);
+      assert.equal(
+        fetch.error,
+        'Only 1 of 5 quotes are fresh (1 deferred for lack of provider quota)'
+      );
+    });
+  });
+
+  it('refuses to apply a manipulator older than the maximum age', async () => {
+    await databases.updateDocument(
+      'db',
+      'manipulator',
+      databases.documents('db', 'manipulator')[0].$id,
+      { UpdateTime: hoursAgo(30) }
+    );
+
+    const { response, client } = await run({
+      fetch: failing('Quota exceeded'),
+    });
+
+    assert.equal(response.statusCode, 500);
+    assert.equal(response.body.success, false);
+    assert.equal(response.body.status, 'failed');
+    assert.deepEqual(statuses(response.body), {
+      fetch: 'failed',
+      manipulate: 'skipped',
+      apply: 'skipped',
+    });
+    assert.equal(response.body.stages.fetch.error, 'Quota exceeded');
+    assert.match(response.body.stages.apply.reason, /^Manipulator is 30h old/);
+    assert.equal(client.executions.length, 1);
+    assert.equal(databases.documents('db', 'runs')[0].status, 'failed');
+  });
+
+  it('treats a fetch skipped on a closed exchange as healthy', async () => {
+    await databases.updateDocument(
+      'db',
+      'manipulator',
+      databases.documents('db', 'manipulator')[0].$id,
+      { UpdateTime: hoursAgo(60) }
+    );
+
+    const { response, client } = await run({
+      fetch: async () => ({
+        body: { success: true, skipped: true, reason: 'weekend' },
+      }),
+    });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.status, 'completed');
+    assert.deepEqual(statuses(response.body), {
+      fetch: 'skipped',
+      manipulate: 'skipped',
+      apply: 'ok',
+    });
+    assert.equal(
+      response.body.stages.fetch.reason,
+      'Exchange closed (weekend)'
+    );
+    assert.deepEqual(
+      client.executions.map((execution) => execution.functionId),
+      ['fetch', 'market']
+    );
+  });
+
+  it('only checks the crypto quotes fetched on a closed exchange', async () => {
+    await databases.createDocument('db', 'realworld', 'btc', {
+      ticker_symbol: 'BTC',
+      last_updated: hoursAgo(24),
+      latest_trading_day: hoursAgo(24).split('T')[0],
+    });
+
+    const { response, client } = await run({
+      fetch: async (execution, databases) => {
+        await fetchQuotes(['BTC'])(execution, databases);
+        return { body: { success: true, tickers: ['BTC'] } };
+      },
+    });
+
+    assert.equal(response.body.status, 'completed');
+    assert.deepEqual(statuses(response.body), {
+      fetch: 'ok',
+      manipulate: 'ok',
+      apply: 'ok',
+    });
+    assert.equal(response.body.stages.fetch.checks.fresh, 1);
+    assert.equal(response.body.stages.fetch.checks.total, 1);
+    assert.deepEqual(
+      client.executions.map((execution) => execution.functionId),
+      ['fetch', 'manipulate', 'market']
+    );
+  });
+
+  it('degrades when the manipulator does not update the market manipulator', async () => {
+    const { response } = await run({ manipulate: async () => {} });
+
+    assert.equal(response.body.status, 'degraded');
+    assert.deepEqual(statuses(response.body), {
+      fetch: 'ok',
+      manipulate: 'failed',
+      apply: 'degraded',
+    });
+    assert.equal(
+      response.body.stages.manipulate.error,
+      'Manipulator was not updated by this run'
+    );
+  });
+
+  it('fails the run when an execution answers with an error status', async () => {
+    const { response } = await run({
+      market: async () => ({ statusCode: 503, body: { success: false } }),
+    });
+
+    assert.equal(response.statusCode, 500);
+    assert.equal(response.body.status, 'failed');
+    assert.equal(response.body.stages.apply.status, 'failed');
+    assert.equal(response.body.stages.apply.statusCode, 503);
+  });
+
+  it('fails the run when the apply stage updates no stock', async () => {
+    const { response } = await run({
+      market: async () => ({ body: { success: true } }),
+    });
+
+    assert.equal(response.statusCode, 500);
+    assert.equal(response.body.status, 'failed');
+    assert.equal(response.body.stages.apply.status, 'failed');
+    assert.equal(
+      response.body.stages.apply.error,
+      'No stock was updated by this run'
+    );
+    assert.deepEqual(response.body.stages.apply.checks, {
+      updated: 0,
+      total: 2,
+      idle: false,
+    });
+  });
+
+  it('accepts an apply stage on a paused market', async () => {
+    const { response } = await run({
+      market: async () => ({ body: { success: true, paused: true } }),
+    });
+
+    assert.equal(response.body.status, 'completed');
+    assert.equal(response.body.stages.apply.status, 'ok');
+    assert.equal(response.body.stages.apply.checks.updated, 0);
+  });
+
+  it('rejects a run without the stage function ids', async () => {
+    delete process.env.MARKET_FUNCTION_ID;
+
+    const { response, client } = await run({});
+
+    assert.equal(response.statusCode, 400);
+    assert.equal(
+      response.body.error,
+      'Missing configuration: marketFunctionId'
+    );
+    assert.equal(client.executions.length, 0);
+  });
+});
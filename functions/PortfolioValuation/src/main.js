@@ -0,0 +1,82 @@
+import pkg from 'node-appwrite';
+import {
+  assertInternalCall,
+  buildLeaderboard,
+  parseLeaderboardQuery,
+  snapshotPortfolios,
+} from './portfolio.js';
+const { Client, Databases } = pkg;
+
+/**
+ * Portfolio valuation and leaderboard function. Routes:
+ * - GET /leaderboard?type=overall|daily|weekly|return&limit=10: rank players
+ *   using the most recent day of net-worth snapshots
+ * - anything else (scheduled runs, or a trigger from InGameMarketManager after
+ *   a tick): value every player's portfolio at the current in-game prices and
+ *   store today's net-worth snapshot; only scheduled executions and ones
+ *   carrying the MARKET_INTERNAL_KEY may take one
+ *
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @param {Object} context - Function context with logging methods
+ * @param {Object} [client] - Appwrite client to use instead of a new one (tests)
+ * @returns {Promise<void>}
+ */
+export default async ({ req, res, context, client }) => {
+  const logger = {
+    log: (msg) => (context?.log ? context.log(msg) : console.log(msg)),
+    error: (msg) => (context?.error ? context.error(msg) : console.error(msg)),
+    warn: (msg) => (context?.warn ? context.warn(msg) : console.warn(msg)),
+  };
+
+  try {
+    client ??= new Client()
+      .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+      .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+      .setKey(req.headers['x-appwrite-key'] ?? '');
+
+    const databases = new Databases(client);
+
+    const config = {
+      databaseId: process.env.INGAME_STOCK_DATABASE_ID,
+      stockCollection: process.env.INGAME_STOCK_COLLECTION,
+      holdingsCollection: process.env.HOLDINGS_COLLECTION,
+      playersCollection: process.env.PLAYERS_COLLECTION,
+      snapshotsCollection: process.env.SNAPSHOTS_COLLECTION,
+      startingCash: Number(process.env.STARTING_CASH ?? 10000),
+      // Shared with InGameMarketManager, which sends it with its triggers
+      internalKey: process.env.MARKET_INTERNAL_KEY,
+    };
+
+    if (req.path === '/leaderboard') {
+      let query;
+      try {
+        query = parseLeaderboardQuery(req.query);
+      } catch (err) {
+        return res.json({ success: false, error: err.message }, 400);
+      }
+
+      const leaderboard = await buildLeaderboard(databases, config, query);
+      return res.json({ success: true, ...leaderboard }, 200);
+    }
+
+    assertInternalCall(req.headers, config.internalKey);
+    const results = await snapshotPortfolios(databases, config, logger);
+    return res.json({ success: true, ...results }, 200);
+  } catch (error) {
+    const statusCode = error.statusCode ?? 500;
+    if (statusCode >= 500) {
+      logger.error(`Portfolio valuation failed: ${error.message}`);
+    } else {
+      logger.warn(`Portfolio request rejected: ${error.message}`);
+    }
+
+    return res.json(
+      {
+        success: false,
+        error: error.message,
+      },
+      statusCode
+    );
+  }
+};
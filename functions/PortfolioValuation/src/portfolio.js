@@ -0,0 +1,361 @@
+import { timingSafeEqual } from 'node:crypto';
+import pkg from 'node-appwrite';
+const { ID, Query } = pkg;
+
+export const LEADERBOARD_TYPES = ['overall', 'daily', 'weekly', 'return'];
+
+const PAGE_SIZE = 100;
+const DEFAULT_LEADERBOARD_LIMIT = 10;
+const MAX_LEADERBOARD_LIMIT = 100;
+// How many days before the comparison date a daily or weekly baseline may be,
+// for players whose snapshot on that date is missing
+const BASELINE_LOOKBACK_DAYS = { daily: 3, weekly: 7 };
+
+/**
+ * Lists every document of a collection matching the queries, following cursors
+ * past Appwrite's page size.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {string} databaseId - Database ID
+ * @param {string} collectionId - Collection ID
+ * @param {Array<string>} [queries=[]] - Additional queries
+ * @returns {Promise<Array<Object>>}
+ */
+async function listAllDocuments(
+  databases,
+  databaseId,
+  collectionId,
+  queries = []
+) {
+  const documents = [];
+  let cursor = null;
+
+  while (true) {
+    const pageQueries = [...queries, Query.limit(PAGE_SIZE)];
+    if (cursor) {
+      pageQueries.push(Query.cursorAfter(cursor));
+    }
+
+    const response = await databases.listDocuments(
+      databaseId,
+      collectionId,
+      pageQueries
+    );
+    documents.push(...response.documents);
+
+    if (response.documents.length < PAGE_SIZE) {
+      return documents;
+    }
+    cursor = response.documents[response.documents.length - 1].$id;
+  }
+}
+
+/**
+ * Creates an error carrying the HTTP status code the handler should answer with.
+ *
+ * @param {string} message - Error message returned to the caller
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error}
+ */
+export function portfolioError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Checks that a snapshot run was started by the schedule or by
+ * InGameMarketManager, which sends the MARKET_INTERNAL_KEY in the
+ * x-market-internal-key header. The runtime sets x-appwrite-trigger itself.
+ *
+ * @param {Object} headers - Request headers
+ * @param {string|undefined} internalKey - The configured MARKET_INTERNAL_KEY
+ * @returns {void}
+ * @throws {Error} - With statusCode 401 for any other caller
+ */
+export function assertInternalCall(headers, internalKey) {
+  if (headers['x-appwrite-trigger'] === 'schedule') {
+    return;
+  }
+
+  const given = Buffer.from(String(headers['x-market-internal-key'] ?? ''));
+  const expected = Buffer.from(internalKey ?? '');
+  if (
+    expected.length === 0 ||
+    given.length !== expected.length ||
+    !timingSafeEqual(given, expected)
+  ) {
+    throw portfolioError(
+      'Snapshots are taken by the schedule or the market only',
+      401
+    );
+  }
+}
+
+/**
+ * Returns the UTC calendar date (YYYY-MM-DD) of a date shifted by a number of days.
+ *
+ * @param {Date|string} date - Reference date
+ * @param {number} [offsetDays=0] - Days to add (negative for the past)
+ * @returns {string}
+ */
+export function toDateKey(date, offsetDays = 0) {
+  const shifted = new Date(date);
+  shifted.setUTCDate(shifted.getUTCDate() + offsetDays);
+  return shifted.toISOString().split('T')[0];
+}
+
+/**
+ * Values every player's portfolio at the given prices.
+ *
+ * @param {Array<Object>} players - Player documents ({ player_id, cash, starting_cash })
+ * @param {Array<Object>} holdings - Holding documents ({ player_id, ticker_symbol, quantity })
+ * @param {Object<string, number>} prices - Current price keyed by ticker
+ * @param {Object} logger - Logger object with logging methods
+ * @returns {Array<Object>} - { player_id, cash, holdings_value, net_worth, starting_cash }
+ */
+export function valuePortfolios(players, holdings, prices, logger) {
+  const holdingsValue = {};
+
+  for (const holding of holdings) {
+    const price = prices[holding.ticker_symbol];
+    if (price === undefined) {
+      logger.warn(
+        `No price for ${holding.ticker_symbol}, valuing holding of ${holding.player_id} at 0`
+      );
+      continue;
+    }
+    holdingsValue[holding.player_id] =
+      (holdingsValue[holding.player_id] ?? 0) + holding.quantity * price;
+  }
+
+  return players.map((player) => {
+    const cash = Number(player.cash) || 0;
+    const value = Number((holdingsValue[player.player_id] ?? 0).toFixed(2));
+    return {
+      player_id: player.player_id,
+      cash,
+      holdings_value: value,
+      net_worth: Number((cash + value).toFixed(2)),
+      starting_cash: Number(player.starting_cash) || null,
+    };
+  });
+}
+
+/**
+ * Values every player's portfolio at the current in-game prices and upserts one
+ * net-worth snapshot per player for today. Re-running on the same day replaces
+ * that day's snapshot, so the last run of the day is the closing value.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @param {Object} logger - Logger object with logging methods
+ * @returns {Promise<Object>} - { date, players, created, updated, failed }
+ */
+export async function snapshotPortfolios(databases, config, logger) {
+  const [stocks, players, holdings] = await Promise.all([
+    listAllDocuments(databases, config.databaseId, config.stockCollection),
+    listAllDocuments(databases, config.databaseId, config.playersCollection),
+    listAllDocuments(databases, config.databaseId, config.holdingsCollection),
+  ]);
+
+  const prices = {};
+  for (const stock of stocks) {
+    const price = parseFloat(stock.price);
+    if (!isNaN(price)) {
+      prices[stock.ticker_symbol] = price;
+    }
+  }
+
+  const now = new Date();
+  const date = toDateKey(now);
+  const existing = await listAllDocuments(
+    databases,
+    config.databaseId,
+    config.snapshotsCollection,
+    [Query.equal('date', date)]
+  );
+  const existingByPlayer = Object.fromEntries(
+    existing.map((doc) => [doc.player_id, doc])
+  );
+
+  const results = {
+    date,
+    players: players.length,
+    created: 0,
+    updated: 0,
+    failed: 0,
+  };
+
+  for (const valuation of valuePortfolios(players, holdings, prices, logger)) {
+    const data = {
+      ...valuation,
+      starting_cash: valuation.starting_cash ?? config.startingCash,
+      date,
+      updated_at: now.toISOString(),
+    };
+
+    try {
+      const snapshot = existingByPlayer[valuation.player_id];
+      if (snapshot) {
+        await databases.updateDocument(
+          config.databaseId,
+          config.snapshotsCollection,
+          snapshot.$id,
+          data
+        );
+        results.updated++;
+      } else {
+        await databases.createDocument(
+          config.databaseId,
+          config.snapshotsCollection,
+          ID.unique(),
+          data
+        );
+        results.created++;
+      }
+    } catch (err) {
+      logger.error(
+        `Failed to store snapshot for player ${valuation.player_id}: ${err.message}`
+      );
+      results.failed++;
+    }
+  }
+
+  logger.log(
+    `Valued ${players.length} portfolios for ${date}: ${results.created} created, ${results.updated} updated`
+  );
+  return results;
+}
+
+/**
+ * Validates the query of a GET /leaderboard request.
+ *
+ * @param {Object} query - Request query parameters
+ * @returns {Object} - { type, limit }
+ */
+export function parseLeaderboardQuery(query = {}) {
+  const type = query.type ?? 'overall';
+  const limit = query.limit ? Number(query.limit) : DEFAULT_LEADERBOARD_LIMIT;
+
+  if (!LEADERBOARD_TYPES.includes(type)) {
+    throw new Error(
+      `Invalid leaderboard type: ${type} (expected ${LEADERBOARD_TYPES.join(', ')})`
+    );
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LEADERBOARD_LIMIT) {
+    throw new Error(
+      `Invalid limit: must be an integer between 1 and ${MAX_LEADERBOARD_LIMIT}`
+    );
+  }
+
+  return { type, limit };
+}
+
+/**
+ * Ranks snapshots for a leaderboard type. Daily and weekly gains compare against
+ * each player's latest baseline snapshot, so a day without a valuation run
+ * does not drop the players; players without one are left out.
+ *
+ * @param {string} type - One of LEADERBOARD_TYPES
+ * @param {Array<Object>} snapshots - Snapshots of the leaderboard date
+ * @param {Array<Object>} baselines - Snapshots on or before the comparison
+ *   date (daily/weekly)
+ * @returns {Array<Object>} - Ranked entries { rank, player_id, net_worth,
+ *   score }, with the baseline_date of daily and weekly gains
+ */
+export function rankSnapshots(type, snapshots, baselines = []) {
+  const baselineByPlayer = {};
+  for (const doc of baselines) {
+    if (!(baselineByPlayer[doc.player_id]?.date >= doc.date)) {
+      baselineByPlayer[doc.player_id] = doc;
+    }
+  }
+
+  const entries = [];
+  for (const snapshot of snapshots) {
+    let score;
+    let baselineDate;
+    if (type === 'overall') {
+      score = snapshot.net_worth;
+    } else if (type === 'return') {
+      if (!(snapshot.starting_cash > 0)) {
+        continue;
+      }
+      score =
+        ((snapshot.net_worth - snapshot.starting_cash) /
+          snapshot.starting_cash) *
+        100;
+    } else {
+      const baseline = baselineByPlayer[snapshot.player_id];
+      if (!baseline) {
+        continue;
+      }
+      score = snapshot.net_worth - baseline.net_worth;
+      baselineDate = baseline.date;
+    }
+
+    entries.push({
+      player_id: snapshot.player_id,
+      net_worth: snapshot.net_worth,
+      score: Number(score.toFixed(2)),
+      ...(baselineDate ? { baseline_date: baselineDate } : {}),
+    });
+  }
+
+  return entries
+    .sort((a, b) => b.score - a.score)
+    .map((entry, index) => ({ rank: index + 1, ...entry }));
+}
+
+/**
+ * Builds a leaderboard from the most recent day of snapshots.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @param {Object} query - Parsed leaderboard query ({ type, limit })
+ * @returns {Promise<Object>} - { type, date, compared_to, entries }
+ */
+export async function buildLeaderboard(databases, config, { type, limit }) {
+  const latest = await databases.listDocuments(
+    config.databaseId,
+    config.snapshotsCollection,
+    [Query.orderDesc('date'), Query.limit(1)]
+  );
+  if (latest.documents.length === 0) {
+    return { type, date: null, compared_to: null, entries: [] };
+  }
+
+  const date = latest.documents[0].date;
+  const snapshots = await listAllDocuments(
+    databases,
+    config.databaseId,
+    config.snapshotsCollection,
+    [Query.equal('date', date)]
+  );
+
+  let comparedTo = null;
+  let baselines = [];
+  if (type === 'daily' || type === 'weekly') {
+    comparedTo = toDateKey(date, type === 'daily' ? -1 : -7);
+    baselines = await listAllDocuments(
+      databases,
+      config.databaseId,
+      config.snapshotsCollection,
+      [
+        Query.lessThanEqual('date', comparedTo),
+        Query.greaterThanEqual(
+          'date',
+          toDateKey(comparedTo, -BASELINE_LOOKBACK_DAYS[type])
+        ),
+      ]
+    );
+  }
+
+  return {
+    type,
+    date,
+    compared_to: comparedTo,
+    entries: rankSnapshots(type, snapshots, baselines).slice(0, limit),
+  };
+}
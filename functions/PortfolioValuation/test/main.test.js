@@ -0,0 +1,222 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+
+import {
+  MemoryClient,
+  MemoryDatabases,
+  createContext,
+  createRequest,
+  createResponse,
+} from '../../../test/harness/index.js';
+import { toDateKey } from '../src/portfolio.js';
+import handler from '../src/main.js';
+
+const INTERNAL = { 'x-market-internal-key': 'internal' };
+
+const snapshot = (playerId, date, netWorth, startingCash = 10000) => ({
+  player_id: playerId,
+  date,
+  net_worth: netWorth,
+  starting_cash: startingCash,
+});
+
+describe('handler', () => {
+  let databases;
+  let client;
+
+  beforeEach(() => {
+    Object.assign(process.env, {
+      INGAME_STOCK_DATABASE_ID: 'db',
+      INGAME_STOCK_COLLECTION: 'stocks',
+      HOLDINGS_COLLECTION: 'holdings',
+      PLAYERS_COLLECTION: 'players',
+      SNAPSHOTS_COLLECTION: 'snapshots',
+      MARKET_INTERNAL_KEY: 'internal',
+    });
+    databases = new MemoryDatabases({
+      'db/stocks': [
+        { ticker_symbol: 'ACME', price: '120' },
+        { ticker_symbol: 'BOND', price: '50.5' },
+      ],
+      'db/players': [
+        { player_id: 'alice', cash: 1000, starting_cash: 10000 },
+        { player_id: 'bob', cash: 9000 },
+      ],
+      'db/holdings': [
+        { player_id: 'alice', ticker_symbol: 'ACME', quantity: 80 },
+        { player_id: 'alice', ticker_symbol: 'BOND', quantity: 2 },
+        { player_id: 'bob', ticker_symbol: 'GONE', quantity: 5 },
+      ],
+    });
+    client = new MemoryClient({ databases });
+  });
+
+  afterEach(() => {
+    delete process.env.MARKET_INTERNAL_KEY;
+  });
+
+  const call = (path, { headers = INTERNAL, query = {} } = {}) =>
+    handler({
+      req: createRequest({ method: 'GET', path, headers, query }),
+      res: createResponse(),
+      context: createContext(),
+      client,
+    });
+
+  const snapshots = () =>
+    Object.fromEntries(
+      databases.documents('db', 'snapshots').map((doc) => [doc.player_id, doc])
+    );
+
+  it('values every portfolio and upserts one snapshot per day', async () => {
+    const first = await call('/');
+
+    assert.equal(first.statusCode, 200);
+    assert.equal(first.body.created, 2);
+    const { alice, bob } = snapshots();
+    assert.equal(alice.date, toDateKey(new Date()));
+    assert.equal(alice.holdings_value, 9701);
+    assert.equal(alice.net_worth, 10701);
+    // Holdings without a price count as nothing, and the configured starting
+    // cash stands in for a player without one
+    assert.equal(bob.net_worth, 9000);
+    assert.equal(bob.starting_cash, 10000);
+
+    const [player] = databases.documents('db', 'players');
+    await databases.updateDocument('db', 'players', player.$id, { cash: 500 });
+    const second = await call('/');
+
+    assert.equal(second.body.created, 0);
+    assert.equal(second.body.updated, 2);
+    assert.equal(databases.documents('db', 'snapshots').length, 2);
+    assert.equal(snapshots().alice.net_worth, 10201);
+  });
+
+  it('only takes snapshots for the schedule and the market', async () => {
+    assert.equal((await call('/', { headers: {} })).statusCode, 401);
+    assert.equal(
+      (await call('/', { headers: { 'x-appwrite-user-id': 'alice' } }))
+        .statusCode,
+      401
+    );
+    assert.equal(
+      (await call('/', { headers: { 'x-appwrite-trigger': 'schedule' } }))
+        .statusCode,
+      200
+    );
+    assert.equal(databases.documents('db', 'snapshots').length, 2);
+  });
+
+  describe('leaderboard', () => {
+    beforeEach(() => {
+      databases = new MemoryDatabases({
+        'db/snapshots': [
+          snapshot('alice', '2025-03-15', 9000),
+          snapshot('alice', '2025-03-21', 11000),
+          snapshot('alice', '2025-03-22', 11500),
+          snapshot('bob', '2025-03-21', 12500, 12000),
+          snapshot('bob', '2025-03-22', 12600, 12000),
+          snapshot('carol', '2025-03-15', 10000),
+          snapshot('carol', '2025-03-22', 9500),
+        ],
+      });
+      client = new MemoryClient({ databases });
+    });
+
+    const leaderboard = async (type) => {
+      const response = await call('/leaderboard', {
+        headers: {},
+        query: { type },
+      });
+      assert.equal(response.statusCode, 200);
+      return response.body;
+    };
+
+    const scores = (body) =>
+      body.entries.map((entry) => [entry.rank, entry.player_id, entry.score]);
+
+    it('ranks by net worth on the latest date', async () => {
+      const body = await leaderboard('overall');
+
+      assert.equal(body.date, '2025-03-22');
+      assert.equal(body.compared_to, null);
+      assert.deepEqual(scores(body), [
+        [1, 'bob', 12600],
+        [2, 'alice', 11500],
+        [3, 'carol', 9500],
+      ]);
+    });
+
+    it('ranks the daily and weekly gains of players with a baseline', async () => {
+      const daily = await leaderboard('daily');
+      assert.equal(daily.compared_to, '2025-03-21');
+      assert.deepEqual(scores(daily), [
+        [1, 'alice', 500],
+        [2, 'bob', 100],
+      ]);
+
+      const weekly = await leaderboard('weekly');
+      assert.equal(weekly.compared_to, '2025-03-15');
+      assert.deepEqual(scores(weekly), [
+        [1, 'alice', 2500],
+        [2, 'carol', -500],
+      ]);
+    });
+
+    it('compares against the latest snapshot before a missing baseline', async () => {
+      for (const [date, netWorth] of [
+        ['2025-03-05', 8000],
+        ['2025-03-12', 9000],
+        ['2025-03-13', 9200],
+        ['2025-03-19', 9800],
+        ['2025-03-22', 10000],
+      ]) {
+        await databases.createDocument(
+          'db',
+          'snapshots',
+          `dave-${date}`,
+          snapshot('dave', date, netWorth)
+        );
+      }
+
+      const daily = await leaderboard('daily');
+      assert.deepEqual(scores(daily), [
+        [1, 'alice', 500],
+        [2, 'dave', 200],
+        [3, 'bob', 100],
+      ]);
+      assert.equal(daily.entries[1].baseline_date, '2025-03-19');
+
+      const weekly = await leaderboard('weekly');
+      assert.deepEqual(scores(weekly), [
+        [1, 'alice', 2500],
+        [2, 'dave', 800],
+        [3, 'carol', -500],
+      ]);
+      assert.equal(weekly.entries[0].baseline_date, '2025-03-15');
+      assert.equal(weekly.entries[1].baseline_date, '2025-03-13');
+    });
+
+    it('ranks the percent return on the starting cash', async () => {
+      assert.deepEqual(scores(await leaderboard('return')), [
+        [1, 'alice', 15],
+        [2, 'bob', 5],
+        [3, 'carol', -5],
+      ]);
+    });
+
+    it('limits the entries and rejects invalid queries', async () => {
+      const limited = await call('/leaderboard', {
+        headers: {},
+        query: { limit: '1' },
+      });
+      assert.deepEqual(scores(limited.body), [[1, 'bob', 12600]]);
+
+      const invalid = await call('/leaderboard', {
+        headers: {},
+        query: { type: 'monthly' },
+      });
+      assert.equal(invalid.statusCode, 400);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import pkg from 'node-appwrite';
+import {
+  assertInternalCall,
+  cancelOrder,
+  evaluateOpenOrders,
+  isMarketPaused,
+  listOrders,
+  placeOrder,
+  tradingError,
+  validateOrder,
+} from './orders.js';
+const { Client, Databases } = pkg;
+
+/**
+ * Player trading engine. Routes:
+ * - POST /orders: place a market or limit order for the calling player
+ * - GET /orders: list the calling player's orders (optional ?status=)
+ * - DELETE /orders/{orderId}: cancel one of the calling player's open orders
+ * - POST /orders/evaluate: fill open limit orders that became marketable,
+ *   triggered by InGameMarketManager after every price update
+ *
+ * The player is the Appwrite user executing the function
+ * (x-appwrite-user-id header). /orders/evaluate is internal: it needs the
+ * MARKET_INTERNAL_KEY or a scheduled execution.
+ *
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @param {Object} context - Function context with logging methods
+ * @param {Object} [client] - Appwrite client to use instead of a new one (tests)
+ * @returns {Promise<void>}
+ */
+export default async ({ req, res, context, client }) => {
+  const logger = {
+    log: (msg) => (context?.log ? context.log(msg) : console.log(msg)),
+    error: (msg) => (context?.error ? context.error(msg) : console.error(msg)),
+    warn: (msg) => (context?.warn ? context.warn(msg) : console.warn(msg)),
+  };
+
+  try {
+    client ??= new Client()
+      .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+      .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+      .setKey(req.headers['x-appwrite-key'] ?? '');
+
+    const databases = new Databases(client);
+
+    const config = {
+      databaseId: process.env.INGAME_STOCK_DATABASE_ID,
+      stockCollection: process.env.INGAME_STOCK_COLLECTION,
+      ordersCollection: process.env.ORDERS_COLLECTION,
+      tradesCollection: process.env.TRADES_COLLECTION,
+      holdingsCollection: process.env.HOLDINGS_COLLECTION,
+      playersCollection: process.env.PLAYERS_COLLECTION,
+      // Optional: market control document written by MarketAdmin
+      controlCollection: process.env.MARKET_CONTROL_COLLECTION,
+      // Optional: per-player locks shared with InGameMarketManager's dividends
+      locksCollection: process.env.PLAYER_LOCKS_COLLECTION,
+      startingCash: Number(process.env.STARTING_CASH ?? 10000),
+      // Shared with InGameMarketManager, which sends it to /orders/evaluate
+      internalKey: process.env.MARKET_INTERNAL_KEY,
+    };
+
+    const method = req.method ?? 'GET';
+    const path = req.path ?? '/';
+
+    if (method === 'POST' && path === '/orders/evaluate') {
+      assertInternalCall(req.headers, config.internalKey);
+      const results = await evaluateOpenOrders(databases, config, logger);
+      return res.json({ success: true, ...results }, 200);
+    }
+
+    const playerId = req.headers['x-appwrite-user-id'];
+    if (!playerId) {
+      return res.json(
+        { success: false, error: 'Authentication required' },
+        401
+      );
+    }
+
+    if (method === 'POST' && path === '/orders') {
+      const order = validateOrder(parseBody(req));
+      if (await isMarketPaused(databases, config)) {
+        throw tradingError('Market is paused', 409);
+      }
+      const result = await placeOrder(
+        databases,
+        config,
+        playerId,
+        order,
+        logger
+      );
+      return res.json({ success: true, ...result }, 200);
+    }
+
+    if (method === 'GET' && path === '/orders') {
+      const orders = await listOrders(
+        databases,
+        config,
+        playerId,
+        req.query?.status
+      );
+      return res.json({ success: true, orders }, 200);
+    }
+
+    const cancelMatch = path.match(/^\/orders\/([^/]+)$/);
+    if (method === 'DELETE' && cancelMatch) {
+      const order = await cancelOrder(
+        databases,
+        config,
+        playerId,
+        cancelMatch[1]
+      );
+      return res.json({ success: true, order }, 200);
+    }
+
+    return res.json(
+      { success: false, error: `Route not found: ${method} ${path}` },
+      404
+    );
+  } catch (error) {
+    const statusCode = error.statusCode ?? 500;
+    if (statusCode >= 500) {
+      logger.error(`Trading request failed: ${error.message}`);
+    } else {
+      logger.warn(`Trading request rejected: ${error.message}`);
+    }
+
+    return res.json(
+      {
+        success: false,
+        error: error.message,
+      },
+      statusCode
+    );
+  }
+};
+
+/**
+ * Returns the request body as an object, whether the runtime already parsed it
+ * or passed the raw JSON string.
+ *
+ * @param {Object} req - The HTTP request object
+ * @returns {Object}
+ */
+function parseBody(req) {
+  if (typeof req.body !== 'string') {
+    return req.body ?? {};
+  }
+  try {
+    return req.body ? JSON.parse(req.body) : {};
+  } catch (err) {
+    throw tradingError('Invalid JSON body', 400);
+  }
+}
@@ -0,0 +1,721 @@
+import { timingSafeEqual } from 'node:crypto';
+import pkg from 'node-appwrite';
+import { withPlayerLock } from './locks.js';
+const { ID, Query } = pkg;
+
+export const ORDER_SIDES = ['buy', 'sell'];
+export const ORDER_TYPES = ['market', 'limit'];
+
+const PAGE_SIZE = 100;
+
+/**
+ * Creates an error carrying the HTTP status code the handler should answer with.
+ *
+ * @param {string} message - Error message returned to the caller
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error}
+ */
+export function tradingError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Checks that a request comes from the market itself rather than a player:
+ * a scheduled execution, or one carrying the shared internal key in the
+ * x-market-internal-key header (InGameMarketManager sends it). Appwrite sets
+ * the x-appwrite-* headers itself, so callers cannot forge the trigger.
+ *
+ * @param {Object} headers - Request headers
+ * @param {string|undefined} internalKey - The configured MARKET_INTERNAL_KEY
+ * @returns {void}
+ * @throws {Error} - With statusCode 401 for any other caller
+ */
+export function assertInternalCall(headers, internalKey) {
+  if (headers['x-appwrite-trigger'] === 'schedule') {
+    return;
+  }
+
+  const given = Buffer.from(String(headers['x-market-internal-key'] ?? ''));
+  const expected = Buffer.from(internalKey ?? '');
+  if (
+    expected.length === 0 ||
+    given.length !== expected.length ||
+    !timingSafeEqual(given, expected)
+  ) {
+    throw tradingError('Internal route: a valid internal key is required', 401);
+  }
+}
+
+/**
+ * Rounds a monetary amount to cents.
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Validates and normalizes the body of an order request.
+ *
+ * @param {Object} body - Parsed request body
+ * @returns {Object} - Normalized order: ticker, side, type, quantity, limit_price
+ * @throws {Error} - With statusCode 400 when the order is invalid
+ */
+export function validateOrder(body) {
+  const ticker =
+    typeof body?.ticker === 'string' ? body.ticker.trim().toUpperCase() : '';
+  const side = String(body?.side ?? '').toLowerCase();
+  const type = String(body?.type ?? 'market').toLowerCase();
+  const quantity = Number(body?.quantity);
+  const limitPrice =
+    body?.limit_price === undefined ? null : Number(body.limit_price);
+
+  if (!ticker) {
+    throw tradingError('Missing required field: ticker', 400);
+  }
+  if (!ORDER_SIDES.includes(side)) {
+    throw tradingError(
+      `Invalid side: expected one of ${ORDER_SIDES.join(', ')}`,
+      400
+    );
+  }
+  if (!ORDER_TYPES.includes(type)) {
+    throw tradingError(
+      `Invalid type: expected one of ${ORDER_TYPES.join(', ')}`,
+      400
+    );
+  }
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    throw tradingError('Invalid quantity: must be a positive integer', 400);
+  }
+  if (type === 'limit' && !(limitPrice > 0)) {
+    throw tradingError(
+      'Invalid limit_price: limit orders need a positive limit_price',
+      400
+    );
+  }
+
+  return {
+    ticker,
+    side,
+    type,
+    quantity,
+    limit_price: type === 'limit' ? roundCents(limitPrice) : null,
+  };
+}
+
+/**
+ * Whether an order can be filled at the given price. Market orders always can;
+ * buy limits need the price at or below the limit, sell limits at or above it.
+ *
+ * @param {Object} order - Order with side, type and limit_price
+ * @param {number} price - Current in-game price
+ * @returns {boolean}
+ */
+export function isMarketable(order, price) {
+  if (order.type === 'market') {
+    return true;
+  }
+  return order.side === 'buy'
+    ? price <= order.limit_price
+    : price >= order.limit_price;
+}
+
+/**
+ * Computes the player's cash and holding after filling an order.
+ *
+ * @param {Object} order - Order with side and quantity
+ * @param {number} price - Fill price
+ * @param {number} cash - Player's cash before the fill
+ * @param {Object|null} holding - Existing holding ({ quantity, average_cost }) or null
+ * @returns {Object} - { cash, quantity, average_cost, total }
+ * @throws {Error} - With statusCode 422 when cash or shares are insufficient
+ */
+export function computeFill(order, price, cash, holding) {
+  const total = roundCents(order.quantity * price);
+  const heldQuantity = holding?.quantity ?? 0;
+  const averageCost = holding?.average_cost ?? 0;
+
+  if (order.side === 'buy') {
+    if (total > cash) {
+      throw tradingError(
+        `Insufficient cash: order costs ${total}, available ${cash}`,
+        422
+      );
+    }
+    const quantity = heldQuantity + order.quantity;
+    return {
+      cash: roundCents(cash - total),
+      quantity,
+      average_cost: roundCents((heldQuantity * averageCost + total) / quantity),
+      total,
+    };
+  }
+
+  if (order.quantity > heldQuantity) {
+    throw tradingError(
+      `Insufficient shares: order sells ${order.quantity}, held ${heldQuantity}`,
+      422
+    );
+  }
+  return {
+    cash: roundCents(cash + total),
+    quantity: heldQuantity - order.quantity,
+    average_cost: averageCost,
+    total,
+  };
+}
+
+/**
+ * Whether MarketAdmin has paused the market. Without a control collection or
+ * document the market is running.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @returns {Promise<boolean>}
+ */
+export async function isMarketPaused(databases, config) {
+  if (!config.controlCollection) {
+    return false;
+  }
+  try {
+    const doc = await databases.getDocument(
+      config.databaseId,
+      config.controlCollection,
+      'market'
+    );
+    return doc.paused === true;
+  } catch (err) {
+    if (err.code === 404) {
+      return false;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Fetches the in-game stock for a ticker and returns it with its numeric price.
+ * Halted stocks answer 409, so open orders wait for trading to resume;
+ * delisted stocks answer 422, so open orders in them are rejected.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @param {string} ticker - Ticker symbol
+ * @returns {Promise<Object>} - { stock, price }
+ */
+async function fetchStockPrice(databases, config, ticker) {
+  const response = await databases.listDocuments(
+    config.databaseId,
+    config.stockCollection,
+    [Query.equal('ticker_symbol', ticker), Query.limit(1)]
+  );
+  const stock = response.documents[0];
+  if (!stock) {
+    throw tradingError(`Unknown ticker: ${ticker}`, 404);
+  }
+  if (stock.status === 'halted') {
+    throw tradingError(`Trading in ${ticker} is halted`, 409);
+  }
+  if (stock.status === 'delisted') {
+    throw tradingError(`${ticker} is delisted`, 422);
+  }
+
+  const price = parseFloat(stock.price);
+  if (!(price > 0)) {
+    throw tradingError(`Stock ${ticker} has no valid price`, 409);
+  }
+  return { stock, price };
+}
+
+/**
+ * Returns the player's account, creating it with the starting cash on first use.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @param {string} playerId - Appwrite user ID of the player
+ * @returns {Promise<Object>} - The player document
+ */
+export async function getOrCreatePlayer(databases, config, playerId) {
+  const response = await databases.listDocuments(
+    config.databaseId,
+    config.playersCollection,
+    [Query.equal('player_id', playerId), Query.limit(1)]
+  );
+  if (response.documents.length > 0) {
+    return response.documents[0];
+  }
+
+  return databases.createDocument(
+    config.databaseId,
+    config.playersCollection,
+    ID.unique(),
+    {
+      player_id: playerId,
+      cash: config.startingCash,
+      starting_cash: config.startingCash,
+    }
+  );
+}
+
+/**
+ * Returns the player's holding of a ticker, or null if they hold none.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @param {string} playerId - Appwrite user ID of the player
+ * @param {string} ticker - Ticker symbol
+ * @returns {Promise<Object|null>}
+ */
+async function fetchHolding(databases, config, playerId, ticker) {
+  const response = await databases.listDocuments(
+    config.databaseId,
+    config.holdingsCollection,
+    [
+      Query.equal('player_id', playerId),
+      Query.equal('ticker_symbol', ticker),
+      Query.limit(1),
+    ]
+  );
+  return response.documents[0] ?? null;
+}
+
+/**
+ * Runs fn while holding the player's lock, which every read-modify-write of the
+ * player's cash, holdings or orders takes.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @param {string} playerId - Appwrite user ID of the player
+ * @param {Function} fn - Async function to run under the lock
+ * @returns {Promise<*>} - What fn resolves to
+ */
+function withLock(databases, config, playerId, fn) {
+  return withPlayerLock(
+    databases,
+    { databaseId: config.databaseId, collectionId: config.locksCollection },
+    playerId,
+    fn
+  );
+}
+
+/**
+ * Fills an open order at the given price: marks the order filled, updates the
+ * player's cash and holding and records the trade. Must run under the
+ * player's lock; the order is re-read there, so an order filled or cancelled
+ * since it was listed is never filled (again).
+ *
+ * Appwrite has no multi-document transactions, so the order is marked filled
+ * before anything moves, then the side being debited (cash for buys, shares
+ * for sells) is written: a failure in between can only ever leave the player
+ * short, never fill an order twice. When the debit itself fails, nothing has
+ * moved and the order is reopened.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @param {string} orderId - ID of the order to fill
+ * @param {number} price - Fill price
+ * @returns {Promise<Object>} - { order, trade } (the filled order and the trade)
+ * @throws {Error} - With statusCode 409 when the order is no longer open, 422
+ *   when the player cannot cover it
+ */
+async function applyFill(databases, config, orderId, price) {
+  const order = await databases.getDocument(
+    config.databaseId,
+    config.ordersCollection,
+    orderId
+  );
+  if (order.status !== 'open') {
+    throw tradingError(`Order ${orderId} is already ${order.status}`, 409);
+  }
+
+  const player = await getOrCreatePlayer(databases, config, order.player_id);
+  const holding = await fetchHolding(
+    databases,
+    config,
+    order.player_id,
+    order.ticker_symbol
+  );
+  const fill = computeFill(order, price, Number(player.cash), holding);
+  const timestamp = new Date().toISOString();
+
+  const writeCash = () =>
+    databases.updateDocument(
+      config.databaseId,
+      config.playersCollection,
+      player.$id,
+      {
+        cash: fill.cash,
+      }
+    );
+
+  const writeHolding = () => {
+    if (holding && fill.quantity === 0) {
+      return databases.deleteDocument(
+        config.databaseId,
+        config.holdingsCollection,
+        holding.$id
+      );
+    }
+    if (holding) {
+      return databases.updateDocument(
+        config.databaseId,
+        config.holdingsCollection,
+        holding.$id,
+        {
+          quantity: fill.quantity,
+          average_cost: fill.average_cost,
+        }
+      );
+    }
+    return databases.createDocument(
+      config.databaseId,
+      config.holdingsCollection,
+      ID.unique(),
+      {
+        player_id: order.player_id,
+        ticker_symbol: order.ticker_symbol,
+        quantity: fill.quantity,
+        average_cost: fill.average_cost,
+      }
+    );
+  };
+
+  const [debit, credit] =
+    order.side === 'buy'
+      ? [writeCash, writeHolding]
+      : [writeHolding, writeCash];
+
+  const filledOrder = await databases.updateDocument(
+    config.databaseId,
+    config.ordersCollection,
+    order.$id,
+    {
+      status: 'filled',
+      filled_price: price,
+      filled_at: timestamp,
+    }
+  );
+  try {
+    await debit();
+  } catch (err) {
+    await databases.updateDocument(
+      config.databaseId,
+      config.ordersCollection,
+      order.$id,
+      {
+        status: 'open',
+        filled_price: null,
+        filled_at: null,
+      }
+    );
+    throw err;
+  }
+  await credit();
+
+  const trade = await databases.createDocument(
+    config.databaseId,
+    config.tradesCollection,
+    ID.unique(),
+    {
+      order_id: order.$id,
+      player_id: order.player_id,
+      ticker_symbol: order.ticker_symbol,
+      side: order.side,
+      quantity: order.quantity,
+      price,
+      total: fill.total,
+      executed_at: timestamp,
+    }
+  );
+  return { order: filledOrder, trade };
+}
+
+/**
+ * Marks an order rejected with the reason, unless it is no longer open. Must
+ * run under the player's lock.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @param {string} orderId - ID of the order to reject
+ * @param {string} reason - Why the order is rejected
+ * @returns {Promise<boolean>} - Whether the order was rejected
+ */
+async function rejectOrder(databases, config, orderId, reason) {
+  const order = await databases.getDocument(
+    config.databaseId,
+    config.ordersCollection,
+    orderId
+  );
+  if (order.status !== 'open') {
+    return false;
+  }
+
+  await databases.updateDocument(
+    config.databaseId,
+    config.ordersCollection,
+    orderId,
+    {
+      status: 'rejected',
+      reason,
+    }
+  );
+  return true;
+}
+
+/**
+ * Places an order for a player. Market orders and limit orders that are already
+ * marketable fill immediately at the current in-game price; other limit orders
+ * are validated against the player's cash or shares and left open.
+ *
+ * A marketable order is stored and filled under the player's lock, so no
+ * evaluation can fill it in between; when the fill fails, the order is
+ * rejected rather than left open for a later evaluation to fill at another
+ * price.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @param {string} playerId - Appwrite user ID of the player
+ * @param {Object} input - Normalized order from validateOrder
+ * @param {Object} logger - Logger object with logging methods
+ * @returns {Promise<Object>} - { order, trade }
+ */
+export async function placeOrder(databases, config, playerId, input, logger) {
+  const { price } = await fetchStockPrice(databases, config, input.ticker);
+  const orderData = {
+    player_id: playerId,
+    ticker_symbol: input.ticker,
+    side: input.side,
+    type: input.type,
+    quantity: input.quantity,
+    limit_price: input.limit_price,
+    created_at: new Date().toISOString(),
+    status: 'open',
+  };
+
+  const marketable = isMarketable(input, price);
+  const player = await getOrCreatePlayer(databases, config, playerId);
+  const holding = await fetchHolding(databases, config, playerId, input.ticker);
+
+  // Reject orders the player cannot cover before persisting anything: at the
+  // current price for immediate fills, at the limit price for open orders
+  computeFill(
+    input,
+    marketable ? price : input.limit_price,
+    Number(player.cash),
+    holding
+  );
+
+  if (!marketable) {
+    const order = await databases.createDocument(
+      config.databaseId,
+      config.ordersCollection,
+      ID.unique(),
+      orderData
+    );
+    logger.log(
+      `Open ${input.side} limit order ${order.$id} placed for ${input.quantity} ${input.ticker} @ ${input.limit_price}`
+    );
+    return { order, trade: null };
+  }
+
+  return withLock(databases, config, playerId, async () => {
+    const order = await databases.createDocument(
+      config.databaseId,
+      config.ordersCollection,
+      ID.unique(),
+      orderData
+    );
+
+    try {
+      const filled = await applyFill(databases, config, order.$id, price);
+      logger.log(
+        `Filled ${input.side} order ${order.$id}: ${input.quantity} ${input.ticker} @ ${price}`
+      );
+      return filled;
+    } catch (err) {
+      try {
+        await rejectOrder(databases, config, order.$id, err.message);
+      } catch (rejectErr) {
+        logger.warn(
+          `Could not reject order ${order.$id}: ${rejectErr.message}`
+        );
+      }
+      throw err;
+    }
+  });
+}
+
+/**
+ * Lists every open order, following cursors past Appwrite's page size.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @returns {Promise<Array<Object>>}
+ */
+async function fetchOpenOrders(databases, config) {
+  const orders = [];
+  let cursor = null;
+
+  while (true) {
+    const queries = [
+      Query.equal('status', 'open'),
+      Query.orderAsc('created_at'),
+      Query.limit(PAGE_SIZE),
+    ];
+    if (cursor) {
+      queries.push(Query.cursorAfter(cursor));
+    }
+
+    const response = await databases.listDocuments(
+      config.databaseId,
+      config.ordersCollection,
+      queries
+    );
+    orders.push(...response.documents);
+
+    if (response.documents.length < PAGE_SIZE) {
+      return orders;
+    }
+    cursor = response.documents[response.documents.length - 1].$id;
+  }
+}
+
+/**
+ * Evaluates every open limit order against the current in-game prices, oldest
+ * first. Marketable orders are filled; orders the player can no longer cover
+ * are rejected with the reason recorded on the order.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @param {Object} logger - Logger object with logging methods
+ * @returns {Promise<Object>} - { evaluated, filled, rejected, paused? }
+ */
+export async function evaluateOpenOrders(databases, config, logger) {
+  if (await isMarketPaused(databases, config)) {
+    logger.log('Market is paused, leaving open orders for later');
+    return { evaluated: 0, filled: 0, rejected: 0, paused: true };
+  }
+
+  const orders = await fetchOpenOrders(databases, config);
+  const prices = {};
+  const results = { evaluated: orders.length, filled: 0, rejected: 0 };
+
+  for (const order of orders) {
+    try {
+      if (!(order.ticker_symbol in prices)) {
+        prices[order.ticker_symbol] = (
+          await fetchStockPrice(databases, config, order.ticker_symbol)
+        ).price;
+      }
+      const price = prices[order.ticker_symbol];
+      if (!isMarketable(order, price)) {
+        continue;
+      }
+
+      await withLock(databases, config, order.player_id, () =>
+        applyFill(databases, config, order.$id, price)
+      );
+      results.filled++;
+    } catch (err) {
+      logger.warn(`Could not fill order ${order.$id}: ${err.message}`);
+      if (err.statusCode !== 422) {
+        continue;
+      }
+      try {
+        const rejected = await withLock(
+          databases,
+          config,
+          order.player_id,
+          () => rejectOrder(databases, config, order.$id, err.message)
+        );
+        if (rejected) {
+          results.rejected++;
+        }
+      } catch (rejectErr) {
+        logger.warn(
+          `Could not reject order ${order.$id}: ${rejectErr.message}`
+        );
+      }
+    }
+  }
+
+  logger.log(
+    `Evaluated ${results.evaluated} open orders: ${results.filled} filled, ${results.rejected} rejected`
+  );
+  return results;
+}
+
+/**
+ * Cancels one of the player's open orders.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @param {string} playerId - Appwrite user ID of the player
+ * @param {string} orderId - ID of the order to cancel
+ * @returns {Promise<Object>} - The cancelled order
+ */
+export async function cancelOrder(databases, config, playerId, orderId) {
+  // Under the player's lock, so an evaluation cannot fill the order meanwhile
+  return withLock(databases, config, playerId, async () => {
+    const response = await databases.listDocuments(
+      config.databaseId,
+      config.ordersCollection,
+      [
+        Query.equal('$id', orderId),
+        Query.equal('player_id', playerId),
+        Query.limit(1),
+      ]
+    );
+    const order = response.documents[0];
+
+    if (!order) {
+      throw tradingError(`Order not found: ${orderId}`, 404);
+    }
+    if (order.status !== 'open') {
+      throw tradingError(
+        `Order ${orderId} is ${order.status} and cannot be cancelled`,
+        409
+      );
+    }
+
+    return databases.updateDocument(
+      config.databaseId,
+      config.ordersCollection,
+      order.$id,
+      {
+        status: 'cancelled',
+      }
+    );
+  });
+}
+
+/**
+ * Lists the player's orders, newest first, optionally filtered by status.
+ *
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @param {string} playerId - Appwrite user ID of the player
+ * @param {string} [status] - Optional order status filter
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listOrders(databases, config, playerId, status) {
+  const queries = [
+    Query.equal('player_id', playerId),
+    Query.orderDesc('created_at'),
+    Query.limit(PAGE_SIZE),
+  ];
+  if (status) {
+    queries.push(Query.equal('status', status));
+  }
+
+  const response = await databases.listDocuments(
+    config.databaseId,
+    config.ordersCollection,
+    queries
+  );
+  return response.documents;
+}
@@ -0,0 +1,388 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+
+import {
+  MemoryClient,
+  MemoryDatabases,
+  createContext,
+  createRequest,
+  createResponse,
+} from '../../../test/harness/index.js';
+import { playerLockId } from '../src/locks.js';
+import handler from '../src/main.js';
+
+const INTERNAL = { 'x-market-internal-key': 'internal' };
+
+describe('handler', () => {
+  let databases;
+  let client;
+
+  beforeEach(() => {
+    Object.assign(process.env, {
+      INGAME_STOCK_DATABASE_ID: 'db',
+      INGAME_STOCK_COLLECTION: 'stocks',
+      ORDERS_COLLECTION: 'orders',
+      TRADES_COLLECTION: 'trades',
+      HOLDINGS_COLLECTION: 'holdings',
+      PLAYERS_COLLECTION: 'players',
+      MARKET_INTERNAL_KEY: 'internal',
+    });
+    databases = new MemoryDatabases({
+      'db/stocks': [{ $id: 'acme', ticker_symbol: 'ACME', price: '100' }],
+    });
+    client = new MemoryClient({ databases });
+  });
+
+  afterEach(() => {
+    delete process.env.MARKET_INTERNAL_KEY;
+    delete process.env.MARKET_CONTROL_COLLECTION;
+    delete process.env.PLAYER_LOCKS_COLLECTION;
+  });
+
+  const call = (method, path, { body = {}, headers = {} } = {}) =>
+    handler({
+      req: createRequest({
+        method,
+        path,
+        body: JSON.stringify(body),
+        headers,
+      }),
+      res: createResponse(),
+      context: createContext(),
+      client,
+    });
+
+  const order = (body, userId = 'alice') =>
+    call('POST', '/orders', {
+      body,
+      headers: { 'x-appwrite-user-id': userId },
+    });
+
+  const evaluate = (headers = INTERNAL) =>
+    call('POST', '/orders/evaluate', { headers });
+
+  const setPrice = (price) =>
+    databases.updateDocument('db', 'stocks', 'acme', { price });
+
+  const cash = (playerId = 'alice') =>
+    databases
+      .documents('db', 'players')
+      .find((player) => player.player_id === playerId).cash;
+
+  const holding = (playerId = 'alice') =>
+    databases
+      .documents('db', 'holdings')
+      .find((doc) => doc.player_id === playerId) ?? null;
+
+  it('fills a market order at the current price', async () => {
+    const response = await order({ ticker: 'acme', side: 'buy', quantity: 10 });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.order.status, 'filled');
+    assert.equal(response.body.trade.total, 1000);
+    assert.equal(cash(), 9000);
+    assert.equal(holding().quantity, 10);
+    assert.equal(holding().average_cost, 100);
+  });
+
+  it('fills under the player lock', async () => {
+    process.env.PLAYER_LOCKS_COLLECTION = 'locks';
+    // Left behind by a crashed execution
+    await databases.createDocument('db', 'locks', playerLockId('alice'), {
+      player_id: 'alice',
+      expires_at: new Date(Date.now() - 1000).toISOString(),
+    });
+
+    const response = await order({ ticker: 'ACME', side: 'buy', quantity: 10 });
+
+    assert.equal(response.body.order.status, 'filled');
+    assert.equal(cash(), 9000);
+    assert.equal(databases.documents('db', 'locks').length, 0);
+  });
+
+  it('rejects an order the player cannot cover without storing it', async () => {
+    const response = await order({
+      ticker: 'ACME',
+      side: 'buy',
+      quantity: 101,
+    });
+
+    assert.equal(response.statusCode, 422);
+    assert.equal(databases.documents('db', 'orders').length, 0);
+  });
+
+  it('fills an open buy limit once the price falls to the limit', async () => {
+    const placed = await order({
+      ticker: 'ACME',
+      side: 'buy',
+      type: 'limit',
+      quantity: 10,
+      limit_price: 95,
+    });
+    assert.equal(placed.body.order.status, 'open');
+    assert.equal(placed.body.trade, null);
+
+    await setPrice('96');
+    assert.equal((await evaluate()).body.filled, 0);
+
+    await setPrice('94');
+    const response = await evaluate();
+
+    assert.equal(response.body.filled, 1);
+    const [stored] = databases.documents('db', 'orders');
+    assert.equal(stored.status, 'filled');
+    assert.equal(stored.filled_price, 94);
+    assert.equal(cash(), 9060);
+    assert.equal(holding().quantity, 10);
+  });
+
+  it('fills an open sell limit once the price rises to the limit', async () => {
+    await order({ ticker: 'ACME', side: 'buy', quantity: 10 });
+    await order({
+      ticker: 'ACME',
+      side: 'sell',
+      type: 'limit',
+      quantity: 10,
+      limit_price: 110,
+    });
+
+    await setPrice('109.99');
+    assert.equal((await evaluate()).body.filled, 0);
+
+    await setPrice('112');
+    assert.equal((await evaluate()).body.filled, 1);
+    assert.equal(cash(), 10120);
+    assert.equal(holding(), null);
+  });
+
+  it('rejects open orders the player can no longer cover', async () => {
+    await order({
+      ticker: 'ACME',
+      side: 'buy',
+      type: 'limit',
+      quantity: 100,
+      limit_price: 95,
+    });
+    await order({ ticker: 'ACME', side: 'buy', quantity: 50 });
+
+    await setPrice('90');
+    const response = await evaluate();
+
+    assert.equal(response.body.rejected, 1);
+    const open = databases
+      .documents('db', 'orders')
+      .find((doc) => doc.type === 'limit');
+    assert.equal(open.status, 'rejected');
+    assert.match(open.reason, /^Insufficient cash/);
+  });
+
+  it('rejects orders in halted and delisted stocks while others still fill', async () => {
+    await databases.createDocument('db', 'stocks', 'bolt', {
+      ticker_symbol: 'BOLT',
+      price: '20',
+      status: 'halted',
+    });
+    await databases.createDocument('db', 'stocks', 'gone', {
+      ticker_symbol: 'GONE',
+      price: '5',
+      status: 'delisted',
+    });
+
+    const halted = await order({ ticker: 'BOLT', side: 'buy', quantity: 1 });
+    assert.equal(halted.statusCode, 409);
+    assert.equal(halted.body.error, 'Trading in BOLT is halted');
+
+    const delisted = await order({ ticker: 'GONE', side: 'buy', quantity: 1 });
+    assert.equal(delisted.statusCode, 422);
+    assert.equal(delisted.body.error, 'GONE is delisted');
+
+    const active = await order({ ticker: 'ACME', side: 'buy', quantity: 1 });
+    assert.equal(active.body.order.status, 'filled');
+    assert.equal(databases.documents('db', 'orders').length, 1);
+  });
+
+  it('holds open orders in a halted stock and rejects them once delisted', async () => {
+    await databases.createDocument('db', 'stocks', 'bolt', {
+      ticker_symbol: 'BOLT',
+      price: '20',
+    });
+    const limit = (ticker, limitPrice) =>
+      order({
+        ticker,
+        side: 'buy',
+        type: 'limit',
+        quantity: 10,
+        limit_price: limitPrice,
+      });
+    await limit('BOLT', 15);
+    await limit('ACME', 95);
+
+    await databases.updateDocument('db', 'stocks', 'bolt', {
+      price: '14',
+      status: 'halted',
+    });
+    await setPrice('94');
+    const whileHalted = await evaluate();
+
+    assert.equal(whileHalted.body.filled, 1);
+    assert.equal(whileHalted.body.rejected, 0);
+    const status = (ticker) =>
+      databases
+        .documents('db', 'orders')
+        .find((doc) => doc.ticker_symbol === ticker).status;
+    assert.equal(status('ACME'), 'filled');
+    assert.equal(status('BOLT'), 'open');
+
+    await databases.updateDocument('db', 'stocks', 'bolt', {
+      status: 'delisted',
+    });
+    const afterDelisting = await evaluate();
+
+    assert.equal(afterDelisting.body.rejected, 1);
+    assert.equal(status('BOLT'), 'rejected');
+    assert.equal(cash(), 9060);
+  });
+
+  it('leaves open orders alone while the market is paused', async () => {
+    process.env.MARKET_CONTROL_COLLECTION = 'control';
+    await order({
+      ticker: 'ACME',
+      side: 'buy',
+      type: 'limit',
+      quantity: 10,
+      limit_price: 95,
+    });
+    await databases.createDocument('db', 'control', 'market', {
+      paused: true,
+    });
+    await setPrice('90');
+
+    const paused = await evaluate();
+    assert.equal(paused.statusCode, 200);
+    assert.equal(paused.body.paused, true);
+    assert.equal(paused.body.filled, 0);
+    assert.equal(databases.documents('db', 'orders')[0].status, 'open');
+
+    const placed = await order({ ticker: 'ACME', side: 'buy', quantity: 1 });
+    assert.equal(placed.statusCode, 409);
+    assert.equal(placed.body.error, 'Market is paused');
+
+    await databases.updateDocument('db', 'control', 'market', {
+      paused: false,
+    });
+    const resumed = await evaluate();
+
+    assert.equal(resumed.body.filled, 1);
+    assert.equal(databases.documents('db', 'orders')[0].status, 'filled');
+    assert.equal(databases.documents('db', 'orders')[0].filled_price, 90);
+    assert.equal(cash(), 9100);
+  });
+
+  it('fills an order once when evaluations overlap', async () => {
+    process.env.PLAYER_LOCKS_COLLECTION = 'locks';
+    await order({
+      ticker: 'ACME',
+      side: 'buy',
+      type: 'limit',
+      quantity: 10,
+      limit_price: 95,
+    });
+    await setPrice('94');
+
+    const responses = await Promise.all([evaluate(), evaluate()]);
+
+    assert.equal(
+      responses.reduce((sum, response) => sum + response.body.filled, 0),
+      1
+    );
+    assert.equal(databases.documents('db', 'trades').length, 1);
+    assert.equal(databases.documents('db', 'orders')[0].status, 'filled');
+    assert.equal(cash(), 9060);
+  });
+
+  it('rejects a market order whose fill fails', async (t) => {
+    const update = databases.updateDocument.bind(databases);
+    t.mock.method(databases, 'updateDocument', (...args) => {
+      if (args[1] === 'players') {
+        throw new Error('Network error');
+      }
+      return update(...args);
+    });
+
+    const response = await order({ ticker: 'ACME', side: 'buy', quantity: 10 });
+
+    assert.equal(response.statusCode, 500);
+    const [stored] = databases.documents('db', 'orders');
+    assert.equal(stored.status, 'rejected');
+    assert.equal(stored.reason, 'Network error');
+    assert.equal(databases.documents('db', 'trades').length, 0);
+    assert.equal(holding(), null);
+    assert.equal(cash(), 10000);
+  });
+
+  it('keeps evaluating when an order cannot be rejected', async (t) => {
+    await databases.createDocument('db', 'stocks', 'bolt', {
+      ticker_symbol: 'BOLT',
+      price: '20',
+    });
+    const limit = (ticker, limitPrice) =>
+      order({
+        ticker,
+        side: 'buy',
+        type: 'limit',
+        quantity: 10,
+        limit_price: limitPrice,
+      });
+    await limit('BOLT', 15);
+    await limit('ACME', 95);
+    await databases.updateDocument('db', 'stocks', 'bolt', {
+      status: 'delisted',
+    });
+    await setPrice('94');
+    const update = databases.updateDocument.bind(databases);
+    t.mock.method(databases, 'updateDocument', (...args) => {
+      if (args[3]?.status === 'rejected') {
+        throw new Error('Network error');
+      }
+      return update(...args);
+    });
+
+    const response = await evaluate();
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.filled, 1);
+    assert.equal(response.body.rejected, 0);
+    const status = (ticker) =>
+      databases
+        .documents('db', 'orders')
+        .find((doc) => doc.ticker_symbol === ticker).status;
+    assert.equal(status('BOLT'), 'open');
+    assert.equal(status('ACME'), 'filled');
+  });
+
+  it('only evaluates orders for the market itself', async () => {
+    assert.equal((await evaluate({})).statusCode, 401);
+    assert.equal(
+      (await evaluate({ 'x-market-internal-key': 'guess' })).statusCode,
+      401
+    );
+    assert.equal(
+      (await evaluate({ 'x-appwrite-user-id': 'alice' })).statusCode,
+      401
+    );
+    assert.equal((await evaluate()).statusCode, 200);
+    assert.equal(
+      (await evaluate({ 'x-appwrite-trigger': 'schedule' })).statusCode,
+      200
+    );
+
+    delete process.env.MARKET_INTERNAL_KEY;
+    assert.equal((await evaluate()).statusCode, 401);
+  });
+
+  it('requires a player for the order routes', async () => {
+    const response = await call('GET', '/orders');
+
+    assert.equal(response.statusCode, 401);
+  });
+});
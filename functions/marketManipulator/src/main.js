@@ -1,78 +1,309 @@
 import pkg from 'node-appwrite';
-const { Client, Databases } = pkg;
+import { createWebhookAlertSink, startRun } from './observability.js';
+import { parseDocument, serializeDocument } from './schema.js';
+const { Client, Databases, Query } = pkg;
+
+/**
+ * Real-world market segments and the ETFs that represent them.
+ * A manipulator is computed for each segment so in-game stocks can follow
+ * the part of the real market they are mapped to, alongside the overall
+ * "market" manipulator computed from every symbol.
+ */
+const SEGMENTS = {
+  equities: ['SPY', 'QQQ', 'IVV', 'VTI', 'VOO', 'ARKK'],
+  bonds: ['BND', 'TLT', 'LQD'],
+  commodities: ['GLD'],
+  international: ['EFA', 'VEA', 'VWO'],
+  sectors: ['XLF', 'XLK'],
+};
+
+/**
+ * Approximate fund size in billions of USD, used as the weight when the
+ * "cap" weighting mode is selected.
+ */
+const CAP_WEIGHTS = {
+  SPY: 500,
+  QQQ: 250,
+  IVV: 450,
+  VTI: 380,
+  VOO: 450,
+  ARKK: 6,
+  BND: 110,
+  TLT: 50,
+  LQD: 30,
+  GLD: 60,
+  EFA: 50,
+  VEA: 120,
+  VWO: 80,
+  XLF: 40,
+  XLK: 65,
+};
+
+const MARKET_SEGMENT = 'market';
+
+// Documents per listDocuments page
+const PAGE_SIZE = 100;
+
+/**
+ * Asset classes left out of the market-wide average. Crypto moves several
+ * times as much as the rest of the market and trades on weekends, so it only
+ * drives its own segment.
+ */
+const SEGMENT_ONLY_ASSET_CLASSES = ['crypto'];
+
+/**
+ * Largest manipulator the default curve produces; smoothed values are clamped
+ * to the curve's maximum.
+ */
+const MAX_MANIPULATOR = 5;
+
+/**
+ * Curves mapping the average market change to a manipulator:
+ * - piecewise: linear interpolation between (change, manipulator) thresholds
+ * - amplified: the piecewise value times `multiplier`
+ * - logarithmic: `logScale * ln(1 + |change|)`, dampening large moves
+ * - contrarian: the piecewise value with its sign inverted
+ * Every curve keeps the sign of the change (inverted for contrarian) and is
+ * capped at `max`.
+ */
+const CURVE_TYPES = ['piecewise', 'amplified', 'logarithmic', 'contrarian'];
+
+/**
+ * The original tiers: 0-2% maps to 0.1-1.5%, 2-5% to 1.5-3%, 5-10% to 3-5%
+ * and anything larger to 5%.
+ */
+const DEFAULT_CURVE = {
+  type: 'piecewise',
+  thresholds: [[0, 0.1], [2, 1.5], [5, 3], [10, 5]],
+  multiplier: 1.5,
+  logScale: 1.5,
+  max: MAX_MANIPULATOR
+};
+
+/**
+ * Smoothing strategies applied to the freshly computed ("raw") manipulator:
+ * - none: the raw value is used as-is
+ * - ema: exponential moving average over the last N days (alpha = 2 / (N + 1))
+ * - momentum: adds `factor` times the average raw value of the last N days,
+ *   so sustained moves keep building
+ * - mean_reversion: subtracts `factor` times that average, fading sustained
+ *   moves back towards zero
+ */
+export const SMOOTHING_STRATEGIES = ['none', 'ema', 'momentum', 'mean_reversion'];
+
+/**
+ * How quotes generated by FetchesRealWorldStocks' mock market (is_real false)
+ * are treated: a manipulator is only computed when at least `minRealRatio` of
+ * the valid symbols carry real quotes, and mock quotes count `mockWeight` times
+ * as much as real ones in the average (0 leaves them out). Quotes stored before
+ * the provenance attributes existed count as real.
+ */
+const DEFAULT_PROVENANCE = {
+  minRealRatio: 0.5,
+  mockWeight: 0
+};
 
 /**
  * Main function that orchestrates the market manipulation process.
  * This function:
  * 1. Initializes the Appwrite client
  * 2. Fetches real-world stock market data
- * 3. Processes price changes and calculates the average market change
- * 4. Determines the market manipulation factor
- * 5. Updates the database with the new manipulator value
+ * 3. Processes price changes and calculates the average change for the whole
+ *    market (leaving out SEGMENT_ONLY_ASSET_CLASSES) and for each segment in
+ *    SEGMENTS, failing when too few of the quotes are real rather than mock
+ *    data (see DEFAULT_PROVENANCE)
+ * 4. Determines the market manipulation factor for each of them, using the
+ *    curve from the settings document
+ * 5. Smooths each manipulator against its history when configured
+ * 6. Updates the database with one manipulator document per segment and
+ *    appends every computed manipulator to the history collection
+ * 7. Stores a run record and alerts on failures, extreme manipulators and
+ *    mock data (see src/observability.js)
+ * 
+ * GET /dry-run computes the manipulators every curve would produce for
+ * today's data and returns them without writing anything.
  * 
  * Database structure: 
  * manipulator: String
+ * segment: String ("market" or a key of SEGMENTS)
+ * locked: Boolean (optional, set by MarketAdmin; locked segments are not updated)
  * UpdateTime: datetime
  * 
  * @param {Object} req - The HTTP request object
  * @param {Object} res - The HTTP response object
  * @param {Object} context - Function context with logging methods
+ * @param {Object} [client] - Appwrite client to use instead of a new one (tests)
  * @returns {Promise<void>}
  */
-export default async ({ req, res, context }) => {
-  // Add fallback logging methods if context is undefined
-  const logger = {
-    log: (msg) => context?.log?.(msg) ?? console.log(msg),
-    error: (msg) => context?.error?.(msg) ?? console.error(msg),
-    warn: (msg) => context?.warn?.(msg) ?? console.warn(msg)
-  };
+export default async ({ req, res, context, client }) => {
+  client ??= new Client()
+    .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+    .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+    .setKey(req.headers['x-appwrite-key'] ?? '');
 
-  try {
-    const client = new Client()
-      .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
-      .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
-      .setKey(req.headers['x-appwrite-key'] ?? '');
+  // Initialize the database with the configured client
+  const databases = new Databases(client);
+  const dryRun = req.path === '/dry-run';
 
-    // Initialize the database with the configured client
-    const databases = new Databases(client);
+  // JSON log lines tagged with this execution. Every run except a dry run
+  // leaves a run record and alerts on failures and anomalies.
+  const run = startRun({
+    functionName: 'marketManipulator',
+    context,
+    databases,
+    databaseId: process.env.APPWRITE_FUNCTION_DATABASE_ID,
+    runsCollection: dryRun ? undefined : process.env.APPWRITE_FUNCTION_RUN_RECORDS_COLLECTION_ID,
+    alertSink: dryRun ? null : createWebhookAlertSink(process.env.ALERT_WEBHOOK_URL)
+  });
+  const logger = run.logger;
+  const alertThreshold = Number(process.env.ALERT_MANIPULATOR_THRESHOLD ?? 4);
+  let fetched = null;
 
+  try {
     const config = {
       setup: {
         "databaseId": process.env.APPWRITE_FUNCTION_DATABASE_ID,
         "realWorldCollection": process.env.APPWRITE_FUNCTION_REALWORLD_COLLECTION_ID,
         "inGameMarketCollection": process.env.APPWRITE_FUNCTION_MARKET_COLLECTION_ID,
-        "manipulatorCollection": process.env.APPWRITE_FUNCTION_MANIPULATOR_COLLECTION_ID
+        "manipulatorCollection": process.env.APPWRITE_FUNCTION_MANIPULATOR_COLLECTION_ID,
+        // Optional: tracked tickers managed by FetchesRealWorldStocks
+        "watchlistCollection": process.env.APPWRITE_FUNCTION_WATCHLIST_COLLECTION_ID,
+        // Optional: audit trail of every computed manipulator, needed for smoothing
+        "historyCollection": process.env.APPWRITE_FUNCTION_MANIPULATOR_HISTORY_COLLECTION_ID,
+        // Optional: settings document selecting and tuning the manipulator curve
+        "settingsCollection": process.env.APPWRITE_FUNCTION_SETTINGS_COLLECTION_ID,
+        "settingsDocument": process.env.MANIPULATOR_SETTINGS_DOCUMENT_ID || 'manipulator'
+      },
+      // "equal" (default), "volume", "cap" or "watchlist"
+      weighting: process.env.MANIPULATOR_WEIGHTING || 'equal',
+      smoothing: {
+        // "none" (default), "ema", "momentum" or "mean_reversion"
+        strategy: process.env.MANIPULATOR_SMOOTHING || 'none',
+        days: parseInt(process.env.MANIPULATOR_SMOOTHING_DAYS ?? '5', 10),
+        factor: parseFloat(process.env.MANIPULATOR_SMOOTHING_FACTOR ?? '0.3')
+      },
+      provenance: {
+        minRealRatio: parseFloat(process.env.MANIPULATOR_MIN_REAL_RATIO ?? String(DEFAULT_PROVENANCE.minRealRatio)),
+        mockWeight: parseFloat(process.env.MANIPULATOR_MOCK_WEIGHT ?? String(DEFAULT_PROVENANCE.mockWeight))
       }
     };
 
+    if (!SMOOTHING_STRATEGIES.includes(config.smoothing.strategy)) {
+      throw new Error(`Unknown smoothing strategy: ${config.smoothing.strategy} (expected one of ${SMOOTHING_STRATEGIES.join(', ')})`);
+    }
+    if (!(config.smoothing.days >= 1) || !Number.isFinite(config.smoothing.factor)) {
+      throw new Error('MANIPULATOR_SMOOTHING_DAYS must be at least 1 and MANIPULATOR_SMOOTHING_FACTOR a number');
+    }
+    const { minRealRatio, mockWeight } = config.provenance;
+    if (!(minRealRatio >= 0 && minRealRatio <= 1) || !(mockWeight >= 0 && mockWeight <= 1)) {
+      throw new Error('MANIPULATOR_MIN_REAL_RATIO and MANIPULATOR_MOCK_WEIGHT must be numbers between 0 and 1');
+    }
+    if (config.smoothing.strategy !== 'none' && !config.setup.historyCollection) {
+      logger.warn('Smoothing needs APPWRITE_FUNCTION_MANIPULATOR_HISTORY_COLLECTION_ID, using raw manipulators');
+    }
+
+    const curve = await fetchCurveSettings(databases, config.setup, logger);
+
     // Step 1: Fetch the real world stock market database
-    const realWorldStockMarket = await fetchRealWorldStockMarket(databases, config.setup, logger);
+    const watchlist = await fetchWatchlist(databases, config.setup, logger);
+    const realWorldStockMarket = filterByWatchlist(
+      await fetchRealWorldStockMarket(databases, config.setup, logger),
+      watchlist,
+      logger
+    );
+    fetched = realWorldStockMarket.length;
     if (!realWorldStockMarket.length) {
       throw new Error("No stock market data available");
     }
 
-    // Step 2: Calculate the average change directly from real world data
-    const average = calculateAverageChange(realWorldStockMarket, logger);
+    // Step 2: Calculate the average change directly from real world data,
+    // refusing to go on when too much of it is mock data
+    const inputs = {
+      [MARKET_SEGMENT]: calculateChangeDetails(
+        realWorldStockMarket.filter(symbol => !SEGMENT_ONLY_ASSET_CLASSES.includes(symbol?.asset_class)),
+        logger,
+        config.weighting,
+        watchlist,
+        config.provenance
+      ),
+      ...calculateSegmentChanges(
+        realWorldStockMarket,
+        logger,
+        config.weighting,
+        buildSegments(watchlist),
+        watchlist,
+        config.provenance
+      )
+    };
 
-    // Step 3: Configure the in-game market manipulation
-    const marketManipulator = calculateMarketManipulator(average, logger);
+    // Step 3: Configure the in-game market manipulation, smoothed against the
+    // manipulators of the previous days
+    const history = await fetchManipulatorHistory(
+      databases,
+      config.setup,
+      Object.keys(inputs),
+      config.smoothing,
+      logger
+    );
 
-    // Step 4: Update the manipulator collection
-    await updateManipulatorCollection(databases, config.setup, marketManipulator, logger);
+    if (dryRun) {
+      const curves = {};
+      for (const type of CURVE_TYPES) {
+        curves[type] = formatResults(
+          computeManipulators(inputs, history, { ...curve, type }, config.smoothing, logger)
+        );
+      }
+
+      return res.json({
+        success: true,
+        dry_run: true,
+        curve: curve.type,
+        weighting: config.weighting,
+        smoothing: config.smoothing.strategy,
+        curves
+      }, 200);
+    }
+
+    const results = computeManipulators(inputs, history, curve, config.smoothing, logger);
+
+    // Step 4: Update the manipulator collection and record the history
+    const manipulators = {};
+    for (const [segment, result] of Object.entries(results)) {
+      manipulators[segment] = result.manipulator;
+    }
+    const { written, locked } = await updateManipulatorCollection(databases, config.setup, manipulators, logger);
+    await appendManipulatorHistory(databases, config.setup, results, locked, { ...config, curve }, logger);
+
+    const { manipulator: marketManipulator, average, validSymbols, realSymbols } = results[MARKET_SEGMENT];
 
     // Log success
     logger.log(`Market manipulation process completed successfully. Manipulator: ${marketManipulator.toFixed(2)}, Average change: ${average.toFixed(2)}`);
+    await run.finish({
+      status: 'ok',
+      counts: {
+        fetched,
+        mocked: validSymbols - realSymbols,
+        updated: written,
+        failed: fetched - validSymbols
+      },
+      manipulator: Number(marketManipulator.toFixed(2)),
+      anomalies: findAnomalies(results, alertThreshold)
+    });
 
     // Return success response
     return res.json({
       success: true,
-      manipulator: Number(marketManipulator.toFixed(2)),
-      average_change: Number(average.toFixed(2))
+      ...formatResults(results),
+      weighting: config.weighting,
+      smoothing: config.smoothing.strategy,
+      curve: curve.type
     }, 200);
 
   } catch (error) {
-    // Use the logger instead of context directly
     logger.error(`Market manipulation process failed: ${error.message}`);
+    if (!dryRun) {
+      await run.finish({ status: 'failed', counts: { fetched }, errors: [error.message] });
+    }
 
     return res.json({
       success: false,
@@ -81,40 +312,252 @@ export default async ({ req, res, context }) => {
   }
 };
 
+/**
+ * Lists what is worth an alert in a run's results: manipulators at least
+ * `threshold` large in either direction, and averages partly built on mock
+ * quotes.
+ * 
+ * @param {Object<string, Object>} results - computeManipulators results
+ * @param {number} threshold - Smallest manipulator magnitude counted as extreme
+ * @returns {Array<string>} - One description per anomaly
+ */
+function findAnomalies(results, threshold) {
+  const anomalies = [];
+  for (const [segment, result] of Object.entries(results)) {
+    if (Math.abs(result.manipulator) >= threshold) {
+      anomalies.push(`Extreme ${segment} manipulator ${result.manipulator.toFixed(2)} (threshold ${threshold})`);
+    }
+  }
+
+  const { validSymbols, realSymbols } = results[MARKET_SEGMENT];
+  if (realSymbols < validSymbols) {
+    anomalies.push(`${validSymbols - realSymbols} of ${validSymbols} quotes are mock data`);
+  }
+  return anomalies;
+}
+
 /**
  * Calculates the market manipulation percentage based on average market change.
- * Uses a tiered approach with different thresholds to determine manipulation levels.
+ * The curve decides how the change is mapped; the default curve is the original
+ * tiered approach with thresholds at 2%, 5% and 10%.
  * 
  * @param {number} averageChange - The average market change percentage
- * @returns {number} - The calculated market manipulator value (0.1-5%)
+ * @param {Object} logger - Logger object with logging methods
+ * @param {Object} [curve=DEFAULT_CURVE] - Curve settings: { type, thresholds, multiplier, logScale, max }
+ * @returns {number} - The calculated market manipulator value (0.1-5% with the default curve)
  */
-function calculateMarketManipulator(averageChange, logger) {
-  // Minimum manipulator value to reflect that markets always change
-  const minManipulator = 0.1;
-  let manipulator = 0;
-
+export function calculateMarketManipulator(averageChange, logger, curve = DEFAULT_CURVE) {
   // Store the sign before converting to absolute value
   const sign = Math.sign(averageChange);
   const absChange = Math.abs(averageChange);
 
-  // Set thresholds for different levels of market change
-  const normalThreshold = 2;  // 2% is considered normal
-  const highThreshold = 5;    // 5% is considered significant
-  const extremeThreshold = 10; // 10% is considered extreme
+  let manipulator;
+  switch (curve.type) {
+    case 'amplified':
+      manipulator = interpolateThresholds(absChange, curve.thresholds) * curve.multiplier;
+      break;
+    case 'logarithmic':
+      manipulator = curve.logScale * Math.log1p(absChange);
+      break;
+    case 'contrarian':
+      manipulator = -interpolateThresholds(absChange, curve.thresholds);
+      break;
+    default:
+      manipulator = interpolateThresholds(absChange, curve.thresholds);
+  }
+
+  // Cap the magnitude and apply the original sign to the manipulator value
+  const capped = Math.sign(manipulator) * Math.min(Math.abs(manipulator), curve.max);
+  return capped * sign;
+}
 
-  // Calculate the market manipulation percentage with reduced scaling
-  if (absChange <= normalThreshold) {
-    manipulator = minManipulator + ((absChange / normalThreshold) * (1.5 - minManipulator));
-  } else if (absChange <= highThreshold) {
-    manipulator = 1.5 + ((absChange - normalThreshold) / (highThreshold - normalThreshold)) * 1.5;
-  } else if (absChange <= extremeThreshold) {
-    manipulator = 3 + ((absChange - highThreshold) / (extremeThreshold - highThreshold)) * 2;
-  } else {
-    manipulator = 5;
+/**
+ * Linear interpolation between (change, manipulator) thresholds sorted by change.
+ * Changes past the last threshold map to its manipulator.
+ * 
+ * @param {number} absChange - The absolute average market change percentage
+ * @param {Array<Array<number>>} thresholds - [change, manipulator] pairs, starting at change 0
+ * @returns {number} - The interpolated manipulator magnitude
+ */
+function interpolateThresholds(absChange, thresholds) {
+  for (let i = 1; i < thresholds.length; i++) {
+    const [fromChange, fromManipulator] = thresholds[i - 1];
+    const [toChange, toManipulator] = thresholds[i];
+    if (absChange <= toChange) {
+      return fromManipulator + ((absChange - fromChange) / (toChange - fromChange)) * (toManipulator - fromManipulator);
+    }
+  }
+  return thresholds[thresholds.length - 1][1];
+}
+
+/**
+ * Computes the raw and smoothed manipulator of every segment.
+ * 
+ * @param {Object<string, Object>} inputs - calculateChangeDetails results keyed by segment
+ * @param {Object<string, Array<Object>>} history - History entries keyed by segment, newest first
+ * @param {Object} curve - Curve settings: { type, thresholds, multiplier, logScale, max }
+ * @param {Object} smoothing - Smoothing configuration: { strategy, days, factor }
+ * @param {Object} logger - Logger object with logging methods
+ * @returns {Object<string, Object>} - Inputs plus rawManipulator and manipulator, keyed by segment
+ */
+function computeManipulators(inputs, history, curve, smoothing, logger) {
+  const results = {};
+  for (const [segment, details] of Object.entries(inputs)) {
+    const rawManipulator = calculateMarketManipulator(details.average, logger, curve);
+    results[segment] = {
+      ...details,
+      rawManipulator,
+      manipulator: smoothManipulator(rawManipulator, history[segment] ?? [], smoothing, curve.max)
+    };
+  }
+  return results;
+}
+
+/**
+ * Shapes computed manipulators for the HTTP response, rounded to 2 decimals.
+ * 
+ * @param {Object<string, Object>} results - computeManipulators results
+ * @returns {Object} - The market manipulator, raw manipulator and average change,
+ *   plus the same values for each segment
+ */
+function formatResults(results) {
+  const format = (result) => ({
+    manipulator: Number(result.manipulator.toFixed(2)),
+    raw_manipulator: Number(result.rawManipulator.toFixed(2)),
+    average_change: Number(result.average.toFixed(2)),
+    real_ratio: Number((result.realSymbols / result.validSymbols).toFixed(2))
+  });
+
+  const segments = {};
+  for (const [segment, result] of Object.entries(results)) {
+    if (segment !== MARKET_SEGMENT) {
+      segments[segment] = format(result);
+    }
+  }
+
+  return { ...format(results[MARKET_SEGMENT]), segments };
+}
+
+/**
+ * Loads the curve settings document. Without a settings collection, or when the
+ * document does not exist yet, the default curve is used.
+ * 
+ * Settings structure:
+ * curve: String ("piecewise", "amplified", "logarithmic" or "contrarian")
+ * thresholds: String (JSON array of [change, manipulator] pairs)
+ * multiplier: Float
+ * log_scale: Float
+ * max_manipulator: Float
+ * 
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @param {Object} logger - Logger object with logging methods
+ * @returns {Promise<Object>} - Curve settings: { type, thresholds, multiplier, logScale, max }
+ */
+async function fetchCurveSettings(databases, config, logger) {
+  if (!config.settingsCollection) {
+    return DEFAULT_CURVE;
+  }
+
+  let doc;
+  try {
+    doc = await databases.getDocument(
+      config.databaseId,
+      config.settingsCollection,
+      config.settingsDocument
+    );
+  } catch (err) {
+    if (err.code === 404) {
+      logger.warn(`Settings document ${config.settingsDocument} not found, using the default curve`);
+      return DEFAULT_CURVE;
+    }
+    logger.error(`Error fetching manipulator settings: ${err}`);
+    throw err;
+  }
+
+  const curve = parseCurveSettings(doc);
+  logger.log(`Using ${curve.type} manipulator curve`);
+  return curve;
+}
+
+/**
+ * Validates a settings document and merges it over the default curve.
+ * 
+ * @param {Object} doc - Settings document
+ * @returns {Object} - Curve settings: { type, thresholds, multiplier, logScale, max }
+ * @throws {Error} - When a setting is invalid
+ */
+export function parseCurveSettings(doc) {
+  let thresholds = DEFAULT_CURVE.thresholds;
+  if (doc.thresholds) {
+    try {
+      thresholds = JSON.parse(doc.thresholds);
+    } catch (err) {
+      throw new Error(`Invalid thresholds: ${err.message}`);
+    }
+  }
+
+  const curve = {
+    type: doc.curve || DEFAULT_CURVE.type,
+    thresholds,
+    multiplier: doc.multiplier ?? DEFAULT_CURVE.multiplier,
+    logScale: doc.log_scale ?? DEFAULT_CURVE.logScale,
+    max: doc.max_manipulator ?? DEFAULT_CURVE.max
+  };
+
+  if (!CURVE_TYPES.includes(curve.type)) {
+    throw new Error(`Unknown manipulator curve: ${curve.type} (expected one of ${CURVE_TYPES.join(', ')})`);
+  }
+
+  const validThresholds = Array.isArray(curve.thresholds) &&
+    curve.thresholds.length >= 2 &&
+    curve.thresholds.every((point, i) =>
+      Array.isArray(point) &&
+      point.length === 2 &&
+      point.every(Number.isFinite) &&
+      (i === 0 ? point[0] === 0 : point[0] > curve.thresholds[i - 1][0])
+    );
+  if (!validThresholds) {
+    throw new Error('Invalid thresholds: expected at least two [change, manipulator] pairs starting at change 0 with increasing changes');
   }
 
-  // Apply the original sign to the manipulator value
-  return manipulator * sign;
+  for (const key of ['multiplier', 'logScale', 'max']) {
+    if (!(curve[key] > 0)) {
+      throw new Error(`Invalid ${key}: expected a positive number`);
+    }
+  }
+
+  return curve;
+}
+
+/**
+ * Lists every document of a collection matching the queries, following cursors
+ * past Appwrite's page size (25 documents when no limit is given).
+ * 
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {string} databaseId - Database ID
+ * @param {string} collectionId - Collection ID
+ * @param {Array<string>} [queries=[]] - Additional queries
+ * @returns {Promise<Array<Object>>}
+ */
+async function listAllDocuments(databases, databaseId, collectionId, queries = []) {
+  const documents = [];
+  let cursor = null;
+
+  while (true) {
+    const pageQueries = [...queries, Query.limit(PAGE_SIZE)];
+    if (cursor) {
+      pageQueries.push(Query.cursorAfter(cursor));
+    }
+
+    const response = await databases.listDocuments(databaseId, collectionId, pageQueries);
+    documents.push(...response.documents);
+
+    if (response.documents.length < PAGE_SIZE) {
+      return documents;
+    }
+    cursor = response.documents[response.documents.length - 1].$id;
+  }
 }
 
 /**
@@ -128,12 +571,13 @@ function calculateMarketManipulator(averageChange, logger) {
  */
 async function fetchRealWorldStockMarket(databases, config, logger) {
   try {
-    const response = await databases.listDocuments(
+    const documents = await listAllDocuments(
+      databases,
       config.databaseId,
       config.realWorldCollection
     );
-    logger.log(`Successfully fetched ${response.documents.length} stock market records`);
-    return response.documents;
+    logger.log(`Successfully fetched ${documents.length} stock market records`);
+    return documents;
   } catch (err) {
     logger.error(`Error fetching real world stock market database: ${err}`);
     throw err; // Re-throw to be caught by main try-catch
@@ -143,101 +587,453 @@ async function fetchRealWorldStockMarket(databases, config, logger) {
 /**
  * Calculates the average price change across all provided symbols.
  * Validates data before processing and extracts price changes in a single pass.
+ * With "volume", "cap" or "watchlist" weighting each symbol contributes in
+ * proportion to its traded volume, fund size or watchlist weight; if any weight
+ * is unavailable the average falls back to equal weighting. Mock quotes are
+ * weighted down by `provenance.mockWeight`.
  * 
  * @param {Array<Object>} symbols - Array of stock symbol objects
  * @param {Object} logger - Logger object with logging methods
+ * @param {string} [weighting='equal'] - Weighting mode: "equal", "volume", "cap" or "watchlist"
+ * @param {Object<string, Object>|null} [watchlist=null] - Watchlist entries keyed by ticker
+ * @param {Object} [provenance=DEFAULT_PROVENANCE] - { minRealRatio, mockWeight }
  * @returns {number} - The average change across all valid symbols
+ * @throws {Error} - When no symbol is valid, or too few carry real quotes
  */
-function calculateAverageChange(symbols, logger) {
-  let totalChange = 0;
-  let validSymbols = 0;
-
-  for (const symbol of symbols) {
-    // Validate the data - checking for the correct field names in the ETF data
-    if (symbol && typeof symbol.price === 'string' && typeof symbol.change_percentage === 'string') {
-      try {
-        // Convert string values to numbers and handle percentage format
-        const price = parseFloat(symbol.price);
-        // Extract numeric value from percentage string (e.g., "-1.9929%" → -1.9929)
-        const changePercentage = parseFloat(symbol.change_percentage.replace('%', ''));
-
-        if (!isNaN(price) && !isNaN(changePercentage)) {
-          totalChange += changePercentage;
-          validSymbols++;
-        } else {
-          throw new Error("Invalid numeric conversion");
-        }
-      } catch (err) {
-        logger.warn(`Error processing symbol data: ${JSON.stringify(symbol)}`);
-      }
-    } else {
-      logger.warn(`Skipping invalid symbol data: ${JSON.stringify(symbol)}`);
+export function calculateAverageChange(symbols, logger, weighting = 'equal', watchlist = null, provenance = DEFAULT_PROVENANCE) {
+  return calculateChangeDetails(symbols, logger, weighting, watchlist, provenance).average;
+}
+
+/**
+ * Calculates the average price change like calculateAverageChange and also
+ * returns the inputs that produced it, for the manipulator history.
+ * 
+ * @param {Array<Object>} symbols - Array of stock symbol objects
+ * @param {Object} logger - Logger object with logging methods
+ * @param {string} [weighting='equal'] - Weighting mode: "equal", "volume", "cap" or "watchlist"
+ * @param {Object<string, Object>|null} [watchlist=null] - Watchlist entries keyed by ticker
+ * @param {Object} [provenance=DEFAULT_PROVENANCE] - { minRealRatio, mockWeight }
+ * @returns {{average: number, validSymbols: number, realSymbols: number, contributions: Object<string, number>}}
+ *   - The average change, the number of valid symbols and of those carrying
+ *   real quotes, and each ticker's contribution to the average (its change
+ *   times its share of the weight)
+ */
+function calculateChangeDetails(symbols, logger, weighting = 'equal', watchlist = null, provenance = DEFAULT_PROVENANCE) {
+  const changes = [];
+
+  for (const stored of symbols) {
+    // Validate the data against the real-world collection's schema, which also
+    // turns the price and percentage strings (e.g. "-1.9929%") into numbers
+    let symbol;
+    try {
+      symbol = parseDocument('realWorldStock', stored);
+    } catch (err) {
+      logger.warn(`Skipping invalid symbol data: ${err.message}`);
+      continue;
     }
+
+    changes.push({
+      ticker: symbol.ticker_symbol,
+      change: symbol.change_percentage,
+      weight: getSymbolWeight(symbol, weighting, watchlist),
+      // Quotes stored without provenance predate the mock flag
+      real: symbol.is_real !== false
+    });
   }
 
+  const validSymbols = changes.length;
   if (validSymbols === 0) {
     logger.error("No valid symbols found for calculation");
     throw new Error("No valid symbols found for calculation");
   }
 
-  const average = totalChange / validSymbols;
-  logger.log(`Calculated average change: ${average.toFixed(2)}% from ${validSymbols} valid symbols`);
-  return average;
+  const realSymbols = changes.filter(({ real }) => real).length;
+  if (realSymbols / validSymbols < provenance.minRealRatio) {
+    const message = `Only ${realSymbols} of ${validSymbols} symbols carry real quotes, below the minimum real-data ratio of ${provenance.minRealRatio}`;
+    logger.error(message);
+    throw new Error(message);
+  }
+
+  let weighted = weighting !== 'equal';
+  if (weighted && changes.some(({ weight }) => !(weight > 0))) {
+    logger.warn(`Missing ${weighting} weights for some symbols, falling back to equal weighting`);
+    weighted = false;
+  }
+
+  const effectiveWeight = ({ weight, real }) =>
+    (weighted ? weight : 1) * (real ? 1 : provenance.mockWeight);
+
+  let totalChange = 0;
+  let totalWeight = 0;
+  for (const entry of changes) {
+    totalChange += entry.change * effectiveWeight(entry);
+    totalWeight += effectiveWeight(entry);
+  }
+  if (totalWeight === 0) {
+    logger.error("No real symbols found for calculation");
+    throw new Error("No real symbols found for calculation");
+  }
+
+  const contributions = {};
+  changes.forEach((entry, index) => {
+    const key = entry.ticker ?? `#${index}`;
+    contributions[key] = (contributions[key] ?? 0) + (entry.change * effectiveWeight(entry)) / totalWeight;
+  });
+
+  const average = totalChange / totalWeight;
+  logger.log(`Calculated average change: ${average.toFixed(2)}% from ${validSymbols} valid symbols (${realSymbols} real)`);
+  return { average, validSymbols, realSymbols, contributions };
+}
+
+/**
+ * Returns the weight of a symbol for the given weighting mode.
+ * 
+ * @param {Object} symbol - Real-world stock document
+ * @param {string} weighting - Weighting mode: "equal", "volume", "cap" or "watchlist"
+ * @param {Object<string, Object>|null} watchlist - Watchlist entries keyed by ticker
+ * @returns {number} - The weight, or NaN when it cannot be determined
+ */
+function getSymbolWeight(symbol, weighting, watchlist) {
+  switch (weighting) {
+    case 'volume':
+      return parseFloat(symbol.volume);
+    case 'cap':
+      return CAP_WEIGHTS[symbol.ticker_symbol] ?? NaN;
+    case 'watchlist':
+      return Number(watchlist?.[symbol.ticker_symbol]?.weight ?? NaN);
+    default:
+      return 1;
+  }
 }
 
 /**
- * Updates or creates a document in the manipulator collection with the new value.
- * If a document already exists, it updates it; otherwise, it creates a new one.
+ * Calculates the average change of every segment, with its inputs.
+ * Segments without any valid symbol, or with too few real quotes, are left
+ * out of the result.
+ * 
+ * @param {Array<Object>} symbols - Array of stock symbol objects
+ * @param {Object} logger - Logger object with logging methods
+ * @param {string} weighting - Weighting mode: "equal", "volume", "cap" or "watchlist"
+ * @param {Object<string, Array<string>>} [segments=SEGMENTS] - Tickers keyed by segment
+ * @param {Object<string, Object>|null} [watchlist=null] - Watchlist entries keyed by ticker
+ * @param {Object} [provenance=DEFAULT_PROVENANCE] - { minRealRatio, mockWeight }
+ * @returns {Object<string, Object>} - calculateChangeDetails results keyed by segment
+ */
+function calculateSegmentChanges(symbols, logger, weighting, segments = SEGMENTS, watchlist = null, provenance = DEFAULT_PROVENANCE) {
+  const averages = {};
+
+  for (const [segment, tickers] of Object.entries(segments)) {
+    const segmentSymbols = symbols.filter(symbol => tickers.includes(symbol?.ticker_symbol));
+    if (segmentSymbols.length === 0) {
+      logger.warn(`No real world data available for segment: ${segment}`);
+      continue;
+    }
+
+    try {
+      averages[segment] = calculateChangeDetails(segmentSymbols, logger, weighting, watchlist, provenance);
+    } catch (err) {
+      logger.warn(`Skipping segment ${segment}: ${err.message}`);
+    }
+  }
+
+  return averages;
+}
+
+/**
+ * Fetches the tracked-ticker watchlist maintained by FetchesRealWorldStocks.
  * 
  * @param {Object} databases - The Appwrite Databases instance
  * @param {Object} config - Configuration object containing database and collection IDs
- * @param {number} marketManipulator - The calculated market manipulator value
  * @param {Object} logger - Logger object with logging methods
- * @returns {Promise<boolean>} - True if the update was successful, false otherwise
+ * @returns {Promise<Object<string, Object>|null>} - Entries keyed by ticker, or null
+ *   when no watchlist is configured or it is empty
  */
-async function updateManipulatorCollection(databases, config, marketManipulator, logger) {
+async function fetchWatchlist(databases, config, logger) {
+  if (!config.watchlistCollection) {
+    return null;
+  }
+
+  try {
+    const documents = await listAllDocuments(
+      databases,
+      config.databaseId,
+      config.watchlistCollection
+    );
+    if (documents.length === 0) {
+      logger.warn('Watchlist is empty, using all real world data and default segments');
+      return null;
+    }
+
+    const watchlist = {};
+    for (const doc of documents) {
+      watchlist[doc.ticker] = {
+        category: doc.category,
+        weight: doc.weight,
+        enabled: doc.enabled !== false
+      };
+    }
+    logger.log(`Loaded ${documents.length} watchlist entries`);
+    return watchlist;
+  } catch (err) {
+    logger.error(`Error fetching watchlist: ${err}`);
+    throw err;
+  }
+}
+
+/**
+ * Keeps only the real-world symbols that are enabled on the watchlist.
+ * Disabled tickers keep their last stored quote, so they must be dropped here.
+ * 
+ * @param {Array<Object>} symbols - Array of stock symbol objects
+ * @param {Object<string, Object>|null} watchlist - Watchlist entries keyed by ticker
+ * @param {Object} logger - Logger object with logging methods
+ * @returns {Array<Object>} - The tracked symbols
+ */
+function filterByWatchlist(symbols, watchlist, logger) {
+  if (!watchlist) {
+    return symbols;
+  }
+
+  const tracked = symbols.filter(symbol => watchlist[symbol?.ticker_symbol]?.enabled);
+  if (tracked.length < symbols.length) {
+    logger.log(`Ignoring ${symbols.length - tracked.length} symbols not enabled on the watchlist`);
+  }
+  return tracked;
+}
+
+/**
+ * Groups watchlist tickers into segments by their category.
+ * Without a watchlist the built-in SEGMENTS are used.
+ * 
+ * @param {Object<string, Object>|null} watchlist - Watchlist entries keyed by ticker
+ * @returns {Object<string, Array<string>>} - Tickers keyed by segment
+ */
+function buildSegments(watchlist) {
+  if (!watchlist) {
+    return SEGMENTS;
+  }
+
+  const segments = {};
+  for (const [ticker, entry] of Object.entries(watchlist)) {
+    if (entry.enabled && entry.category && entry.category !== MARKET_SEGMENT) {
+      (segments[entry.category] ??= []).push(ticker);
+    }
+  }
+  return segments;
+}
+
+/**
+ * Updates or creates one document per segment in the manipulator collection.
+ * Documents are matched on their `segment` attribute; a legacy document without
+ * a segment is treated as the overall "market" manipulator.
+ * 
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @param {Object<string, number>} manipulators - Manipulator values keyed by segment
+ * @param {Object} logger - Logger object with logging methods
+ * @returns {Promise<Object>} - { written, locked }: the number of documents
+ *   written, and the values kept for the locked segments, which are left out
+ */
+async function updateManipulatorCollection(databases, config, manipulators, logger) {
   try {
-    // Format the manipulator as a number with 2 decimal precision
-    const manipulatorValue = Number(marketManipulator.toFixed(2));
     // Get current date and time
     const timestamp = new Date().toISOString();
 
-    // Query to check if a document already exists
-    const existingDocuments = await databases.listDocuments(
+    // Fetch the existing documents once and index them by segment
+    const existingDocuments = await listAllDocuments(
+      databases,
       config.databaseId,
       config.manipulatorCollection
     );
+    const documentsBySegment = {};
+    for (const doc of existingDocuments) {
+      documentsBySegment[doc.segment ?? MARKET_SEGMENT] ??= doc;
+    }
+
+    let written = 0;
+    const locked = {};
+    for (const [segment, marketManipulator] of Object.entries(manipulators)) {
+      // The schema stores the manipulator as a string with 2 decimals
+      const manipulatorValue = Number(marketManipulator.toFixed(2));
+      const data = serializeDocument('dailyManipulator', {
+        manipulator: marketManipulator,
+        segment,
+        UpdateTime: timestamp
+      });
+
+      if (documentsBySegment[segment]?.locked) {
+        // Overridden and locked through MarketAdmin
+        logger.warn(`Manipulator for ${segment} is locked, keeping ${documentsBySegment[segment].manipulator} instead of ${manipulatorValue}`);
+        locked[segment] = Number(documentsBySegment[segment].manipulator);
+        continue;
+      }
+
+      if (documentsBySegment[segment]) {
+        // Update existing document
+        await databases.updateDocument(
+          config.databaseId,
+          config.manipulatorCollection,
+          documentsBySegment[segment].$id,
+          data
+        );
+        logger.log(`Manipulator document for ${segment} updated with value: ${manipulatorValue}`);
+      } else {
+        // Create new document if none exists
+        await databases.createDocument(
+          config.databaseId,
+          config.manipulatorCollection,
+          'unique()',
+          data
+        );
+        logger.log(`New manipulator document for ${segment} created with value: ${manipulatorValue}`);
+      }
+      written++;
+    }
+
+    return { written, locked };
+  } catch (err) {
+    logger.error(`Error updating manipulator collection: ${err.message}`);
+    throw err;
+  }
+}
+
+/**
+ * Applies the configured smoothing strategy to a freshly computed manipulator.
+ * Without history the raw value is returned unchanged.
+ * 
+ * @param {number} rawManipulator - Manipulator computed from today's market data
+ * @param {Array<Object>} history - Previous history entries of the segment, newest first
+ * @param {Object} smoothing - Smoothing configuration: { strategy, days, factor }
+ * @param {number} [maxManipulator=MAX_MANIPULATOR] - Largest allowed magnitude
+ * @returns {number} - The manipulator to apply, within ±maxManipulator
+ */
+export function smoothManipulator(rawManipulator, history, smoothing, maxManipulator = MAX_MANIPULATOR) {
+  const recent = history.slice(0, Math.max(1, smoothing.days));
+  if (smoothing.strategy === 'none' || recent.length === 0) {
+    return rawManipulator;
+  }
+
+  let smoothed;
+  switch (smoothing.strategy) {
+    case 'ema': {
+      const alpha = 2 / (Math.max(1, smoothing.days) + 1);
+      smoothed = alpha * rawManipulator + (1 - alpha) * recent[0].manipulator;
+      break;
+    }
+    case 'momentum':
+    case 'mean_reversion': {
+      const trend = recent.reduce((sum, entry) => sum + entry.raw_manipulator, 0) / recent.length;
+      const direction = smoothing.strategy === 'momentum' ? 1 : -1;
+      smoothed = rawManipulator + direction * smoothing.factor * trend;
+      break;
+    }
+    default:
+      smoothed = rawManipulator;
+  }
+
+  return Math.max(-maxManipulator, Math.min(maxManipulator, smoothed));
+}
+
+/**
+ * Fetches the most recent history entries of each segment, newest first.
+ * Nothing is fetched when no history collection is configured or smoothing is off.
+ * 
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @param {Array<string>} segments - Segments to fetch the history of
+ * @param {Object} smoothing - Smoothing configuration: { strategy, days, factor }
+ * @param {Object} logger - Logger object with logging methods
+ * @returns {Promise<Object<string, Array<Object>>>} - History entries keyed by segment
+ */
+async function fetchManipulatorHistory(databases, config, segments, smoothing, logger) {
+  if (!config.historyCollection || smoothing.strategy === 'none') {
+    return {};
+  }
 
-    if (existingDocuments.documents.length > 0) {
-      // Update existing document
-      const docId = existingDocuments.documents[0].$id;
-      await databases.updateDocument(
+  try {
+    const history = {};
+    for (const segment of segments) {
+      const response = await databases.listDocuments(
         config.databaseId,
-        config.manipulatorCollection,
-        docId,
-        {
-          manipulator: manipulatorValue.toString(),
-          UpdateTime: timestamp
-        }
+        config.historyCollection,
+        [
+          Query.equal('segment', segment),
+          Query.orderDesc('computed_at'),
+          Query.limit(Math.max(1, smoothing.days))
+        ]
       );
-      logger.log(`Manipulator document updated with value: ${manipulatorValue}`);
-    } else {
-      // Create new document if none exists
+      history[segment] = response.documents;
+    }
+    return history;
+  } catch (err) {
+    logger.error(`Error fetching manipulator history: ${err}`);
+    throw err;
+  }
+}
+
+/**
+ * Appends one history document per segment with the manipulator and the inputs
+ * it was computed from. For a locked segment the locked value is recorded as
+ * the manipulator, since that is the one applied (and smoothed against on the
+ * next run); raw_manipulator still holds the computed value.
+ * 
+ * History structure:
+ * segment: String
+ * manipulator: Float (the value applied, after smoothing)
+ * raw_manipulator: Float
+ * average_change: Float
+ * valid_symbols: Integer
+ * real_symbols: Integer (valid symbols carrying real quotes, not mock ones)
+ * contributions: String (JSON object of per-ticker contributions to the average)
+ * weighting: String
+ * smoothing: String
+ * curve: String
+ * computed_at: datetime
+ * 
+ * @param {Object} databases - The Appwrite Databases instance
+ * @param {Object} config - Configuration object containing database and collection IDs
+ * @param {Object<string, Object>} results - Manipulators and their inputs keyed by segment
+ * @param {Object<string, number>} locked - Values kept for the locked segments
+ * @param {Object} options - Function configuration holding weighting, smoothing and curve
+ * @param {Object} logger - Logger object with logging methods
+ * @returns {Promise<void>}
+ */
+async function appendManipulatorHistory(databases, config, results, locked, options, logger) {
+  if (!config.historyCollection) {
+    return;
+  }
+
+  try {
+    const timestamp = new Date().toISOString();
+
+    for (const [segment, result] of Object.entries(results)) {
+      const contributions = {};
+      for (const [ticker, contribution] of Object.entries(result.contributions)) {
+        contributions[ticker] = Number(contribution.toFixed(4));
+      }
+
       await databases.createDocument(
         config.databaseId,
-        config.manipulatorCollection,
+        config.historyCollection,
         'unique()',
         {
-          manipulator: manipulatorValue.toString(),
-          UpdateTime: timestamp
+          segment,
+          manipulator: Number((locked[segment] ?? result.manipulator).toFixed(2)),
+          raw_manipulator: Number(result.rawManipulator.toFixed(2)),
+          average_change: Number(result.average.toFixed(4)),
+          valid_symbols: result.validSymbols,
+          real_symbols: result.realSymbols,
+          contributions: JSON.stringify(contributions),
+          weighting: options.weighting,
+          smoothing: options.smoothing.strategy,
+          curve: options.curve.type,
+          computed_at: timestamp
         }
       );
-      logger.log(`New manipulator document created with value: ${manipulatorValue}`);
     }
-
-    return true;
+    logger.log(`Appended ${Object.keys(results).length} manipulator history entries`);
   } catch (err) {
-    logger.error(`Error updating manipulator collection: ${err.message}`);
+    logger.error(`Error appending manipulator history: ${err.message}`);
     throw err;
   }
-}
\ No newline at end of file
+}
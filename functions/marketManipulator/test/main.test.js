@@ -0,0 +1,504 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+
+import {
+  MemoryClient,
+  MemoryDatabases,
+  createContext,
+  createRequest,
+  createResponse,
+  startWebhookServer,
+} from '../../../test/harness/index.js';
+import handler, {
+  calculateAverageChange,
+  calculateMarketManipulator,
+} from '../src/main.js';
+
+const logger = { log() {}, warn() {}, error() {} };
+
+const assertClose = (actual, expected) =>
+  assert.ok(
+    Math.abs(actual - expected) < 1e-9,
+    `expected ${actual} to be close to ${expected}`
+  );
+
+const quote = (ticker, changePercentage, extra = {}) => ({
+  ticker_symbol: ticker,
+  price: '100.0000',
+  change_percentage: `${changePercentage}%`,
+  ...extra,
+});
+
+describe('calculateAverageChange', () => {
+  it('averages the change percentages equally by default', () => {
+    const average = calculateAverageChange(
+      [quote('SPY', 1), quote('QQQ', -2), quote('BND', 4)],
+      logger
+    );
+    assert.equal(average, 1);
+  });
+
+  it('weights symbols by volume', () => {
+    const average = calculateAverageChange(
+      [quote('SPY', 2, { volume: '300' }), quote('BND', -2, { volume: '100' })],
+      logger,
+      'volume'
+    );
+    assert.equal(average, 1);
+  });
+
+  it('weights symbols by watchlist weight', () => {
+    const average = calculateAverageChange(
+      [quote('SPY', 3), quote('BND', 0)],
+      logger,
+      'watchlist',
+      { SPY: { weight: 2 }, BND: { weight: 1 } }
+    );
+    assert.equal(average, 2);
+  });
+
+  it('falls back to equal weighting when a weight is missing', () => {
+    const average = calculateAverageChange(
+      [quote('SPY', 2, { volume: '300' }), quote('BND', -2)],
+      logger,
+      'volume'
+    );
+    assert.equal(average, 0);
+  });
+
+  it('skips symbols with invalid data', () => {
+    const average = calculateAverageChange(
+      [
+        quote('SPY', 2),
+        { ticker_symbol: 'QQQ', price: 101, change_percentage: '5%' },
+        quote('BND', 'n/a'),
+        null,
+      ],
+      logger
+    );
+    assert.equal(average, 2);
+  });
+
+  it('leaves mock quotes out of the average by default', () => {
+    const average = calculateAverageChange(
+      [quote('SPY', 2), quote('QQQ', 4), quote('BND', -9, { is_real: false })],
+      logger
+    );
+    assert.equal(average, 3);
+  });
+
+  it('weights mock quotes down by the mock weight', () => {
+    const average = calculateAverageChange(
+      [
+        quote('SPY', 2, { is_real: true }),
+        quote('BND', -4, { is_real: false }),
+      ],
+      logger,
+      'equal',
+      null,
+      { minRealRatio: 0.5, mockWeight: 0.5 }
+    );
+    assertClose(average, 0);
+  });
+
+  it('throws when too few quotes are real', () => {
+    assert.throws(
+      () =>
+        calculateAverageChange(
+          [
+            quote('SPY', 2),
+            quote('QQQ', 1, { is_real: false }),
+            quote('BND', 1, { is_real: false }),
+          ],
+          logger
+        ),
+      /Only 1 of 3 symbols carry real quotes/
+    );
+  });
+
+  it('throws when no symbol is valid', () => {
+    assert.throws(
+      () => calculateAverageChange([quote('SPY', 'n/a')], logger),
+      /No valid symbols/
+    );
+  });
+});
+
+describe('calculateMarketManipulator', () => {
+  it('maps the tier boundaries to 0.1, 1.5, 3 and 5', () => {
+    assertClose(calculateMarketManipulator(1e-12, logger), 0.1);
+    assert.equal(calculateMarketManipulator(2, logger), 1.5);
+    assert.equal(calculateMarketManipulator(5, logger), 3);
+    assert.equal(calculateMarketManipulator(10, logger), 5);
+  });
+
+  it('interpolates linearly within a tier', () => {
+    assertClose(calculateMarketManipulator(1, logger), 0.8);
+    assertClose(calculateMarketManipulator(3.5, logger), 2.25);
+    assertClose(calculateMarketManipulator(7.5, logger), 4);
+  });
+
+  it('keeps the sign of the change', () => {
+    assertClose(calculateMarketManipulator(-3.5, logger), -2.25);
+  });
+
+  it('caps extreme moves at 5', () => {
+    assert.equal(calculateMarketManipulator(25, logger), 5);
+    assert.equal(calculateMarketManipulator(-25, logger), -5);
+  });
+
+  it('returns 0 for an unchanged market', () => {
+    assert.equal(calculateMarketManipulator(0, logger), 0);
+  });
+
+  it('applies the configured curve', () => {
+    const curve = {
+      type: 'piecewise',
+      thresholds: [
+        [0, 0],
+        [4, 2],
+      ],
+      multiplier: 2,
+      logScale: 1,
+      max: 3,
+    };
+    assert.equal(calculateMarketManipulator(2, logger, curve), 1);
+    assert.equal(
+      calculateMarketManipulator(2, logger, { ...curve, type: 'amplified' }),
+      2
+    );
+    assert.equal(
+      calculateMarketManipulator(2, logger, { ...curve, type: 'contrarian' }),
+      -1
+    );
+    assert.equal(
+      calculateMarketManipulator(20, logger, { ...curve, type: 'amplified' }),
+      3
+    );
+  });
+});
+
+describe('handler', () => {
+  let databases;
+
+  beforeEach(() => {
+    process.env.APPWRITE_FUNCTION_DATABASE_ID = 'db';
+    process.env.APPWRITE_FUNCTION_REALWORLD_COLLECTION_ID = 'realworld';
+    process.env.APPWRITE_FUNCTION_MANIPULATOR_COLLECTION_ID = 'manipulator';
+    databases = new MemoryDatabases({
+      'db/realworld': [quote('SPY', -3), quote('QQQ', -3), quote('BND', 1)],
+    });
+  });
+
+  it('writes the market and segment manipulators', async () => {
+    const res = createResponse();
+    const response = await handler({
+      req: createRequest(),
+      res,
+      context: createContext(),
+      client: new MemoryClient({ databases }),
+    });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.average_change, -1.67);
+
+    const documents = Object.fromEntries(
+      databases
+        .documents('db', 'manipulator')
+        .map((doc) => [doc.segment, doc.manipulator])
+    );
+    assert.deepEqual(documents, {
+      market: String(
+        Number(calculateMarketManipulator(-5 / 3, logger).toFixed(2))
+      ),
+      equities: '-2',
+      bonds: '0.8',
+    });
+  });
+
+  it('keeps crypto out of the market-wide manipulator', async () => {
+    process.env.APPWRITE_FUNCTION_WATCHLIST_COLLECTION_ID = 'watchlist';
+    databases = new MemoryDatabases({
+      'db/realworld': [
+        quote('SPY', -3, { asset_class: 'equity' }),
+        quote('BTC', 12, { asset_class: 'crypto' }),
+      ],
+      'db/watchlist': [
+        { ticker: 'SPY', category: 'equities', enabled: true },
+        { ticker: 'BTC', category: 'crypto', enabled: true },
+      ],
+    });
+
+    try {
+      const response = await handler({
+        req: createRequest(),
+        res: createResponse(),
+        context: createContext(),
+        client: new MemoryClient({ databases }),
+      });
+
+      assert.equal(response.body.average_change, -3);
+      assert.deepEqual(Object.keys(response.body.segments), [
+        'equities',
+        'crypto',
+      ]);
+      assert.equal(response.body.segments.crypto.average_change, 12);
+    } finally {
+      delete process.env.APPWRITE_FUNCTION_WATCHLIST_COLLECTION_ID;
+    }
+  });
+
+  it('keeps crypto quotes past the first page in their segment', async () => {
+    process.env.APPWRITE_FUNCTION_WATCHLIST_COLLECTION_ID = 'watchlist';
+    const tickers = Array.from({ length: 30 }, (_, index) => `E${index}`);
+    databases = new MemoryDatabases({
+      'db/realworld': [
+        ...tickers.map((ticker) => quote(ticker, 1, { asset_class: 'equity' })),
+        quote('BTC', 12, { asset_class: 'crypto' }),
+        quote('ETH', 8, { asset_class: 'crypto' }),
+      ],
+      'db/watchlist': [
+        ...tickers.map((ticker) => ({
+          ticker,
+          category: 'equities',
+          enabled: true,
+        })),
+        { ticker: 'BTC', category: 'crypto', enabled: true },
+        { ticker: 'ETH', category: 'crypto', enabled: true },
+      ],
+    });
+
+    try {
+      const response = await handler({
+        req: createRequest(),
+        res: createResponse(),
+        context: createContext(),
+        client: new MemoryClient({ databases }),
+      });
+
+      assert.equal(response.body.average_change, 1);
+      assert.equal(response.body.segments.crypto.average_change, 10);
+      assert.ok(
+        databases
+          .documents('db', 'manipulator')
+          .some((doc) => doc.segment === 'crypto')
+      );
+    } finally {
+      delete process.env.APPWRITE_FUNCTION_WATCHLIST_COLLECTION_ID;
+    }
+  });
+
+  it('reads every quote and watchlist entry past the first page', async () => {
+    process.env.APPWRITE_FUNCTION_WATCHLIST_COLLECTION_ID = 'watchlist';
+    const tickers = Array.from({ length: 129 }, (_, index) => `T${index}`);
+    databases = new MemoryDatabases({
+      'db/realworld': [
+        ...tickers.map((ticker) => quote(ticker, 0)),
+        quote('LAST', 13),
+      ],
+      'db/watchlist': [
+        ...tickers.map((ticker) => ({
+          ticker,
+          category: 'equities',
+          enabled: true,
+        })),
+        { ticker: 'LAST', category: 'late', enabled: true },
+      ],
+    });
+
+    try {
+      const response = await handler({
+        req: createRequest(),
+        res: createResponse(),
+        context: createContext(),
+        client: new MemoryClient({ databases }),
+      });
+
+      assert.equal(response.body.average_change, 0.1);
+      assert.equal(response.body.segments.late.average_change, 13);
+    } finally {
+      delete process.env.APPWRITE_FUNCTION_WATCHLIST_COLLECTION_ID;
+    }
+  });
+
+  it('updates the existing documents on the next run', async () => {
+    const client = new MemoryClient({ databases });
+    for (let run = 0; run < 2; run++) {
+      await handler({
+        req: createRequest(),
+        res: createResponse(),
+        context: createContext(),
+        client,
+      });
+    }
+    assert.equal(databases.documents('db', 'manipulator').length, 3);
+  });
+
+  it('writes nothing in dry-run mode', async () => {
+    const response = await handler({
+      req: createRequest({ method: 'GET', path: '/dry-run' }),
+      res: createResponse(),
+      context: createContext(),
+      client: new MemoryClient({ databases }),
+    });
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(Object.keys(response.body.curves), [
+      'piecewise',
+      'amplified',
+      'logarithmic',
+      'contrarian',
+    ]);
+    assert.equal(databases.documents('db', 'manipulator').length, 0);
+  });
+
+  it('writes no manipulator from mostly mock data', async () => {
+    databases = new MemoryDatabases({
+      'db/realworld': [
+        quote('SPY', -3, { source: 'mock', is_real: false }),
+        quote('QQQ', -3, { source: 'mock', is_real: false }),
+        quote('BND', 1, { source: 'alphavantage', is_real: true }),
+      ],
+    });
+
+    const response = await handler({
+      req: createRequest(),
+      res: createResponse(),
+      context: createContext(),
+      client: new MemoryClient({ databases }),
+    });
+
+    assert.equal(response.statusCode, 500);
+    assert.match(response.body.error, /minimum real-data ratio/);
+    assert.equal(databases.documents('db', 'manipulator').length, 0);
+  });
+
+  describe('run records', () => {
+    let webhook;
+
+    beforeEach(async () => {
+      webhook = await startWebhookServer();
+      process.env.APPWRITE_FUNCTION_RUN_RECORDS_COLLECTION_ID = 'runs';
+      process.env.ALERT_WEBHOOK_URL = webhook.url;
+    });
+
+    afterEach(async () => {
+      delete process.env.APPWRITE_FUNCTION_RUN_RECORDS_COLLECTION_ID;
+      delete process.env.ALERT_WEBHOOK_URL;
+      await webhook.close();
+    });
+
+    const run = () =>
+      handler({
+        req: createRequest(),
+        res: createResponse(),
+        context: createContext(),
+        client: new MemoryClient({ databases }),
+      });
+
+    it('records every run without alerting on a normal day', async () => {
+      await run();
+
+      const [record] = databases.documents('db', 'runs');
+      assert.equal(record.function, 'marketManipulator');
+      assert.equal(record.status, 'ok');
+      assert.equal(record.fetched, 3);
+      assert.equal(record.mocked, 0);
+      assert.equal(record.updated, 3);
+      assert.equal(webhook.requests.length, 0);
+    });
+
+    it('alerts on an extreme manipulator', async () => {
+      databases = new MemoryDatabases({
+        'db/realworld': [quote('SPY', -12), quote('QQQ', -15)],
+      });
+
+      await run();
+
+      assert.equal(webhook.requests.length, 1);
+      const alert = webhook.requests[0].body;
+      assert.equal(alert.status, 'ok');
+      assert.equal(alert.manipulator, -5);
+      assert.ok(
+        alert.anomalies.includes(
+          'Extreme market manipulator -5.00 (threshold 4)'
+        )
+      );
+    });
+
+    it('records and alerts on a failed run', async () => {
+      databases = new MemoryDatabases({ 'db/realworld': [] });
+
+      await run();
+
+      const [record] = databases.documents('db', 'runs');
+      assert.equal(record.status, 'failed');
+      assert.deepEqual(JSON.parse(record.errors), [
+        'No stock market data available',
+      ]);
+      assert.equal(webhook.requests[0].body.status, 'failed');
+    });
+
+    it('records nothing in dry-run mode', async () => {
+      await handler({
+        req: createRequest({ method: 'GET', path: '/dry-run' }),
+        res: createResponse(),
+        context: createContext(),
+        client: new MemoryClient({ databases }),
+      });
+
+      assert.equal(databases.documents('db', 'runs').length, 0);
+    });
+  });
+
+  it('leaves locked manipulators alone', async () => {
+    await databases.createDocument('db', 'manipulator', 'locked', {
+      segment: 'market',
+      manipulator: '4',
+      locked: true,
+    });
+
+    await handler({
+      req: createRequest(),
+      res: createResponse(),
+      context: createContext(),
+      client: new MemoryClient({ databases }),
+    });
+
+    const market = databases
+      .documents('db', 'manipulator')
+      .filter((doc) => doc.segment === 'market');
+    assert.deepEqual(
+      market.map((doc) => doc.manipulator),
+      ['4']
+    );
+  });
+
+  it('records the locked value as the applied manipulator', async () => {
+    process.env.APPWRITE_FUNCTION_MANIPULATOR_HISTORY_COLLECTION_ID = 'history';
+    await databases.createDocument('db', 'manipulator', 'locked', {
+      segment: 'bonds',
+      manipulator: '4',
+      locked: true,
+    });
+
+    try {
+      await handler({
+        req: createRequest(),
+        res: createResponse(),
+        context: createContext(),
+        client: new MemoryClient({ databases }),
+      });
+    } finally {
+      delete process.env.APPWRITE_FUNCTION_MANIPULATOR_HISTORY_COLLECTION_ID;
+    }
+
+    const history = Object.fromEntries(
+      databases
+        .documents('db', 'history')
+        .map((doc) => [doc.segment, [doc.manipulator, doc.raw_manipulator]])
+    );
+    assert.deepEqual(history.bonds, [4, 0.8]);
+    assert.deepEqual(history.equities, [-2, -2]);
+  });
+});
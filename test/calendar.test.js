@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import {
+  createMarketCalendar,
+  parseHolidays,
+} from '../functions/InGameMarketManager/src/calendar.js';
+
+// The fetcher and the market manager each carry a copy of src/calendar.js and
+// must agree on when the exchange trades
+const COPIES = ['FetchesRealWorldStocks', 'InGameMarketManager'];
+
+describe('calendar copies', () => {
+  it('are identical', () => {
+    const read = (name) =>
+      readFileSync(
+        new URL(`../functions/${name}/src/calendar.js`, import.meta.url),
+        'utf8'
+      );
+    const [first, ...others] = COPIES;
+    for (const name of others) {
+      assert.equal(
+        read(name),
+        read(first),
+        `functions/${name}/src/calendar.js differs from functions/${first}/src/calendar.js`
+      );
+    }
+  });
+});
+
+describe('createMarketCalendar', () => {
+  const calendar = createMarketCalendar({
+    holidays: parseHolidays('2025-04-18, 2025-12-25'),
+  });
+
+  it('is open during the session in the exchange time zone', () => {
+    // 14:30 UTC is 10:30 in New York during daylight saving time
+    assert.deepEqual(calendar.session('2025-03-21T14:30:00.000Z'), {
+      open: true,
+      tradingDay: true,
+      localDate: '2025-03-21',
+      reason: null,
+    });
+  });
+
+  it('tells outside hours apart from days without trading', () => {
+    const evening = calendar.session('2025-03-21T21:00:00.000Z');
+    assert.equal(evening.reason, 'outside_hours');
+    assert.equal(evening.tradingDay, true);
+
+    const weekend = calendar.session('2025-03-22T15:00:00.000Z');
+    assert.equal(weekend.reason, 'weekend');
+    assert.equal(weekend.tradingDay, false);
+
+    assert.equal(
+      calendar.session('2025-04-18T15:00:00.000Z').reason,
+      'holiday'
+    );
+  });
+
+  it('rejects invalid settings', () => {
+    assert.throws(() => parseHolidays('2025-03-21,21.03.2025'));
+    assert.throws(() => createMarketCalendar({ open: '9am' }));
+    assert.throws(() => createMarketCalendar({ timezone: 'Mars/Olympus' }));
+  });
+});
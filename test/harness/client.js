@@ -0,0 +1,152 @@
+// In-memory stand-in for the node-appwrite Client. node-appwrite services
+// (Databases, Functions, Users) send every request through client.call(), so
+// handlers that build `new Databases(client)` work unchanged against a
+// MemoryClient: document routes go to a MemoryDatabases, function executions
+// are recorded and answered by stand-in handlers, and users come from a plain
+// object.
+
+import { MemoryAppwriteError, MemoryDatabases } from './databases.js';
+
+const DOCUMENTS =
+  /^\/databases\/([^/]+)\/collections\/([^/]+)\/documents(?:\/([^/]+))?$/;
+const EXECUTIONS = /^\/functions\/([^/]+)\/executions(?:\/([^/]+))?$/;
+const USER = /^\/users\/([^/]+)$/;
+
+export class MemoryClient {
+  // users: { userId: { $id, labels, ... } }
+  // functions: { functionId: async (execution, databases) => ({ statusCode, body }) }
+  //   runs in place of the function; a thrown error fails the execution
+  constructor({
+    databases = new MemoryDatabases(),
+    users = {},
+    functions = {},
+  } = {}) {
+    this.databases = databases;
+    this.users = users;
+    this.functions = functions;
+    this.executions = [];
+  }
+
+  // Configuration calls are accepted and ignored
+  setEndpoint() {
+    return this;
+  }
+
+  setProject() {
+    return this;
+  }
+
+  setKey() {
+    return this;
+  }
+
+  async call(method, path, headers = {}, params = {}) {
+    const verb = method.toLowerCase();
+
+    const documents = DOCUMENTS.exec(path);
+    if (documents) {
+      const [, databaseId, collectionId, documentId] = documents;
+      if (!documentId && verb === 'get') {
+        return this.databases.listDocuments(
+          databaseId,
+          collectionId,
+          params.queries
+        );
+      }
+      if (!documentId && verb === 'post') {
+        return this.databases.createDocument(
+          databaseId,
+          collectionId,
+          params.documentId,
+          params.data
+        );
+      }
+      if (documentId && verb === 'get') {
+        return this.databases.getDocument(databaseId, collectionId, documentId);
+      }
+      if (documentId && verb === 'patch') {
+        return this.databases.updateDocument(
+          databaseId,
+          collectionId,
+          documentId,
+          params.data
+        );
+      }
+      if (documentId && verb === 'delete') {
+        return this.databases.deleteDocument(
+          databaseId,
+          collectionId,
+          documentId
+        );
+      }
+    }
+
+    const executions = EXECUTIONS.exec(path);
+    if (executions) {
+      const [, functionId, executionId] = executions;
+      if (!executionId && verb === 'post') {
+        const execution = {
+          $id: `exec${this.executions.length + 1}`,
+          functionId,
+          status: 'completed',
+          responseStatusCode: 200,
+          responseBody: '',
+          requestPath: params.path ?? '/',
+          requestMethod: params.method ?? 'POST',
+          requestHeaders: params.headers ?? {},
+          body: params.body ?? '',
+          async: params.async ?? false,
+        };
+        this.executions.push(execution);
+        await this.#execute(execution);
+        return { ...execution };
+      }
+      if (executionId && verb === 'get') {
+        const execution = this.executions.find(
+          (item) => item.$id === executionId
+        );
+        if (!execution) {
+          throw new MemoryAppwriteError(
+            'Execution not found',
+            404,
+            'execution_not_found'
+          );
+        }
+        return { ...execution };
+      }
+    }
+
+    const user = USER.exec(path);
+    if (user && verb === 'get') {
+      if (!this.users[user[1]]) {
+        throw new MemoryAppwriteError('User not found', 404, 'user_not_found');
+      }
+      return { labels: [], ...this.users[user[1]], $id: user[1] };
+    }
+
+    throw new Error(
+      `Route not supported in memory: ${method.toUpperCase()} ${path}`
+    );
+  }
+
+  async #execute(execution) {
+    const handler = this.functions[execution.functionId];
+    if (!handler) {
+      return;
+    }
+    try {
+      const result = (await handler(execution, this.databases)) ?? {};
+      execution.responseStatusCode = result.statusCode ?? 200;
+      if (result.body !== undefined) {
+        execution.responseBody =
+          typeof result.body === 'string'
+            ? result.body
+            : JSON.stringify(result.body);
+      }
+    } catch (error) {
+      execution.status = 'failed';
+      execution.responseStatusCode = 500;
+      execution.errors = error.message;
+    }
+  }
+}
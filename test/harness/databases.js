@@ -0,0 +1,184 @@
+// In-memory stand-in for the node-appwrite Databases service. Collections are
+// keyed by "<databaseId>/<collectionId>" and hold plain document objects.
+// Queries are the JSON strings produced by node-appwrite's Query helpers.
+
+// Mirrors AppwriteException: callers branch on error.code (404, 409, ...)
+export class MemoryAppwriteError extends Error {
+  constructor(message, code, type) {
+    super(message);
+    this.code = code;
+    this.type = type;
+  }
+}
+
+const DEFAULT_LIMIT = 25;
+
+let sequence = 0;
+const uniqueId = () => `mem${(++sequence).toString(16).padStart(8, '0')}`;
+
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+const FILTERS = {
+  equal: (value, values) =>
+    Array.isArray(value)
+      ? value.some((item) => values.includes(item))
+      : values.includes(value),
+  notEqual: (value, values) => !values.includes(value),
+  lessThan: (value, [limit]) => value != null && value < limit,
+  lessThanEqual: (value, [limit]) => value != null && value <= limit,
+  greaterThan: (value, [limit]) => value != null && value > limit,
+  greaterThanEqual: (value, [limit]) => value != null && value >= limit,
+  isNull: (value) => value == null,
+  isNotNull: (value) => value != null,
+  between: (value, [start, end]) =>
+    value != null && value >= start && value <= end,
+  startsWith: (value, [prefix]) => String(value ?? '').startsWith(prefix),
+};
+
+export class MemoryDatabases {
+  // seed: { 'databaseId/collectionId': [documents] }
+  constructor(seed = {}) {
+    this.collections = new Map();
+    for (const [key, documents] of Object.entries(seed)) {
+      const [databaseId, collectionId] = key.split('/');
+      for (const document of documents) {
+        this.insert(
+          databaseId,
+          collectionId,
+          document.$id ?? uniqueId(),
+          document
+        );
+      }
+    }
+  }
+
+  collection(databaseId, collectionId) {
+    const key = `${databaseId}/${collectionId}`;
+    if (!this.collections.has(key)) {
+      this.collections.set(key, new Map());
+    }
+    return this.collections.get(key);
+  }
+
+  // Every document of a collection, in insertion order
+  documents(databaseId, collectionId) {
+    return [...this.collection(databaseId, collectionId).values()];
+  }
+
+  insert(databaseId, collectionId, documentId, data) {
+    const now = new Date().toISOString();
+    const document = {
+      ...structuredClone(data),
+      $id: documentId,
+      $collectionId: collectionId,
+      $databaseId: databaseId,
+      $createdAt: data.$createdAt ?? now,
+      $updatedAt: data.$updatedAt ?? now,
+      $permissions: data.$permissions ?? [],
+    };
+    this.collection(databaseId, collectionId).set(documentId, document);
+    return document;
+  }
+
+  find(databaseId, collectionId, documentId) {
+    const document = this.collection(databaseId, collectionId).get(documentId);
+    if (!document) {
+      throw new MemoryAppwriteError(
+        'Document with the requested ID could not be found.',
+        404,
+        'document_not_found'
+      );
+    }
+    return document;
+  }
+
+  async listDocuments(databaseId, collectionId, queries = []) {
+    let documents = this.documents(databaseId, collectionId);
+    let limit = DEFAULT_LIMIT;
+    let offset = 0;
+    let cursorAfter = null;
+    const orders = [];
+
+    for (const query of queries.map((query) => JSON.parse(query))) {
+      const { method, attribute, values = [] } = query;
+      if (FILTERS[method]) {
+        documents = documents.filter((document) =>
+          FILTERS[method](document[attribute], values)
+        );
+      } else if (method === 'orderAsc' || method === 'orderDesc') {
+        orders.push({ attribute, direction: method === 'orderAsc' ? 1 : -1 });
+      } else if (method === 'limit') {
+        limit = values[0];
+      } else if (method === 'offset') {
+        offset = values[0];
+      } else if (method === 'cursorAfter') {
+        cursorAfter = values[0];
+      } else {
+        throw new Error(`Query method not supported in memory: ${method}`);
+      }
+    }
+
+    if (orders.length > 0) {
+      documents = [...documents].sort((a, b) => {
+        for (const { attribute, direction } of orders) {
+          const order = compare(a[attribute], b[attribute]) * direction;
+          if (order !== 0) {
+            return order;
+          }
+        }
+        return 0;
+      });
+    }
+
+    const total = documents.length;
+    if (cursorAfter !== null) {
+      const index = documents.findIndex(
+        (document) => document.$id === cursorAfter
+      );
+      if (index === -1) {
+        throw new MemoryAppwriteError(
+          `Document '${cursorAfter}' for the 'cursor' value not found.`,
+          400,
+          'general_cursor_not_found'
+        );
+      }
+      documents = documents.slice(index + 1);
+    }
+
+    return {
+      total,
+      documents: structuredClone(documents.slice(offset, offset + limit)),
+    };
+  }
+
+  async getDocument(databaseId, collectionId, documentId) {
+    return structuredClone(this.find(databaseId, collectionId, documentId));
+  }
+
+  async createDocument(databaseId, collectionId, documentId, data) {
+    const id =
+      !documentId || documentId === 'unique()' ? uniqueId() : documentId;
+    if (this.collection(databaseId, collectionId).has(id)) {
+      throw new MemoryAppwriteError(
+        'Document with the requested ID already exists.',
+        409,
+        'document_already_exists'
+      );
+    }
+    return structuredClone(this.insert(databaseId, collectionId, id, data));
+  }
+
+  async updateDocument(databaseId, collectionId, documentId, data = {}) {
+    const document = this.find(databaseId, collectionId, documentId);
+    Object.assign(document, structuredClone(data), {
+      $updatedAt: new Date().toISOString(),
+    });
+    return structuredClone(document);
+  }
+
+  async deleteDocument(databaseId, collectionId, documentId) {
+    this.find(databaseId, collectionId, documentId);
+    this.collection(databaseId, collectionId).delete(documentId);
+    return {};
+  }
+}
@@ -0,0 +1,67 @@
+// Stubbed global fetch for the market data providers
+
+// AlphaVantage GLOBAL_QUOTE body for a ticker
+export function alphaVantageQuote(
+  symbol,
+  {
+    price = 100,
+    change = 1,
+    changePercent = 1,
+    volume = 1000000,
+    date = '2025-03-21',
+  } = {}
+) {
+  return {
+    'Global Quote': {
+      '01. symbol': symbol,
+      '02. open': Number(price - change).toFixed(4),
+      '03. high': Number(price).toFixed(4),
+      '04. low': Number(price - change).toFixed(4),
+      '05. price': Number(price).toFixed(4),
+      '06. volume': String(volume),
+      '07. latest trading day': date,
+      '08. previous close': Number(price - change).toFixed(4),
+      '09. change': Number(change).toFixed(4),
+      '10. change percent': `${Number(changePercent).toFixed(4)}%`,
+    },
+  };
+}
+
+// Replaces globalThis.fetch. handler(url) returns the JSON body to answer with,
+// or a { status, body } object for errors; every requested URL is recorded.
+// Returns { calls, restore }.
+export function stubFetch(handler) {
+  const original = globalThis.fetch;
+  const calls = [];
+
+  globalThis.fetch = async (input) => {
+    const url = new URL(String(input));
+    calls.push(url);
+    const result = await handler(url);
+    const { status = 200, body = result } =
+      result && typeof result.status === 'number' ? result : {};
+
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: { 'content-type': 'application/json' },
+    });
+  };
+
+  return {
+    calls,
+    restore: () => {
+      globalThis.fetch = original;
+    },
+  };
+}
+
+// Stub answering AlphaVantage GLOBAL_QUOTE requests from a { ticker: quote } map
+export function stubAlphaVantage(quotes) {
+  return stubFetch((url) => {
+    const symbol = url.searchParams.get('symbol');
+    if (!quotes[symbol]) {
+      return { status: 200, body: { 'Global Quote': {} } };
+    }
+    return alphaVantageQuote(symbol, quotes[symbol]);
+  });
+}
@@ -0,0 +1,8 @@
+// Shared test harness: in-memory Appwrite services, fake function runtime
+// objects, a stubbed fetch and a local webhook receiver. See test/README.md.
+
+export { MemoryAppwriteError, MemoryDatabases } from './databases.js';
+export { MemoryClient } from './client.js';
+export { createContext, createRequest, createResponse } from './runtime.js';
+export { alphaVantageQuote, stubAlphaVantage, stubFetch } from './fetch.js';
+export { startWebhookServer } from './webhook.js';
@@ -0,0 +1,54 @@
+// Fake Appwrite function runtime objects: req, res and the logging context
+
+export function createRequest({
+  method = 'POST',
+  path = '/',
+  headers = {},
+  query = {},
+  body = '',
+} = {}) {
+  return {
+    method,
+    path,
+    headers: { 'x-appwrite-key': 'test-key', ...headers },
+    query,
+    body,
+    bodyRaw: typeof body === 'string' ? body : JSON.stringify(body),
+  };
+}
+
+// res.json() / res.send() return the recorded response, like the runtime's
+// return value; the last one is also kept on res.response
+export function createResponse() {
+  const res = {
+    response: null,
+    json(body, statusCode = 200, headers = {}) {
+      res.response = { statusCode, body, headers };
+      return res.response;
+    },
+    send(body, statusCode = 200, headers = {}) {
+      res.response = { statusCode, body, headers };
+      return res.response;
+    },
+    empty() {
+      res.response = { statusCode: 204, body: '', headers: {} };
+      return res.response;
+    },
+  };
+  return res;
+}
+
+// Collects log and error lines instead of printing them. Exposes log/error
+// both directly (the runtime's handler arguments) and as context methods.
+export function createContext() {
+  const logs = [];
+  const errors = [];
+  const context = {
+    logs,
+    errors,
+    log: (message) => logs.push(String(message)),
+    warn: (message) => logs.push(String(message)),
+    error: (message) => errors.push(String(message?.message ?? message)),
+  };
+  return context;
+}
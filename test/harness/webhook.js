@@ -0,0 +1,46 @@
+// Local HTTP server standing in for a webhook receiver (alerts, ...)
+
+import { createServer } from 'node:http';
+
+// Starts a server on a free port of 127.0.0.1. Every request is recorded in
+// `requests` as { method, path, headers, body, text } with the body parsed as
+// JSON when it is JSON and the raw body in `text`. `status` is the status code
+// every request is answered with, or a list of codes answered in turn (the
+// last one repeats). Resolves to { url, requests, close }; call close() when
+// done.
+export async function startWebhookServer({ status = 200 } = {}) {
+  const statuses = [status].flat();
+  const requests = [];
+  const server = createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      let body = text;
+      try {
+        body = JSON.parse(text);
+      } catch {
+        // Not JSON, keep the text
+      }
+      requests.push({
+        method: req.method,
+        path: req.url,
+        headers: req.headers,
+        body,
+        text,
+      });
+      res
+        .writeHead(statuses[Math.min(requests.length, statuses.length) - 1])
+        .end();
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}/`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
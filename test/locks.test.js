@@ -0,0 +1,133 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import { MemoryDatabases } from './harness/index.js';
+import {
+  playerLockId,
+  withPlayerLock,
+} from '../functions/TradingEngine/src/locks.js';
+
+// TradingEngine's fills and InGameMarketManager's dividends take the same
+// player locks, so both carry a copy of src/locks.js
+const COPIES = ['InGameMarketManager', 'TradingEngine'];
+
+const OPTIONS = {
+  databaseId: 'db',
+  collectionId: 'locks',
+  retries: 3,
+  retryDelayMs: 1,
+};
+
+describe('locks copies', () => {
+  it('are identical', () => {
+    const read = (name) =>
+      readFileSync(
+        new URL(`../functions/${name}/src/locks.js`, import.meta.url),
+        'utf8'
+      );
+    const [first, ...others] = COPIES;
+    for (const name of others) {
+      assert.equal(
+        read(name),
+        read(first),
+        `functions/${name}/src/locks.js differs from functions/${first}/src/locks.js`
+      );
+    }
+  });
+});
+
+describe('withPlayerLock', () => {
+  const lock = (expiresAt) => ({
+    $id: playerLockId('alice'),
+    player_id: 'alice',
+    expires_at: expiresAt,
+  });
+
+  it('holds the lock while fn runs and releases it after', async () => {
+    const databases = new MemoryDatabases();
+
+    const result = await withPlayerLock(databases, OPTIONS, 'alice', () => {
+      assert.equal(databases.documents('db', 'locks').length, 1);
+      return 'done';
+    });
+
+    assert.equal(result, 'done');
+    assert.equal(databases.documents('db', 'locks').length, 0);
+  });
+
+  it('releases the lock when fn fails', async () => {
+    const databases = new MemoryDatabases();
+
+    await assert.rejects(
+      withPlayerLock(databases, OPTIONS, 'alice', async () => {
+        throw new Error('Insufficient cash');
+      }),
+      /Insufficient cash/
+    );
+    assert.equal(databases.documents('db', 'locks').length, 0);
+  });
+
+  it('serializes the updates of one player', async () => {
+    const databases = new MemoryDatabases({
+      'db/players': [{ $id: 'alice', cash: 100 }],
+    });
+    const credit = (amount) =>
+      withPlayerLock(
+        databases,
+        { ...OPTIONS, retries: 100 },
+        'alice',
+        async () => {
+          const { cash } = await databases.getDocument(
+            'db',
+            'players',
+            'alice'
+          );
+          await new Promise((resolve) => setTimeout(resolve, 5));
+          await databases.updateDocument('db', 'players', 'alice', {
+            cash: cash + amount,
+          });
+        }
+      );
+
+    await Promise.all([credit(10), credit(-30), credit(5)]);
+
+    assert.equal(databases.documents('db', 'players')[0].cash, 85);
+  });
+
+  it('gives up with a 409 while another execution holds the lock', async () => {
+    const databases = new MemoryDatabases({
+      'db/locks': [lock(new Date(Date.now() + 60000).toISOString())],
+    });
+    let ran = false;
+
+    await assert.rejects(
+      withPlayerLock(databases, OPTIONS, 'alice', async () => {
+        ran = true;
+      }),
+      (error) => error.statusCode === 409
+    );
+    assert.equal(ran, false);
+    assert.equal(databases.documents('db', 'locks').length, 1);
+  });
+
+  it('takes over an expired lock', async () => {
+    const databases = new MemoryDatabases({
+      'db/locks': [lock(new Date(Date.now() - 1000).toISOString())],
+    });
+
+    assert.equal(
+      await withPlayerLock(databases, OPTIONS, 'alice', async () => 'done'),
+      'done'
+    );
+    assert.equal(databases.documents('db', 'locks').length, 0);
+  });
+
+  it('runs unlocked without a locks collection', async () => {
+    const databases = new MemoryDatabases();
+
+    await withPlayerLock(databases, { databaseId: 'db' }, 'alice', () => {});
+
+    assert.equal(databases.documents('db', 'locks').length, 0);
+  });
+});
@@ -0,0 +1,228 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { afterEach, describe, it } from 'node:test';
+
+import {
+  MemoryDatabases,
+  createContext,
+  createRequest,
+  startWebhookServer,
+} from './harness/index.js';
+import {
+  createLogger,
+  createWebhookAlertSink,
+  startRun,
+} from '../functions/InGameMarketManager/src/observability.js';
+
+// Every function with run records carries its own copy of src/observability.js
+const COPIES = [
+  'FetchesRealWorldStocks',
+  'InGameMarketManager',
+  'marketManipulator',
+];
+
+// A clock advancing one second per reading
+const ticking = (start = Date.parse('2025-03-21T21:00:00.000Z')) => {
+  let time = start;
+  return () => new Date((time += 1000));
+};
+
+describe('observability copies', () => {
+  it('are identical', () => {
+    const read = (name) =>
+      readFileSync(
+        new URL(`../functions/${name}/src/observability.js`, import.meta.url),
+        'utf8'
+      );
+    const [first, ...others] = COPIES;
+    for (const name of others) {
+      assert.equal(
+        read(name),
+        read(first),
+        `functions/${name}/src/observability.js differs from functions/${first}/src/observability.js`
+      );
+    }
+  });
+});
+
+describe('createLogger', () => {
+  it('writes one JSON line per message', () => {
+    const context = createContext();
+    const logger = createLogger({
+      functionName: 'marketManipulator',
+      runId: 'run-1',
+      context,
+      now: () => new Date('2025-03-21T21:00:00.000Z'),
+    });
+
+    logger.info('Manipulator computed', { manipulator: 1.5 });
+    logger.warn('Segment skipped');
+
+    assert.deepEqual(context.logs.map(JSON.parse), [
+      {
+        manipulator: 1.5,
+        time: '2025-03-21T21:00:00.000Z',
+        level: 'info',
+        function: 'marketManipulator',
+        run_id: 'run-1',
+        message: 'Manipulator computed',
+      },
+      {
+        time: '2025-03-21T21:00:00.000Z',
+        level: 'warn',
+        function: 'marketManipulator',
+        run_id: 'run-1',
+        message: 'Segment skipped',
+      },
+    ]);
+  });
+
+  it('sends errors to the error stream', () => {
+    const context = createContext();
+    const logger = createLogger({ functionName: 'f', context });
+
+    logger.error(new Error('Database down'));
+
+    assert.equal(context.logs.length, 0);
+    const [line] = context.errors.map(JSON.parse);
+    assert.equal(line.level, 'error');
+    assert.equal(line.message, 'Database down');
+    assert.equal(line.run_id, logger.runId);
+  });
+});
+
+describe('startRun', () => {
+  let webhook;
+
+  afterEach(() => webhook?.close());
+
+  const start = (options = {}) => {
+    const databases = new MemoryDatabases();
+    const run = startRun({
+      functionName: 'marketManipulator',
+      context: createContext(),
+      databases,
+      databaseId: 'db',
+      runsCollection: 'runs',
+      now: ticking(),
+      ...options,
+    });
+    return { databases, run };
+  };
+
+  it('stores a run record', async () => {
+    const { databases, run } = start();
+
+    await run.finish({
+      status: 'ok',
+      counts: { fetched: 15, mocked: 0, updated: 6 },
+      manipulator: 1.25,
+    });
+
+    const [record] = databases.documents('db', 'runs');
+    assert.equal(record.run_id, run.runId);
+    assert.equal(record.function, 'marketManipulator');
+    assert.equal(record.status, 'ok');
+    assert.equal(record.duration_ms, 1000);
+    assert.equal(record.fetched, 15);
+    assert.equal(record.updated, 6);
+    assert.equal(record.failed, null);
+    assert.equal(record.manipulator, 1.25);
+    assert.equal(record.errors, '[]');
+  });
+
+  it('runs under the pipeline run ID of the request', async () => {
+    const databases = new MemoryDatabases();
+    const context = {
+      ...createContext(),
+      req: createRequest({ headers: { 'x-pipeline-run-id': 'pipeline-1' } }),
+    };
+    // Two stages of one pipeline run sharing a runs collection
+    for (const functionName of [
+      'FetchesRealWorldStocks',
+      'marketManipulator',
+    ]) {
+      const { run } = start({ functionName, context, databases });
+      assert.equal(run.runId, 'pipeline-1');
+      run.logger.info('Stage done');
+      await run.finish({ status: 'ok' });
+    }
+
+    assert.ok(
+      context.logs.every((line) => JSON.parse(line).run_id === 'pipeline-1')
+    );
+    const records = databases.documents('db', 'runs');
+    assert.deepEqual(
+      records.map((record) => [record.function, record.run_id]),
+      [
+        ['FetchesRealWorldStocks', 'pipeline-1'],
+        ['marketManipulator', 'pipeline-1'],
+      ]
+    );
+    assert.notEqual(records[0].$id, records[1].$id);
+
+    assert.notEqual(start().run.runId, 'pipeline-1');
+    assert.equal(start({ context, runId: 'own' }).run.runId, 'own');
+  });
+
+  it('posts an alert to the webhook for a failed run', async () => {
+    webhook = await startWebhookServer();
+    const { run } = start({ alertSink: createWebhookAlertSink(webhook.url) });
+
+    await run.finish({ status: 'failed', errors: ['No stock market data'] });
+
+    assert.equal(webhook.requests.length, 1);
+    const [{ method, headers, body }] = webhook.requests;
+    assert.equal(method, 'POST');
+    assert.equal(headers['content-type'], 'application/json');
+    assert.equal(body.function, 'marketManipulator');
+    assert.equal(body.run_id, run.runId);
+    assert.equal(body.status, 'failed');
+    assert.deepEqual(body.errors, ['No stock market data']);
+  });
+
+  it('alerts on anomalies of a successful run only', async () => {
+    const alerts = [];
+    const sink = { send: async (alert) => alerts.push(alert) };
+
+    await start({ alertSink: sink }).run.finish({ status: 'ok' });
+    await start({ alertSink: sink }).run.finish({
+      status: 'ok',
+      manipulator: 4.8,
+      anomalies: ['Extreme market manipulator 4.80 (threshold 4)'],
+    });
+
+    assert.equal(alerts.length, 1);
+    assert.deepEqual(alerts[0].anomalies, [
+      'Extreme market manipulator 4.80 (threshold 4)',
+    ]);
+  });
+
+  it('logs instead of failing when the webhook or collection fail', async () => {
+    webhook = await startWebhookServer({ status: 503 });
+    const context = createContext();
+    const run = startRun({
+      functionName: 'f',
+      context,
+      databases: {
+        createDocument: async () => {
+          throw new Error('Collection not found');
+        },
+      },
+      databaseId: 'db',
+      runsCollection: 'runs',
+      alertSink: createWebhookAlertSink(webhook.url),
+    });
+
+    const record = await run.finish({ status: 'failed' });
+
+    assert.equal(record.status, 'failed');
+    assert.deepEqual(
+      context.errors.map((line) => JSON.parse(line).message),
+      [
+        'Failed to store the run record: Collection not found',
+        'Failed to send the alert: Alert webhook answered 503',
+      ]
+    );
+  });
+});
@@ -0,0 +1,142 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import {
+  parseDocument,
+  parseDocuments,
+  serializeDocument,
+} from '../functions/InGameMarketManager/src/schema.js';
+
+// Every function that reads or writes the market collections carries its own
+// copy of src/schema.js
+const COPIES = [
+  'FetchesRealWorldStocks',
+  'InGameMarketManager',
+  'MarketAdmin',
+  'marketManipulator',
+];
+
+describe('schema copies', () => {
+  it('are identical', () => {
+    const read = (name) =>
+      readFileSync(
+        new URL(`../functions/${name}/src/schema.js`, import.meta.url),
+        'utf8'
+      );
+    const [first, ...others] = COPIES;
+    for (const name of others) {
+      assert.equal(
+        read(name),
+        read(first),
+        `functions/${name}/src/schema.js differs from functions/${first}/src/schema.js`
+      );
+    }
+  });
+});
+
+describe('parseDocument', () => {
+  it('turns stored decimals and percentages into numbers', () => {
+    const quote = parseDocument('realWorldStock', {
+      $id: 'spy',
+      ticker_symbol: 'SPY',
+      price: '571.2000',
+      change_percentage: '-0.7200%',
+      volume: null,
+    });
+    assert.deepEqual(quote, {
+      $id: 'spy',
+      ticker_symbol: 'SPY',
+      price: 571.2,
+      change_percentage: -0.72,
+      volume: null,
+    });
+  });
+
+  it('lists every violation of a document', () => {
+    assert.throws(
+      () =>
+        parseDocument('inGameStock', {
+          $id: 'acme',
+          price: 100,
+          status: 'bankrupt',
+        }),
+      (error) => {
+        assert.equal(error.documentId, 'acme');
+        assert.deepEqual(error.violations, [
+          'price: expected a decimal string, got number 100',
+          'status: expected one of listed, halted, delisted, got "bankrupt"',
+        ]);
+        return true;
+      }
+    );
+  });
+
+  it('requires the required attributes', () => {
+    assert.throws(
+      () => parseDocument('dailyManipulator', { segment: 'market' }),
+      /Invalid dailyManipulator document: manipulator: required/
+    );
+  });
+});
+
+describe('parseDocuments', () => {
+  it('sets invalid documents aside', () => {
+    const { documents, errors } = parseDocuments('dailyManipulator', [
+      { $id: 'a', manipulator: '1.5' },
+      { $id: 'b', manipulator: 'n/a' },
+    ]);
+    assert.deepEqual(
+      documents.map((doc) => doc.manipulator),
+      [1.5]
+    );
+    assert.deepEqual(
+      errors.map((error) => error.documentId),
+      ['b']
+    );
+  });
+});
+
+describe('serializeDocument', () => {
+  it('writes numbers in the stored format', () => {
+    assert.deepEqual(
+      serializeDocument('realWorldStock', {
+        ticker_symbol: 'SPY',
+        price: 571.2,
+        change_percentage: 0.72,
+        volume: '1000000',
+      }),
+      {
+        ticker_symbol: 'SPY',
+        price: '571.2000',
+        change_percentage: '0.7200%',
+        volume: '1000000',
+      }
+    );
+    assert.deepEqual(
+      serializeDocument(
+        'inGameStock',
+        { price: 101.999, halted_until: null, status: undefined },
+        { partial: true }
+      ),
+      { price: '102', halted_until: null }
+    );
+  });
+
+  it('rejects unknown attributes, bad values and missing required ones', () => {
+    assert.throws(
+      () => serializeDocument('dailyManipulator', { manipulater: 1 }),
+      (error) => {
+        assert.deepEqual(error.violations, [
+          'manipulater: not an attribute of dailyManipulator',
+          'manipulator: required',
+        ]);
+        return true;
+      }
+    );
+    assert.throws(
+      () => serializeDocument('inGameStock', { price: NaN }, { partial: true }),
+      /price: expected a number, got number NaN/
+    );
+  });
+});